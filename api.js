@@ -0,0 +1,165 @@
+// filename: api.js
+import http from "node:http";
+import { timingSafeEqual } from "node:crypto";
+
+// -------------------- HTTP API --------------------
+// Для CI, мониторинга и т.п.: включается API_PORT, в каждом запросе — Authorization: Bearer <API_TOKEN>.
+// Права чата не проверяются (токен даёт доступ ко всем группам бота), а лимиты, кулдауны и /mute_tags — те же, что у команд.
+//   GET    /chats/:chatId/teams                 — команды
+//   GET    /chats/:chatId/teams/:slug/members   — участники команды
+//   POST   /chats/:chatId/teams/:slug/members   { users: [123, "@name"] } — добавить
+//   DELETE /chats/:chatId/teams/:slug/members   { users: [...] } — убрать
+//   POST   /chats/:chatId/tag                   { text, team?, thread_id?, reply_to? } — сообщение и упоминания
+//
+// Про базу и очередь модуль ничего не знает: их даёт bot.js через store (см. apiStore там),
+// поэтому сервер поднимается и без запуска бота — так его и тестируют.
+export const API_BODY_MAX_BYTES = 64 * 1024;
+const API_BODY_TOO_LARGE = Symbol("API_BODY_TOO_LARGE");
+
+function isApiAuthorized(req, token) {
+  const match = /^Bearer\s+(\S+)$/.exec(req.headers.authorization || "");
+  if (!match) return false;
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+// null — тело не JSON-объект, API_BODY_TOO_LARGE — больше API_BODY_MAX_BYTES.
+// Лишнее дочитываем вхолостую: брошенный на середине поток закрывает сокет раньше, чем уйдёт ответ 413
+async function readApiBody(req) {
+  // по Content-Length отвечаем сразу, остаток тела Node дочитает сам после ответа
+  if (Number(req.headers["content-length"]) > API_BODY_MAX_BYTES) return API_BODY_TOO_LARGE;
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size <= API_BODY_MAX_BYTES) chunks.push(chunk);
+  }
+  if (size > API_BODY_MAX_BYTES) return API_BODY_TOO_LARGE;
+  const raw = Buffer.concat(chunks).toString("utf8").trim();
+  if (!raw) return {};
+  try {
+    const body = JSON.parse(raw);
+    return body && typeof body === "object" && !Array.isArray(body) ? body : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// store — данные бота:
+//   hasChat(chatId), findTeam(chatId, input) → slug | null, listTeams(chatId), teamMembers(chatId, slug),
+//   findMember(chatId, value) → участник по id или "@username" (только те, кого бот видел в группе) | null,
+//   addTeamMembers / removeTeamMembers(chatId, slug, userIds) → сколько изменилось,
+//   checkCooldown / setCooldown(chatId, slug), selectMembers(chatId, slug) — кого тегать (slug = null — /tagall),
+//   enqueueTag({ chatId, threadId, targetMessageId, members, slug }) → id задачи
+// telegram — bot.telegram, нужен только sendMessage
+export function createApiServer({ token, telegram, store }) {
+  // Как /addto: только те, кого бот уже видел в этой группе
+  function resolveUsers(chatId, values) {
+    const users = new Map();
+    const missing = [];
+    for (const value of values) {
+      const user = store.findMember(chatId, value);
+      if (user) users.set(user.user_id, user);
+      else missing.push(value);
+    }
+    return { users: [...users.values()], missing };
+  }
+
+  function listTeams(chatId) {
+    return [200, { teams: store.listTeams(chatId) }];
+  }
+
+  function listTeamMembers(chatId, input) {
+    const slug = store.findTeam(chatId, input);
+    if (!slug) return [404, { error: "team_not_found" }];
+    return [200, { slug, ...store.teamMembers(chatId, slug) }];
+  }
+
+  function changeTeamMembers(chatId, input, body, mode) {
+    const slug = store.findTeam(chatId, input);
+    if (!slug) return [404, { error: "team_not_found" }];
+    if (!Array.isArray(body.users) || !body.users.length) return [400, { error: "users_required" }];
+    const { users, missing } = resolveUsers(chatId, body.users);
+    const userIds = users.map((u) => u.user_id);
+    const changed = mode === "add" ? store.addTeamMembers(chatId, slug, userIds) : store.removeTeamMembers(chatId, slug, userIds);
+    return [200, { slug, [mode === "add" ? "added" : "removed"]: changed, skipped: users.length - changed, not_found: missing }];
+  }
+
+  async function tag(chatId, body) {
+    const text = typeof body.text === "string" ? body.text.trim() : "";
+    const replyTo = Number.isSafeInteger(body.reply_to) ? body.reply_to : null;
+    const threadId = Number.isSafeInteger(body.thread_id) ? body.thread_id : null;
+    if (!text && replyTo == null) return [400, { error: "text_required" }];
+    const slug = body.team != null ? store.findTeam(chatId, body.team) : null;
+    if (body.team != null && !slug) return [404, { error: "team_not_found" }];
+    const wait = store.checkCooldown(chatId, slug);
+    if (wait != null) return [429, { error: "cooldown", retry_after: wait }];
+    const members = store.selectMembers(chatId, slug);
+    if (!members.length) return [422, { error: "no_members" }];
+    // до первого await: одновременные запросы (алерты пачкой, ретраи CI) не должны пройти проверку все
+    store.setCooldown(chatId, slug);
+    let targetMessageId = replyTo;
+    if (text) {
+      const extra = threadId ? { message_thread_id: threadId } : {};
+      if (replyTo != null) extra.reply_parameters = { message_id: replyTo, allow_sending_without_reply: true };
+      const posted = await telegram.sendMessage(chatId, text, extra);
+      targetMessageId = posted.message_id;
+    }
+    console.log(`api tag chat=${chatId} team=${slug || "-"} members=${members.length}`);
+    let jobId;
+    try {
+      jobId = await store.enqueueTag({ chatId, threadId, targetMessageId, members, slug });
+    } catch (e) {
+      if (!text) throw e;
+      // сообщение уже в чате: отдаём его id, чтобы повтор пришёл с reply_to, а не запостил текст ещё раз
+      console.error(`api tag chat=${chatId} enqueue failed:`, e?.stack || e);
+      return [500, { error: "enqueue_failed", message_id: targetMessageId }];
+    }
+    return [202, { job_id: jobId, message_id: targetMessageId, members: members.length }];
+  }
+
+  const routes = [
+    ["GET", /^\/chats\/(-?\d+)\/teams$/, (chatId) => listTeams(chatId)],
+    ["GET", /^\/chats\/(-?\d+)\/teams\/([^/]+)\/members$/, (chatId, body, slug) => listTeamMembers(chatId, slug)],
+    ["POST", /^\/chats\/(-?\d+)\/teams\/([^/]+)\/members$/, (chatId, body, slug) => changeTeamMembers(chatId, slug, body, "add")],
+    ["DELETE", /^\/chats\/(-?\d+)\/teams\/([^/]+)\/members$/, (chatId, body, slug) => changeTeamMembers(chatId, slug, body, "remove")],
+    ["POST", /^\/chats\/(-?\d+)\/tag$/, (chatId, body) => tag(chatId, body)]
+  ];
+
+  async function handleRequest(req) {
+    if (!isApiAuthorized(req, token)) return [401, { error: "unauthorized" }];
+    const { pathname } = new URL(req.url, "http://localhost");
+    const matched = routes.map(([method, re, handler]) => ({ method, match: re.exec(pathname), handler })).filter((r) => r.match);
+    if (!matched.length) return [404, { error: "not_found" }];
+    const route = matched.find((r) => r.method === req.method);
+    if (!route) return [405, { error: "method_not_allowed" }];
+    const [, chatId, ...params] = route.match;
+    if (!store.hasChat(chatId)) return [404, { error: "chat_not_found" }];
+    const body = req.method === "GET" ? {} : await readApiBody(req);
+    if (body === API_BODY_TOO_LARGE) return [413, { error: "payload_too_large" }];
+    if (!body) return [400, { error: "invalid_json" }];
+    let decoded;
+    try {
+      decoded = params.map(decodeURIComponent);
+    } catch (e) {
+      return [400, { error: "bad_path" }];
+    }
+    return route.handler(chatId, body, ...decoded);
+  }
+
+  return http.createServer(async (req, res) => {
+    let status;
+    let body;
+    try {
+      [status, body] = await handleRequest(req);
+    } catch (e) {
+      // ошибки Bot API (нет прав, нет такого чата/треда) отдаём как есть
+      const description = e?.response?.description;
+      if (!description) console.error(`api ${req.method} ${req.url} failed:`, e?.stack || e);
+      [status, body] = description ? [502, { error: "telegram", description }] : [500, { error: "internal" }];
+    }
+    res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+    res.end(JSON.stringify(body));
+  });
+}
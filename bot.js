@@ -2,6 +2,9 @@
 import "dotenv/config";
 import { Telegraf } from "telegraf";
 import Database from "better-sqlite3";
+import ru from "./locales/ru.js";
+import en from "./locales/en.js";
+import { createApiServer } from "./api.js";
 
 const BOT_TOKEN = process.env.BOT_TOKEN;
 if (!BOT_TOKEN) {
@@ -14,6 +17,13 @@ const MAX_USERS = Math.max(1, parseInt(process.env.TAGALL_MAX_USERS, 10) || 100)
 const CHUNK = Math.max(1, parseInt(process.env.TAGALL_CHUNK_SIZE, 10) || 20);
 const DELAY_MS = Math.max(0, parseInt(process.env.TAGALL_DELAY_MS, 10) || 1200);
 const COOLDOWN_SEC = Math.max(0, parseInt(process.env.TAGALL_COOLDOWN_SEC, 10) || 60);
+const BOT_TIMEZONE = process.env.BOT_TIMEZONE || "UTC";
+// С неверной зоной zonedParts падает на каждом тике планировщика — и не срабатывает ни одно расписание
+const DEFAULT_TIMEZONE = isValidTimeZone(BOT_TIMEZONE) ? BOT_TIMEZONE : "UTC";
+if (DEFAULT_TIMEZONE !== BOT_TIMEZONE) console.warn(`⚠️ Unknown BOT_TIMEZONE "${BOT_TIMEZONE}", using UTC`);
+const API_PORT = parseInt(process.env.API_PORT, 10) || 0; // 0 — HTTP API выключен
+const API_HOST = process.env.API_HOST || "127.0.0.1";
+const API_TOKEN = process.env.API_TOKEN || "";
 const MENTION_SEPARATOR = " | ";
 
 const bot = new Telegraf(BOT_TOKEN);
@@ -50,20 +60,220 @@ db.exec(`
     tagall_only_admins INTEGER NOT NULL DEFAULT 1
   );
 
+  -- chat_id = '*' — запрет на упоминания во всех группах
+  CREATE TABLE IF NOT EXISTS tag_optouts (
+    user_id    INTEGER NOT NULL,
+    chat_id    TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (user_id, chat_id)
+  );
+
   CREATE TABLE IF NOT EXISTS chat_teams (
     chat_id TEXT NOT NULL,
     slug    TEXT NOT NULL,
     PRIMARY KEY (chat_id, slug)
   );
 
+  -- менеджеры управляют подгруппами, не будучи админами в Telegram
+  CREATE TABLE IF NOT EXISTS chat_managers (
+    chat_id    TEXT NOT NULL,
+    user_id    INTEGER NOT NULL,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (chat_id, user_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS chat_team_leads (
+    chat_id TEXT NOT NULL,
+    slug    TEXT NOT NULL,
+    user_id INTEGER NOT NULL,
+    PRIMARY KEY (chat_id, slug, user_id)
+  );
+
+  -- команда целиком входит в другую: /devs = /backend + /frontend
+  CREATE TABLE IF NOT EXISTS chat_team_subteams (
+    chat_id    TEXT NOT NULL,
+    slug       TEXT NOT NULL,
+    child_slug TEXT NOT NULL,
+    PRIMARY KEY (chat_id, slug, child_slug)
+  );
+
   CREATE TABLE IF NOT EXISTS chat_team_members (
     chat_id TEXT NOT NULL,
     slug    TEXT NOT NULL,
     user_id INTEGER NOT NULL,
     PRIMARY KEY (chat_id, slug, user_id)
   );
+
+  CREATE TABLE IF NOT EXISTS tagall_rotation (
+    chat_id    TEXT NOT NULL PRIMARY KEY,
+    first_seen INTEGER NOT NULL,
+    user_id    INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS mention_jobs (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    chat_id           TEXT NOT NULL,
+    thread_id         INTEGER,
+    target_message_id INTEGER NOT NULL,
+    team_slug         TEXT,
+    initiator_id      INTEGER,
+    member_count      INTEGER NOT NULL,
+    chunk_count       INTEGER NOT NULL,
+    next_chunk        INTEGER NOT NULL DEFAULT 0,
+    status            TEXT NOT NULL,
+    status_message_id INTEGER,
+    cancel_requested  INTEGER NOT NULL DEFAULT 0,
+    cancelled_by      TEXT,
+    delete_sent       INTEGER NOT NULL DEFAULT 0,
+    deleted           INTEGER NOT NULL DEFAULT 0,
+    resumed           INTEGER NOT NULL DEFAULT 0,
+    created_at        INTEGER NOT NULL,
+    updated_at        INTEGER NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_mention_jobs_chat_status
+    ON mention_jobs(chat_id, status);
+
+  CREATE TABLE IF NOT EXISTS mention_job_chunks (
+    job_id     INTEGER NOT NULL,
+    idx        INTEGER NOT NULL,
+    text       TEXT NOT NULL,
+    message_id INTEGER,
+    PRIMARY KEY (job_id, idx)
+  );
+
+  -- кому ушло упоминание с кнопкой «Прочитал» (только для исходного запуска)
+  CREATE TABLE IF NOT EXISTS mention_job_recipients (
+    job_id   INTEGER NOT NULL,
+    user_id  INTEGER NOT NULL,
+    acked_at INTEGER,
+    PRIMARY KEY (job_id, user_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS chat_schedules (
+    id             INTEGER PRIMARY KEY AUTOINCREMENT,
+    chat_id        TEXT NOT NULL,
+    thread_id      INTEGER,
+    cron           TEXT,
+    run_at         INTEGER,
+    team_slug      TEXT,
+    text           TEXT NOT NULL,
+    created_by     INTEGER,
+    created_at     INTEGER NOT NULL,
+    last_fired_key TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS team_join_requests (
+    chat_id    TEXT NOT NULL,
+    slug       TEXT NOT NULL,
+    user_id    INTEGER NOT NULL,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (chat_id, slug, user_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS tag_cooldowns (
+    chat_id  TEXT NOT NULL,
+    scope    TEXT NOT NULL,
+    last_run INTEGER NOT NULL,
+    PRIMARY KEY (chat_id, scope)
+  );
+
+  -- журнал: запуски тегов (и отказы) и изменения настроек/команд, см. /history
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    chat_id           TEXT NOT NULL,
+    actor_id          INTEGER,
+    action            TEXT NOT NULL,
+    team_slug         TEXT,
+    member_count      INTEGER,
+    target_message_id INTEGER,
+    job_id            INTEGER,
+    outcome           TEXT,
+    details           TEXT,
+    created_at        INTEGER NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_audit_log_chat
+    ON audit_log(chat_id, id);
+  CREATE INDEX IF NOT EXISTS idx_audit_log_job
+    ON audit_log(job_id);
+
+  -- запуски для квот на человека (скользящее окно), kind: tagall | team
+  CREATE TABLE IF NOT EXISTS tag_quota_hits (
+    chat_id TEXT NOT NULL,
+    user_id INTEGER NOT NULL,
+    kind    TEXT NOT NULL,
+    at      INTEGER NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_tag_quota_hits
+    ON tag_quota_hits(chat_id, user_id, kind, at);
+
+  -- /tagall от не-админа в режиме "с одобрением"; command — tagall, tagactive или выражение ("qa,all-managers"),
+  -- notices — JSON [[chat_id, message_id], ...] с кнопками
+  CREATE TABLE IF NOT EXISTS tag_requests (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    chat_id           TEXT NOT NULL,
+    chat_title        TEXT,
+    thread_id         INTEGER,
+    requester_id      INTEGER NOT NULL,
+    command           TEXT NOT NULL,
+    days              INTEGER,
+    target_message_id INTEGER NOT NULL,
+    notices           TEXT,
+    status            TEXT NOT NULL DEFAULT 'pending',
+    decided_by        INTEGER,
+    created_at        INTEGER NOT NULL,
+    expires_at        INTEGER NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_tag_requests_status
+    ON tag_requests(status, expires_at);
 `);
 
+// Новые колонки в уже существующих базах
+function ensureColumn(table, column, definition) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!cols.some((c) => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+ensureColumn("chat_settings", "cooldown_sec", "INTEGER"); // NULL — берём TAGALL_COOLDOWN_SEC
+ensureColumn("chat_settings", "cooldown_split", "INTEGER NOT NULL DEFAULT 0");
+// NULL — берём значения из env (TAGALL_MAX_USERS / TAGALL_CHUNK_SIZE / TAGALL_DELAY_MS)
+ensureColumn("chat_settings", "max_users", "INTEGER");
+ensureColumn("chat_settings", "chunk_size", "INTEGER");
+ensureColumn("chat_settings", "delay_ms", "INTEGER");
+ensureColumn("chat_settings", "tagall_mode", "TEXT NOT NULL DEFAULT 'first'");
+ensureColumn("chat_settings", "tagall_hard_cap", "INTEGER");
+ensureColumn("chat_settings", "active_days", "INTEGER"); // NULL — ACTIVE_DAYS_DEFAULT
+ensureColumn("chat_settings", "timezone", "TEXT"); // NULL — BOT_TIMEZONE
+ensureColumn("chat_settings", "language", "TEXT"); // NULL — BOT_LANGUAGE
+ensureColumn("chat_teams", "join_policy", "TEXT NOT NULL DEFAULT 'closed'");
+ensureColumn("chat_settings", "teams_override_optout", "INTEGER NOT NULL DEFAULT 0");
+ensureColumn("chat_settings", "ack_enabled", "INTEGER NOT NULL DEFAULT 0");
+ensureColumn("mention_jobs", "ack_job_id", "INTEGER"); // NULL — без кнопки «Прочитал»
+// куда сдвинуть курсор режима rotation, когда рассылка дойдёт до конца; NULL — не сдвигать
+ensureColumn("mention_jobs", "rotation_first_seen", "INTEGER");
+ensureColumn("mention_jobs", "rotation_user_id", "INTEGER");
+ensureColumn("chat_settings", "tagall_permission", "TEXT"); // NULL — по старому флагу tagall_only_admins
+ensureColumn("chat_teams", "ping_permission", "TEXT"); // NULL — как у /tagall
+ensureColumn("chat_teams", "title", "TEXT");
+ensureColumn("chat_teams", "description", "TEXT");
+ensureColumn("chat_teams", "emoji", "TEXT");
+// квоты на человека; NULL — без лимита (у админов по умолчанию так и есть)
+ensureColumn("chat_settings", "tag_request_ttl_min", "INTEGER"); // NULL — TAG_REQUEST_TTL_DEFAULT_MIN
+for (const column of ["quota_tagall_day", "quota_tagall_day_admin", "quota_team_hour", "quota_team_hour_admin"]) {
+  ensureColumn("chat_settings", column, "INTEGER");
+}
+// шаблон упоминаний: NULL у команды — как у группы, NULL у группы — по умолчанию
+for (const table of ["chat_settings", "chat_teams"]) {
+  ensureColumn(table, "mention_template", "TEXT");
+  ensureColumn(table, "mention_separator", "TEXT");
+  ensureColumn(table, "mention_style", "TEXT");
+}
+
 const upsertMemberStmt = db.prepare(`
   INSERT INTO chat_members (chat_id, user_id, first_name, last_name, username, is_bot, first_seen, last_seen)
   VALUES (@chat_id, @user_id, @first_name, @last_name, @username, @is_bot, @now, @now)
@@ -74,27 +284,120 @@ const upsertMemberStmt = db.prepare(`
     is_bot     = excluded.is_bot,
     last_seen  = excluded.last_seen
 `);
+// То же, но без обновления last_seen: синк админов и т.п. — это не активность в чате.
+// Новой строке last_seen = 0 (колонка NOT NULL): человек ещё ничего не писал, /tagactive его не видит
+const upsertMemberProfileStmt = db.prepare(`
+  INSERT INTO chat_members (chat_id, user_id, first_name, last_name, username, is_bot, first_seen, last_seen)
+  VALUES (@chat_id, @user_id, @first_name, @last_name, @username, @is_bot, @now, 0)
+  ON CONFLICT(chat_id, user_id) DO UPDATE SET
+    first_name = excluded.first_name,
+    last_name  = excluded.last_name,
+    username   = excluded.username,
+    is_bot     = excluded.is_bot
+`);
+
+const deleteMemberStmt = db.prepare(`
+  DELETE FROM chat_members WHERE chat_id = ? AND user_id = ?
+`);
+const deleteMemberFromTeamsStmt = db.prepare(`
+  DELETE FROM chat_team_members WHERE chat_id = ? AND user_id = ?
+`);
+const deleteMemberRolesStmt = db.prepare(`
+  DELETE FROM chat_managers WHERE chat_id = ? AND user_id = ?
+`);
+const deleteMemberLeadsStmt = db.prepare(`
+  DELETE FROM chat_team_leads WHERE chat_id = ? AND user_id = ?
+`);
+const deleteMemberJoinRequestsStmt = db.prepare(`
+  DELETE FROM team_join_requests WHERE chat_id = ? AND user_id = ?
+`);
+// Только запрет в этой группе: глобальный (chat_id = '*') человек ставил сам для всех чатов
+const deleteMemberOptoutStmt = db.prepare(`
+  DELETE FROM tag_optouts WHERE chat_id = ? AND user_id = ?
+`);
 
 const selectMembersStmt = db.prepare(`
+  SELECT user_id, first_name, last_name, username, first_seen
+  FROM chat_members
+  WHERE chat_id = ?
+    AND is_bot = 0
+    AND user_id NOT IN (SELECT user_id FROM tag_optouts WHERE chat_id IN (chat_members.chat_id, '*'))
+  ORDER BY first_seen ASC, user_id ASC
+  LIMIT ?
+`);
+const selectMembersAfterStmt = db.prepare(`
+  SELECT user_id, first_name, last_name, username, first_seen
+  FROM chat_members
+  WHERE chat_id = @chat_id
+    AND is_bot = 0
+    AND (first_seen > @first_seen OR (first_seen = @first_seen AND user_id > @user_id))
+    AND user_id NOT IN (SELECT user_id FROM tag_optouts WHERE chat_id IN (chat_members.chat_id, '*'))
+  ORDER BY first_seen ASC, user_id ASC
+  LIMIT @limit
+`);
+const selectActiveMembersStmt = db.prepare(`
   SELECT user_id, first_name, last_name, username
   FROM chat_members
   WHERE chat_id = ?
     AND is_bot = 0
-  ORDER BY first_seen ASC
+    AND last_seen >= ?
+    AND user_id NOT IN (SELECT user_id FROM tag_optouts WHERE chat_id IN (chat_members.chat_id, '*'))
+  ORDER BY last_seen DESC
   LIMIT ?
 `);
-
-const getTagallOnlyAdminsStmt = db.prepare(`
-  SELECT tagall_only_admins FROM chat_settings WHERE chat_id = ?
+const countMembersStmt = db.prepare(`
+  SELECT COUNT(*) AS n FROM chat_members WHERE chat_id = ? AND is_bot = 0
 `);
-const setTagallOnlyAdminsStmt = db.prepare(`
-  INSERT INTO chat_settings (chat_id, tagall_only_admins) VALUES (?, ?)
-  ON CONFLICT(chat_id) DO UPDATE SET tagall_only_admins = excluded.tagall_only_admins
+
+const getChatSettingsStmt = db.prepare(`SELECT * FROM chat_settings WHERE chat_id = ?`);
+const setChatSettingStmts = new Map();
+
+function getChatSettings(chatId) {
+  if (chatId == null) return {};
+  return getChatSettingsStmt.get(String(chatId)) || {};
+}
+
+// column — только из кода, не из пользовательского ввода.
+// actorId — кто поменял (пишем в журнал); без него — служебная запись
+function setChatSetting(chatId, column, value, actorId = null) {
+  let stmt = setChatSettingStmts.get(column);
+  if (!stmt) {
+    stmt = db.prepare(`
+      INSERT INTO chat_settings (chat_id, ${column}) VALUES (?, ?)
+      ON CONFLICT(chat_id) DO UPDATE SET ${column} = excluded.${column}
+    `);
+    setChatSettingStmts.set(column, stmt);
+  }
+  stmt.run(String(chatId), value);
+  if (actorId != null) logAudit(chatId, actorId, "setting", { details: { column, value } });
+}
+
+// Audit log
+const AUDIT_KEEP_MS = 90 * 24 * 60 * 60 * 1000;
+
+const insertAuditStmt = db.prepare(`
+  INSERT INTO audit_log (chat_id, actor_id, action, team_slug, member_count, target_message_id, job_id, outcome, details, created_at)
+  VALUES (@chat_id, @actor_id, @action, @team_slug, @member_count, @target_message_id, @job_id, @outcome, @details, @created_at)
 `);
+const setAuditJobOutcomeStmt = db.prepare(`UPDATE audit_log SET outcome = ? WHERE job_id = ?`);
+const pruneAuditStmt = db.prepare(`DELETE FROM audit_log WHERE created_at < ?`);
+
+// actorId = null — бот сам (расписание), API_ACTOR_ID — запрос HTTP API. details — небольшой объект, храним JSON
+const API_ACTOR_ID = 0;
 
-function getTagallOnlyAdmins(chatId) {
-  const row = getTagallOnlyAdminsStmt.get(String(chatId));
-  return row == null ? true : row.tagall_only_admins !== 0;
+function logAudit(chatId, actorId, action, { slug = null, memberCount = null, targetMessageId = null, jobId = null, outcome = null, details = null } = {}) {
+  insertAuditStmt.run({
+    chat_id: String(chatId),
+    actor_id: actorId ?? null,
+    action,
+    team_slug: slug,
+    member_count: memberCount,
+    target_message_id: targetMessageId ?? null,
+    job_id: jobId,
+    outcome,
+    details: details ? JSON.stringify(details) : null,
+    created_at: Date.now()
+  });
 }
 
 // Teams
@@ -106,6 +409,15 @@ const getTeamSlugCaseInsensitiveStmt = db.prepare(`
   SELECT slug FROM chat_teams WHERE chat_id = ? AND LOWER(slug) = LOWER(?) LIMIT 1
 `);
 const listTeamsStmt = db.prepare(`SELECT slug FROM chat_teams WHERE chat_id = ? ORDER BY slug`);
+const getMemberStmt = db.prepare(`
+  SELECT user_id, first_name, last_name, username FROM chat_members WHERE chat_id = ? AND user_id = ?
+`);
+const getMemberByUsernameStmt = db.prepare(`
+  SELECT user_id, first_name, last_name, username
+  FROM chat_members
+  WHERE chat_id = ? AND LOWER(username) = LOWER(?)
+  LIMIT 1
+`);
 const insertTeamMemberStmt = db.prepare(`
   INSERT INTO chat_team_members (chat_id, slug, user_id) VALUES (?, ?, ?)
 `);
@@ -142,6 +454,27 @@ const updateTeamSlugStmt = db.prepare(`
 const updateTeamMembersSlugStmt = db.prepare(`
   UPDATE chat_team_members SET slug = ? WHERE chat_id = ? AND slug = ?
 `);
+const updateJoinRequestsSlugStmt = db.prepare(`
+  UPDATE team_join_requests SET slug = ? WHERE chat_id = ? AND slug = ?
+`);
+const deleteTeamJoinRequestsStmt = db.prepare(`
+  DELETE FROM team_join_requests WHERE chat_id = ? AND slug = ?
+`);
+const updateSubteamsSlugStmt = db.prepare(`
+  UPDATE chat_team_subteams SET slug = ? WHERE chat_id = ? AND slug = ?
+`);
+const updateSubteamsChildSlugStmt = db.prepare(`
+  UPDATE chat_team_subteams SET child_slug = ? WHERE chat_id = ? AND child_slug = ?
+`);
+const deleteTeamSubteamsStmt = db.prepare(`
+  DELETE FROM chat_team_subteams WHERE chat_id = ? AND (slug = ? OR child_slug = ?)
+`);
+const updateTeamLeadsSlugStmt = db.prepare(`
+  UPDATE chat_team_leads SET slug = ? WHERE chat_id = ? AND slug = ?
+`);
+const deleteTeamLeadsStmt = db.prepare(`
+  DELETE FROM chat_team_leads WHERE chat_id = ? AND slug = ?
+`);
 const deleteTeamAllMembersStmt = db.prepare(`
   DELETE FROM chat_team_members WHERE chat_id = ? AND slug = ?
 `);
@@ -150,29 +483,486 @@ const deleteTeamStmt = db.prepare(`
 `);
 
 // Admin menu: state for text input (create team name, rename team)
-const adminInputState = new Map(); // userId -> { chatId, step: 'new_team_slug' | 'rename_team', slug? }
+const adminInputState = new Map(); // userId -> { chatId, step: 'new_team_slug' | 'rename_team' | 'mention_template' | 'team_info' | 'import_members' | 'team_search', slug?, field?, mode? }
 
 // -------------------- Cooldown --------------------
-const tagallLastRun = new Map();
+const COOLDOWN_PRESETS_SEC = [0, 30, 60, 120, 300, 600, 1800, 3600];
+
+const getCooldownStmt = db.prepare(`
+  SELECT last_run FROM tag_cooldowns WHERE chat_id = ? AND scope = ?
+`);
+const setCooldownStmt = db.prepare(`
+  INSERT INTO tag_cooldowns (chat_id, scope, last_run) VALUES (?, ?, ?)
+  ON CONFLICT(chat_id, scope) DO UPDATE SET last_run = excluded.last_run
+`);
+const renameCooldownScopeStmt = db.prepare(`
+  UPDATE tag_cooldowns SET scope = ? WHERE chat_id = ? AND scope = ?
+`);
+const deleteCooldownScopeStmt = db.prepare(`
+  DELETE FROM tag_cooldowns WHERE chat_id = ? AND scope = ?
+`);
 
-function checkCooldown(chatId) {
-  if (COOLDOWN_SEC <= 0) return null;
-  const last = tagallLastRun.get(String(chatId));
+function getCooldownSec(chatId) {
+  const value = getChatSettings(chatId).cooldown_sec;
+  return value == null ? COOLDOWN_SEC : value;
+}
+
+function isCooldownSplit(chatId) {
+  return getChatSettings(chatId).cooldown_split === 1;
+}
+
+function teamCooldownScope(slug) {
+  return `team:${slug}`;
+}
+
+// Общий кулдаун на всё или отдельный для /tagall и каждой команды
+function cooldownScope(chatId, slug) {
+  if (!isCooldownSplit(chatId)) return "all";
+  return slug ? teamCooldownScope(slug) : "tagall";
+}
+
+function checkCooldown(chatId, slug = null) {
+  const cooldownSec = getCooldownSec(chatId);
+  if (cooldownSec <= 0) return null;
+  const last = getCooldownStmt.get(String(chatId), cooldownScope(chatId, slug))?.last_run;
   if (!last) return null;
   const elapsed = (Date.now() - last) / 1000;
-  if (elapsed < COOLDOWN_SEC) return Math.ceil(COOLDOWN_SEC - elapsed);
+  if (elapsed < cooldownSec) return Math.ceil(cooldownSec - elapsed);
   return null;
 }
 
-function setCooldown(chatId) {
-  tagallLastRun.set(String(chatId), Date.now());
+function setCooldown(chatId, slug = null) {
+  setCooldownStmt.run(String(chatId), cooldownScope(chatId, slug), Date.now());
 }
 
-// -------------------- Helpers --------------------
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
+function formatCooldown(lang, sec) {
+  if (sec <= 0) return t(lang, "cooldown.off");
+  if (sec % 60 === 0) return t(lang, "cooldown.min", { n: sec / 60 });
+  return t(lang, "cooldown.sec", { n: sec });
+}
+
+// -------------------- Limits --------------------
+const MAX_USERS_CAP = 500;
+const CHUNK_CAP = 50; // больше не влезает в 4096 символов сообщения
+const DELAY_MS_CAP = 10000;
+
+const LIMIT_FIELDS = {
+  max: { column: "max_users", presets: [25, 50, 100, 200, 300, 500] },
+  chunk: { column: "chunk_size", presets: [5, 10, 20, 30, 50] },
+  delay: { column: "delay_ms", presets: [500, 1000, 1500, 2000, 3000, 5000] }
+};
+
+function getTagLimits(chatId) {
+  const settings = getChatSettings(chatId);
+  return {
+    maxUsers: Math.min(settings.max_users ?? MAX_USERS, MAX_USERS_CAP),
+    chunk: Math.min(settings.chunk_size ?? CHUNK, CHUNK_CAP),
+    delayMs: Math.min(settings.delay_ms ?? DELAY_MS, DELAY_MS_CAP)
+  };
+}
+
+function getDefaultTagLimits() {
+  return getTagLimits(null);
+}
+
+function formatDelay(lang, ms) {
+  return t(lang, "limits.delay", { sec: ms / 1000 });
+}
+
+// -------------------- /tagall mode --------------------
+// first    — первые maxUsers по first_seen (как было всегда)
+// all      — все участники, но не больше жёсткого лимита
+// rotation — по maxUsers за запуск, следующий запуск продолжает с места остановки
+const TAGALL_MODES = {
+  first: "mode.first",
+  all: "mode.all",
+  rotation: "mode.rotation"
+};
+const TAGALL_HARD_CAP_DEFAULT = 500;
+const TAGALL_HARD_CAP_PRESETS = [200, 500, 1000, 2000];
+
+const getRotationStmt = db.prepare(`SELECT first_seen, user_id FROM tagall_rotation WHERE chat_id = ?`);
+const setRotationStmt = db.prepare(`
+  INSERT INTO tagall_rotation (chat_id, first_seen, user_id) VALUES (?, ?, ?)
+  ON CONFLICT(chat_id) DO UPDATE SET first_seen = excluded.first_seen, user_id = excluded.user_id
+`);
+
+function getTagallMode(chatId) {
+  const mode = getChatSettings(chatId).tagall_mode;
+  return TAGALL_MODES[mode] ? mode : "first";
+}
+
+function getTagallHardCap(chatId) {
+  return getChatSettings(chatId).tagall_hard_cap ?? TAGALL_HARD_CAP_DEFAULT;
+}
+
+function selectRotationMembers(chatId, limit) {
+  const cid = String(chatId);
+  const cursor = getRotationStmt.get(cid) || { first_seen: -1, user_id: -1 };
+  let members = selectMembersAfterStmt.all({ chat_id: cid, ...cursor, limit });
+  if (members.length < limit) {
+    // дошли до конца списка — добираем с начала
+    const taken = new Set(members.map((u) => u.user_id));
+    const head = selectMembersStmt.all(cid, limit - members.length).filter((u) => !taken.has(u.user_id));
+    members = members.concat(head);
+  }
+  return members;
 }
 
+// Курсор двигаем только когда рассылка дошла до конца (см. processMentionJob):
+// если она упала или её остановили, эти люди достанутся следующему /tagall
+function advanceTagallRotation(job) {
+  if (job.rotation_user_id == null) return;
+  setRotationStmt.run(job.chat_id, job.rotation_first_seen, job.rotation_user_id);
+}
+
+// Последний из выбранных для /tagall — будущий курсор; null, если чат не в режиме rotation
+function tagallRotationCursor(chatId, members) {
+  if (!members?.length || getTagallMode(chatId) !== "rotation") return null;
+  const last = members[members.length - 1];
+  return { first_seen: last.first_seen, user_id: last.user_id };
+}
+
+function selectTagallMembers(chatId) {
+  const { maxUsers } = getTagLimits(chatId);
+  const mode = getTagallMode(chatId);
+  if (mode === "all") return selectMembersStmt.all(String(chatId), getTagallHardCap(chatId));
+  if (mode === "rotation") return selectRotationMembers(chatId, maxUsers);
+  return selectMembersStmt.all(String(chatId), maxUsers);
+}
+
+// -------------------- /tagactive --------------------
+const ACTIVE_DAYS_DEFAULT = 7;
+const ACTIVE_DAYS_MAX = 365;
+const ACTIVE_DAYS_PRESETS = [1, 3, 7, 14, 30];
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+function getActiveDays(chatId) {
+  return getChatSettings(chatId).active_days ?? ACTIVE_DAYS_DEFAULT;
+}
+
+function selectActiveMembers(chatId, days, slug = null) {
+  const since = Date.now() - days * ONE_DAY_MS;
+  if (slug) {
+    const slugs = JSON.stringify(expandTeamSlugs(chatId, slug));
+    return filterTeamOptouts(chatId, selectActiveTeamsMembersStmt.all(String(chatId), since, slugs));
+  }
+  return selectActiveMembersStmt.all(String(chatId), since, getTagLimits(chatId).maxUsers);
+}
+
+// -------------------- Per-user quotas --------------------
+// tagall — /tagall и /tagactive на всю группу, team — пинги команд и выражений
+const ONE_HOUR_MS = 60 * 60 * 1000;
+const QUOTA_KINDS = {
+  tagall: { windowMs: ONE_DAY_MS, member: "quota_tagall_day", admin: "quota_tagall_day_admin" },
+  team: { windowMs: ONE_HOUR_MS, member: "quota_team_hour", admin: "quota_team_hour_admin" }
+};
+// Ряды экрана квот; 0 — без лимита
+const QUOTA_FIELDS = {
+  tm: { column: "quota_tagall_day", presets: [0, 1, 2, 3, 5, 10] },
+  ta: { column: "quota_tagall_day_admin", presets: [0, 1, 2, 3, 5, 10] },
+  pm: { column: "quota_team_hour", presets: [0, 1, 3, 5, 10, 20] },
+  pa: { column: "quota_team_hour_admin", presets: [0, 1, 3, 5, 10, 20] }
+};
+
+const selectQuotaHitsStmt = db.prepare(`
+  SELECT at FROM tag_quota_hits WHERE chat_id = ? AND user_id = ? AND kind = ? AND at > ? ORDER BY at
+`);
+const insertQuotaHitStmt = db.prepare(`
+  INSERT INTO tag_quota_hits (chat_id, user_id, kind, at) VALUES (?, ?, ?, ?)
+`);
+const pruneQuotaHitsStmt = db.prepare(`DELETE FROM tag_quota_hits WHERE at < ?`);
+const deleteQuotaHitStmt = db.prepare(`DELETE FROM tag_quota_hits WHERE rowid = ?`);
+
+function quotaKindOf(scopes) {
+  return scopes.includes(null) ? "tagall" : "team";
+}
+
+// null — квоты нет. Иначе { limit, used, retrySec } — retrySec, когда освободится место, если всё израсходовано
+async function getTagQuota(ctx, chatId, userId, kind) {
+  const { windowMs, member, admin } = QUOTA_KINDS[kind];
+  const settings = getChatSettings(chatId);
+  if (!settings[member] && !settings[admin]) return null;
+  const limit = settings[(await isAdminInChat(ctx, chatId, userId)) ? admin : member];
+  if (!limit) return null;
+  const now = Date.now();
+  const hits = selectQuotaHitsStmt.all(String(chatId), userId, kind, now - windowMs);
+  const used = hits.length;
+  const retrySec = used >= limit ? Math.ceil((hits[used - limit].at + windowMs - now) / 1000) : 0;
+  return { limit, used, retrySec };
+}
+
+// Возвращает rowid записи: если запуск всё-таки не состоялся, её снимает releaseTagQuotaHit
+function recordTagQuotaHit(chatId, userId, kind) {
+  return insertQuotaHitStmt.run(String(chatId), userId, kind, Date.now()).lastInsertRowid;
+}
+
+function releaseTagQuotaHit(hitId) {
+  if (hitId != null) deleteQuotaHitStmt.run(hitId);
+}
+
+function pruneTagQuotaHits() {
+  pruneQuotaHitsStmt.run(Date.now() - Math.max(...Object.values(QUOTA_KINDS).map((k) => k.windowMs)));
+}
+
+function formatQuotaWait(lang, sec) {
+  if (sec >= 3600) return t(lang, "cooldown.hours", { n: Math.ceil(sec / 3600) });
+  if (sec >= 60) return t(lang, "cooldown.min", { n: Math.ceil(sec / 60) });
+  return t(lang, "cooldown.sec", { n: Math.max(sec, 1) });
+}
+
+// -------------------- Opt-out (/mute_tags) --------------------
+const insertOptoutStmt = db.prepare(`
+  INSERT OR IGNORE INTO tag_optouts (user_id, chat_id, created_at) VALUES (?, ?, ?)
+`);
+const deleteOptoutStmt = db.prepare(`DELETE FROM tag_optouts WHERE user_id = ? AND chat_id = ?`);
+const deleteAllOptoutsStmt = db.prepare(`DELETE FROM tag_optouts WHERE user_id = ?`);
+const hasOptoutStmt = db.prepare(`SELECT 1 FROM tag_optouts WHERE user_id = ? AND chat_id = ?`);
+const selectOptedOutIdsStmt = db.prepare(`
+  SELECT DISTINCT user_id FROM tag_optouts WHERE chat_id IN (?, '*')
+`);
+const countOptedOutMembersStmt = db.prepare(`
+  SELECT COUNT(*) AS n FROM chat_members m
+  WHERE m.chat_id = ? AND m.is_bot = 0
+    AND m.user_id IN (SELECT user_id FROM tag_optouts WHERE chat_id IN (m.chat_id, '*'))
+`);
+
+function teamsOverrideOptout(chatId) {
+  return getChatSettings(chatId).teams_override_optout === 1;
+}
+
+// Для команд запрет учитываем, только если админ не разрешил командам его перекрывать
+function filterTeamOptouts(chatId, members) {
+  if (teamsOverrideOptout(chatId)) return members;
+  const muted = new Set(selectOptedOutIdsStmt.all(String(chatId)).map((r) => r.user_id));
+  return muted.size ? members.filter((u) => !muted.has(u.user_id)) : members;
+}
+
+function selectTeamMembers(chatId, slug) {
+  return filterTeamOptouts(chatId, selectTeamTreeMembers(chatId, slug));
+}
+
+// -------------------- Nested teams --------------------
+const selectSubteamsStmt = db.prepare(`
+  SELECT child_slug FROM chat_team_subteams WHERE chat_id = ? AND slug = ? ORDER BY child_slug
+`);
+const insertSubteamStmt = db.prepare(`
+  INSERT OR IGNORE INTO chat_team_subteams (chat_id, slug, child_slug) VALUES (?, ?, ?)
+`);
+const deleteSubteamStmt = db.prepare(`
+  DELETE FROM chat_team_subteams WHERE chat_id = ? AND slug = ? AND child_slug = ?
+`);
+// slugs — JSON-массив: команда и все вложенные в неё; человек из нескольких попадает один раз
+const selectTeamsMembersStmt = db.prepare(`
+  SELECT m.user_id, m.first_name, m.last_name, m.username
+  FROM chat_members m
+  WHERE m.chat_id = ?
+    AND m.user_id IN (SELECT user_id FROM chat_team_members WHERE chat_id = m.chat_id AND slug IN (SELECT value FROM json_each(?)))
+  ORDER BY m.first_seen ASC
+`);
+const selectActiveTeamsMembersStmt = db.prepare(`
+  SELECT m.user_id, m.first_name, m.last_name, m.username
+  FROM chat_members m
+  WHERE m.chat_id = ? AND m.last_seen >= ?
+    AND m.user_id IN (SELECT user_id FROM chat_team_members WHERE chat_id = m.chat_id AND slug IN (SELECT value FROM json_each(?)))
+  ORDER BY m.last_seen DESC
+`);
+const isTeamsMemberStmt = db.prepare(`
+  SELECT 1 FROM chat_team_members WHERE chat_id = ? AND user_id = ? AND slug IN (SELECT value FROM json_each(?))
+`);
+
+// Команда и всё, что в неё вложено, на любую глубину. Уже пройденные пропускаем — так циклы не зависают
+function expandTeamSlugs(chatId, slug) {
+  const cid = String(chatId);
+  const seen = new Set();
+  const stack = [slug];
+  while (stack.length) {
+    const current = stack.pop();
+    if (seen.has(current)) continue;
+    seen.add(current);
+    for (const row of selectSubteamsStmt.all(cid, current)) stack.push(row.child_slug);
+  }
+  return [...seen];
+}
+
+// Без учёта /mute_tags — для проверок «есть ли кто-то в команде»
+function selectTeamTreeMembers(chatId, slug) {
+  return selectTeamsMembersStmt.all(String(chatId), JSON.stringify(expandTeamSlugs(chatId, slug)));
+}
+
+function isTeamTreeMember(chatId, slug, userId) {
+  return Boolean(isTeamsMemberStmt.get(String(chatId), userId, JSON.stringify(expandTeamSlugs(chatId, slug))));
+}
+
+function getSubteams(chatId, slug) {
+  return selectSubteamsStmt.all(String(chatId), slug).map((row) => row.child_slug);
+}
+
+// "added" | "exists" | "cycle" — вложение, при котором команда включила бы саму себя, не сохраняем
+function addSubteam(chatId, slug, child, actorId = null) {
+  const cid = String(chatId);
+  if (expandTeamSlugs(cid, child).includes(slug)) return "cycle";
+  if (!insertSubteamStmt.run(cid, slug, child).changes) return "exists";
+  logAudit(cid, actorId, "subteam_add", { slug, details: { child } });
+  return "added";
+}
+
+function removeSubteam(chatId, slug, child, actorId = null) {
+  if (!deleteSubteamStmt.run(String(chatId), slug, child).changes) return false;
+  logAudit(chatId, actorId, "subteam_remove", { slug, details: { child } });
+  return true;
+}
+
+// Разовое выражение из сообщения: /backend+frontend, /all-managers.
+// Считается слева направо; all — все участники чата, если нет команды с таким именем
+function parseTeamExpression(expr, chatId) {
+  const terms = [];
+  for (const [, op, name] of expr.matchAll(/([+-]?)(\w+)/g)) {
+    const slug = findTeamSlug(chatId, name);
+    if (!slug && name.toLowerCase() !== "all") return null;
+    terms.push({ exclude: op === "-", slug });
+  }
+  return terms;
+}
+
+function formatTeamExpression(terms) {
+  return terms.map((term, i) => (i ? (term.exclude ? "-" : "+") : "") + (term.slug ?? "all")).join("");
+}
+
+function selectTeamExpressionMembers(chatId, terms) {
+  const cid = String(chatId);
+  const result = new Map();
+  for (const term of terms) {
+    let members;
+    // «all» — тот же набор, что у /tagall (режим и лимиты чата); вычитание «all» убирает всех, а не срез ротации
+    if (!term.slug) members = term.exclude ? selectMembersStmt.all(cid, getTagallHardCap(cid)) : selectTagallMembers(cid);
+    else members = term.exclude ? selectTeamTreeMembers(cid, term.slug) : selectTeamMembers(cid, term.slug);
+    for (const u of members) {
+      if (term.exclude) result.delete(u.user_id);
+      else result.set(u.user_id, u);
+    }
+  }
+  return [...result.values()];
+}
+
+// Несколько выражений в одном сообщении: каждое считаем само по себе, участников объединяем
+function selectTeamGroupsMembers(chatId, groups) {
+  const result = new Map();
+  for (const terms of groups) {
+    for (const u of selectTeamExpressionMembers(chatId, terms)) result.set(u.user_id, u);
+  }
+  return [...result.values()];
+}
+
+// -------------------- Permissions --------------------
+// Уровни по возрастанию. Админы Telegram проходят всегда, менеджеры — везде, кроме "admins",
+// лиды и участники — только для своей команды
+const PERMISSION_LEVELS = ["all", "members", "leads", "managers", "admins"];
+// approval — сами запускают только админы, остальные отправляют заявку (см. Tag approval requests)
+const TAGALL_PERMISSIONS = ["all", "managers", "approval", "admins"];
+
+const isManagerStmt = db.prepare(`SELECT 1 FROM chat_managers WHERE chat_id = ? AND user_id = ?`);
+const insertManagerStmt = db.prepare(`
+  INSERT OR IGNORE INTO chat_managers (chat_id, user_id, created_at) VALUES (?, ?, ?)
+`);
+const deleteManagerStmt = db.prepare(`DELETE FROM chat_managers WHERE chat_id = ? AND user_id = ?`);
+const countManagersStmt = db.prepare(`SELECT COUNT(*) AS n FROM chat_managers WHERE chat_id = ?`);
+const isTeamLeadStmt = db.prepare(`SELECT 1 FROM chat_team_leads WHERE chat_id = ? AND slug = ? AND user_id = ?`);
+const insertTeamLeadStmt = db.prepare(`
+  INSERT OR IGNORE INTO chat_team_leads (chat_id, slug, user_id) VALUES (?, ?, ?)
+`);
+const deleteTeamLeadStmt = db.prepare(`DELETE FROM chat_team_leads WHERE chat_id = ? AND slug = ? AND user_id = ?`);
+const countTeamLeadsStmt = db.prepare(`SELECT COUNT(*) AS n FROM chat_team_leads WHERE chat_id = ? AND slug = ?`);
+const getTeamPingPermissionStmt = db.prepare(`SELECT ping_permission FROM chat_teams WHERE chat_id = ? AND slug = ?`);
+const setTeamPingPermissionStmt = db.prepare(`UPDATE chat_teams SET ping_permission = ? WHERE chat_id = ? AND slug = ?`);
+
+function setTeamPingPermission(chatId, slug, value, actorId) {
+  setTeamPingPermissionStmt.run(value, String(chatId), slug);
+  logAudit(chatId, actorId, "setting", { slug, details: { column: "ping_permission", value } });
+}
+
+function isChatManager(chatId, userId) {
+  return Boolean(isManagerStmt.get(String(chatId), userId));
+}
+
+function getTagallPermission(chatId) {
+  const settings = getChatSettings(chatId);
+  if (TAGALL_PERMISSIONS.includes(settings.tagall_permission)) return settings.tagall_permission;
+  return settings.tagall_only_admins === 0 ? "all" : "admins";
+}
+
+// null — своего правила нет, действует правило /tagall
+function getTeamPingPermission(chatId, slug) {
+  const level = getTeamPingPermissionStmt.get(String(chatId), slug)?.ping_permission;
+  return PERMISSION_LEVELS.includes(level) ? level : null;
+}
+
+// Для проверки прав approval — это "admins": заявки есть только у /tagall и /tagactive,
+// команды без своего правила в этом режиме тегают только админы
+function getPingPermission(chatId, slug = null) {
+  const level = (slug && getTeamPingPermission(chatId, slug)) || getTagallPermission(chatId);
+  return level === "approval" ? "admins" : level;
+}
+
+async function getUserRole(ctx, chatId, userId, slug = null) {
+  if (await isAdminInChat(ctx, chatId, userId)) return "admins";
+  if (isChatManager(chatId, userId)) return "managers";
+  const cid = String(chatId);
+  if (slug && isTeamLeadStmt.get(cid, slug, userId)) return "leads";
+  if (slug && isTeamTreeMember(cid, slug, userId)) return "members";
+  return "all";
+}
+
+async function canPing(ctx, chatId, userId, slug = null) {
+  const level = getPingPermission(chatId, slug);
+  if (level === "all") return true;
+  const role = await getUserRole(ctx, chatId, userId, slug);
+  return PERMISSION_LEVELS.indexOf(role) >= PERMISSION_LEVELS.indexOf(level);
+}
+
+async function canManageTeams(ctx, chatId, userId) {
+  if (isChatManager(chatId, userId)) return true;
+  return isAdminInChat(ctx, chatId, userId);
+}
+
+// "full" — все настройки, "teams" — только подгруппы (менеджер), null — нет доступа
+async function getAdminAccess(ctx, chatId, userId) {
+  if (await isAdminInChat(ctx, chatId, userId)) return "full";
+  return isChatManager(chatId, userId) ? "teams" : null;
+}
+
+// -------------------- Language --------------------
+// Все строки интерфейса — в locales/*.js под общими ключами; чего нет в каталоге, берём из русского
+const LOCALES = { ru, en };
+const DEFAULT_LANGUAGE = LOCALES[process.env.BOT_LANGUAGE] ? process.env.BOT_LANGUAGE : "ru";
+
+function t(lang, key, vars = {}) {
+  const entry = LOCALES[lang]?.[key] ?? LOCALES.ru[key];
+  if (entry == null) return key;
+  return typeof entry === "function" ? entry(vars) : entry;
+}
+
+function normalizeLanguage(code) {
+  const lang = String(code || "").slice(0, 2).toLowerCase();
+  return LOCALES[lang] ? lang : null;
+}
+
+function getChatLanguage(chatId) {
+  return normalizeLanguage(getChatSettings(chatId).language) ?? DEFAULT_LANGUAGE;
+}
+
+// В группе — язык группы из /admin, в личке — язык Telegram у самого пользователя
+function ctxLanguage(ctx) {
+  if (ctx.chat?.type === "private") return normalizeLanguage(ctx.from?.language_code) ?? DEFAULT_LANGUAGE;
+  return ctx.chat?.id != null ? getChatLanguage(ctx.chat.id) : DEFAULT_LANGUAGE;
+}
+
+bot.use((ctx, next) => {
+  ctx.lang = ctxLanguage(ctx);
+  return next();
+});
+
+// -------------------- Helpers --------------------
 function escapeHtml(s = "") {
   return String(s)
     .replaceAll("&", "&amp;")
@@ -185,6 +975,14 @@ const SLUG_MAX_LEN = 32;
 const SLUG_REGEX = /^[a-zA-Z0-9_]+$/;
 const TEAM_BUTTON_NAME_MAX = 28;
 
+// Имена, которые нельзя занять командой: иначе /addto и т.п. начнут тегать вместо своей работы
+const RESERVED_SLUGS = new Set([
+  "tagall", "tagactive", "start", "help", "admin", "ping", "teams",
+  "newteam", "manage", "delteam", "renameteam", "addto", "removefrom",
+  "schedule", "unschedule", "timezone", "join", "leave", "mute_tags", "unmute_tags", "who_ack", "team",
+  "history"
+]);
+
 function normalizeTeamSlugInput(input = "") {
   let s = String(input).trim();
   // принимаем "bar" и "/bar"
@@ -194,6 +992,14 @@ function normalizeTeamSlugInput(input = "") {
   return s;
 }
 
+function teamSlugError(lang, slug) {
+  if (!slug || slug.length > SLUG_MAX_LEN || !SLUG_REGEX.test(slug)) {
+    return t(lang, "slug.invalid");
+  }
+  if (RESERVED_SLUGS.has(slug.toLowerCase())) return t(lang, "slug.reserved", { slug });
+  return null;
+}
+
 
 function displayName(u) {
   const full =
@@ -203,6 +1009,12 @@ function displayName(u) {
   return `id:${u.user_id}`;
 }
 
+// Как displayName, но без «@»: @username в тексте — это упоминание, а списки должны быть тихими
+function plainName(u) {
+  const full = [u.first_name, u.last_name].filter(Boolean).join(" ").trim();
+  return full || u.username || `id:${u.user_id}`;
+}
+
 function shortNameForButton(u) {
   const name = displayName(u);
   if (name.length <= TEAM_BUTTON_NAME_MAX) return name;
@@ -224,8 +1036,8 @@ function mentionHtml(u) {
 }
 
 function isGroupChat(ctx) {
-  const t = ctx.chat?.type;
-  return t === "group" || t === "supergroup";
+  const type = ctx.chat?.type;
+  return type === "group" || type === "supergroup";
 }
 
 async function isAdmin(ctx, userId) {
@@ -247,9 +1059,10 @@ async function isAdminInChat(ctx, chatId, userId) {
   }
 }
 
-function storeUser(chatId, user) {
+function storeUser(chatId, user, { active = true } = {}) {
   if (!chatId || !user || !user.id) return;
-  upsertMemberStmt.run({
+  const stmt = active ? upsertMemberStmt : upsertMemberProfileStmt;
+  stmt.run({
     chat_id: String(chatId),
     user_id: user.id,
     first_name: user.first_name ?? null,
@@ -260,67 +1073,115 @@ function storeUser(chatId, user) {
   });
 }
 
-// -------------------- Collect members --------------------
-bot.on("message", async (ctx, next) => {
-  if (ctx.from && ctx.chat?.id) {
-    storeUser(ctx.chat.id, ctx.from);
-  }
-  const state = adminInputState.get(ctx.from.id);
-  if (state && (state.step === "new_team_slug" || state.step === "rename_team") && ctx.message?.text) {
+const forgetUserTx = db.transaction((chatId, userId) => {
+  deleteMemberFromTeamsStmt.run(chatId, userId);
+  deleteMemberRolesStmt.run(chatId, userId);
+  deleteMemberLeadsStmt.run(chatId, userId);
+  deleteMemberJoinRequestsStmt.run(chatId, userId);
+  deleteMemberOptoutStmt.run(chatId, userId);
+  deleteMemberStmt.run(chatId, userId);
+});
+
+// Ушедших/кикнутых убираем из базы целиком (и из всех команд), чтобы их не тегали.
+function forgetUser(chatId, userId) {
+  if (!chatId || !userId) return;
+  forgetUserTx(String(chatId), userId);
+}
+
+// restricted приходит и для тех, кто ещё в группе, поэтому смотрим на is_member
+function isDepartedStatus(member) {
+  const status = member?.status;
+  if (status === "left" || status === "kicked") return true;
+  return status === "restricted" && member.is_member === false;
+}
+
+// Ответ на открытый запрос ввода: текст в том же чате, где показан запрос; команды (/tagall и т.п.) работают как обычно
+function isPromptInput(ctx, state) {
+  const text = ctx.message?.text;
+  return Boolean(text) && !text.startsWith("/") && String(ctx.chat?.id) === String(state.msgChatId);
+}
+
+// -------------------- Collect members --------------------
+bot.on("message", async (ctx, next) => {
+  if (ctx.from && ctx.chat?.id) {
+    // сервисное «вступил в группу» — не активность: иначе /tagactive тегнёт тех, кто ещё ничего не писал
+    const joined = ctx.message?.new_chat_members?.some((m) => m.id === ctx.from.id);
+    storeUser(ctx.chat.id, ctx.from, { active: !joined });
+  }
+  const state = adminInputState.get(ctx.from.id);
+  if (state?.step === "mention_template" && isPromptInput(ctx, state)) {
+    await handleMentionTemplateInput(ctx, state);
+    return;
+  }
+  if (state?.step === "team_info" && isPromptInput(ctx, state)) {
+    await handleTeamInfoInput(ctx, state);
+    return;
+  }
+  // команды (/admin и т.п.) во время импорта работают как обычно
+  if (state?.step === "import_members" && ctx.chat?.type === "private" && !ctx.message?.text?.startsWith("/")) {
+    await handleMemberImportInput(ctx, state);
+    return;
+  }
+  if (state?.step === "team_search" && isPromptInput(ctx, state)) {
+    await handleTeamSearchInput(ctx, state);
+    return;
+  }
+  if (state && (state.step === "new_team_slug" || state.step === "rename_team") && ctx.message?.text) {
     const raw = ctx.message.text.trim();
 const text = normalizeTeamSlugInput(raw);
     const cid = state.chatId;
     const isPrivate = ctx.chat.type === "private";
     if (state.step === "new_team_slug") {
-      if (!text || text.length > SLUG_MAX_LEN || !SLUG_REGEX.test(text)) {
-        await ctx.reply("Неверный формат. Только латиница, цифры и _ до 32 символов.");
+      const err = teamSlugError(ctx.lang, text);
+      if (err) {
+        await ctx.reply(err);
         return;
       }
       if (getTeamStmt.get(cid, text)) {
-        await ctx.reply(`Команда /${text} уже есть.`);
+        await ctx.reply(t(ctx.lang, "team.exists", { slug: text }));
         return;
       }
-      insertTeamStmt.run(cid, text);
+      createTeam(cid, text, ctx.from.id);
       adminInputState.delete(ctx.from.id);
       if (state.msgChatId != null && state.msgId != null) {
         const kbd = {
           inline_keyboard: [
-            [{ text: "Настроить", callback_data: CB.team(isPrivate ? cid : null, text) }],
-            [{ text: "← К списку команд", callback_data: isPrivate ? CB.teams(cid) : CB.teams(null) }]
+            [{ text: t(ctx.lang, "team.configure"), callback_data: CB.team(isPrivate ? cid : null, text) }],
+            [{ text: t(ctx.lang, "team.backToList"), callback_data: isPrivate ? CB.teams(cid) : CB.teams(null) }]
           ]
         };
-        await ctx.telegram.editMessageText(state.msgChatId, state.msgId, null, `Команда /${text} создана.`, { reply_markup: kbd }).catch(() => {});
+        await ctx.telegram.editMessageText(state.msgChatId, state.msgId, null, t(ctx.lang, "team.created", { slug: text }), { reply_markup: kbd }).catch(() => {});
       } else {
-        await ctx.reply(`Команда /${text} создана. Настрой через /admin.`);
+        await ctx.reply(t(ctx.lang, "team.createdUseAdmin", { slug: text }));
       }
       return;
     }
     if (state.step === "rename_team") {
       const oldSlug = state.slug;
-      if (!text || text.length > SLUG_MAX_LEN || !SLUG_REGEX.test(text)) {
-        await ctx.reply("Неверный формат. Только латиница, цифры и _ до 32 символов.");
+      const err = teamSlugError(ctx.lang, text);
+      if (err) {
+        await ctx.reply(err);
         return;
       }
       if (text === oldSlug) {
         adminInputState.delete(ctx.from.id);
         if (state.msgChatId != null && state.msgId != null) {
           const n = getTeamMemberCount(cid, oldSlug);
-          await ctx.telegram.editMessageText(state.msgChatId, state.msgId, null, `Команда /${oldSlug}. Участников: ${n}`, { reply_markup: buildTeamScreenKeyboard(isPrivate, isPrivate ? cid : null, oldSlug) }).catch(() => {});
+          await ctx.telegram.editMessageText(state.msgChatId, state.msgId, null, t(ctx.lang, "team.screen", { slug: oldSlug, n }), { reply_markup: buildTeamScreenKeyboard(ctx.lang, isPrivate, isPrivate ? cid : null, oldSlug) }).catch(() => {});
         }
         return;
       }
       if (getTeamStmt.get(cid, text)) {
-        await ctx.reply(`Команда /${text} уже есть.`);
+        await ctx.reply(t(ctx.lang, "team.exists", { slug: text }));
         return;
       }
-      updateTeamSlugStmt.run(text, cid, oldSlug);
-      updateTeamMembersSlugStmt.run(text, cid, oldSlug);
+      renameTeam(cid, oldSlug, text, ctx.from.id);
       adminInputState.delete(ctx.from.id);
       if (state.msgChatId != null && state.msgId != null) {
         const n = getTeamMemberCount(cid, text);
-        await ctx.telegram.editMessageText(state.msgChatId, state.msgId, null, `Команда /${text}. Участников: ${n}`, { reply_markup: buildTeamScreenKeyboard(isPrivate, isPrivate ? cid : null, text) }).catch(() => {});
+        await ctx.telegram.editMessageText(state.msgChatId, state.msgId, null, t(ctx.lang, "team.screen", { slug: text, n }), { reply_markup: buildTeamScreenKeyboard(ctx.lang, isPrivate, isPrivate ? cid : null, text) }).catch(() => {});
       } else {
-        await ctx.reply(`Переименовано в /${text}.`);
+        await ctx.reply(t(ctx.lang, "team.renamedTo", { slug: text }));
       }
       return;
     }
@@ -332,7 +1193,25 @@ bot.on("new_chat_members", async (ctx) => {
   const chatId = ctx.chat?.id;
   const members = ctx.message?.new_chat_members || [];
   for (const m of members) {
-    storeUser(chatId, m);
+    storeUser(chatId, m, { active: false });
+  }
+});
+
+bot.on("left_chat_member", async (ctx) => {
+  const left = ctx.message?.left_chat_member;
+  if (!left) return;
+  forgetUser(ctx.chat?.id, left.id);
+});
+
+// Приходит только если бот админ и chat_member есть в allowedUpdates (см. запуск)
+bot.on("chat_member", async (ctx) => {
+  const upd = ctx.chatMember;
+  const user = upd?.new_chat_member?.user;
+  if (!upd || !user) return;
+  if (isDepartedStatus(upd.new_chat_member)) {
+    forgetUser(upd.chat.id, user.id);
+  } else {
+    storeUser(upd.chat.id, user, { active: false });
   }
 });
 
@@ -343,81 +1222,158 @@ bot.on("message", async (ctx, next) => {
   const chatId = String(ctx.chat.id);
   const commandInfo = parseTagCommand(text, chatId);
   if (!commandInfo) return next();
+  if (commandInfo.type === "unsupported") {
+    await ctx.reply(t(ctx.lang, "tag.notCombinable", { command: commandInfo.command }));
+    return;
+  }
   const targetMessageId = getTargetMessageId(ctx, commandInfo);
   if (!targetMessageId) {
-    await ctx.reply(
-      "Ответь (reply) на важное сообщение или добавь текст/фото/видео к команде — бот ответит на нужное сообщение."
-    );
+    await ctx.reply(t(ctx.lang, "tag.needTarget"));
     return;
   }
+  const commandName = commandInfo.expr ?? commandInfo.slug ?? (commandInfo.type === "active" ? "tagactive" : "tagall");
+  let quotaHit = null; // запись квоты, занятая под этот запуск
+  // отказы тоже в журнал: видно, кто пытался тегать; занятую квоту отдаём обратно
+  const logRejected = (outcome) => {
+    releaseTagQuotaHit(quotaHit);
+    quotaHit = null;
+    logAudit(chatId, ctx.from.id, "tag", { slug: commandInfo.expr ?? commandInfo.slug ?? null, targetMessageId, outcome, details: { command: commandName } });
+  };
+  // выражение и несколько команд в сообщении — один запуск: права и кулдаун проверяем у каждой команды, отвечаем один раз
+  const scopes = tagScopes(commandInfo);
   try {
-    const onlyAdmins = getTagallOnlyAdmins(chatId);
-    if (onlyAdmins) {
-      const ok = await isAdmin(ctx, ctx.from.id);
-      if (!ok) {
-        await ctx.reply("⛔️ Команда доступна только админам группы.");
-        return;
+    // заявку (режим approval) отправляем после проверок кулдауна и квоты: при одобрении квота спишется с автора
+    let needsApproval = false;
+    for (const scope of scopes) {
+      if (await canPing(ctx, chatId, ctx.from.id, scope)) continue;
+      const who = t(ctx.lang, `perm.who.${getPingPermission(chatId, scope)}`);
+      const command = scope ?? (commandInfo.type === "active" ? "tagactive" : "tagall");
+      if (scope == null && getTagallPermission(chatId) === "approval") {
+        // остальные команды выражения всё равно проверяем: отказ по любой из них — отказ целиком
+        needsApproval = true;
+        continue;
       }
+      logRejected("denied");
+      await ctx.reply(t(ctx.lang, "tag.denied", { command, who }));
+      return;
+    }
+    const waits = scopes.map((scope) => checkCooldown(chatId, scope)).filter((sec) => sec != null);
+    if (waits.length) {
+      logRejected("cooldown");
+      await ctx.reply(t(ctx.lang, "tag.cooldownWait", { sec: Math.max(...waits) }));
+      return;
+    }
+    const quotaKind = quotaKindOf(scopes);
+    const quota = await getTagQuota(ctx, chatId, ctx.from.id, quotaKind);
+    const quotaName = t(ctx.lang, `quota.kind.${quotaKind}`);
+    if (quota && quota.used >= quota.limit) {
+      logRejected("quota");
+      await ctx.reply(t(ctx.lang, "tag.quotaExceeded", { kind: quotaName, limit: quota.limit, wait: formatQuotaWait(ctx.lang, quota.retrySec) }));
+      return;
     }
-    const waitSec = checkCooldown(chatId);
-    if (waitSec != null) {
-      await ctx.reply(`Подожди ещё ${waitSec} сек. перед следующим тегом.`);
+    if (needsApproval) {
+      await submitTagRequest(ctx, chatId, commandInfo, targetMessageId);
       return;
     }
+    // квоту занимаем сразу после проверки, до следующего await: иначе апдейты из одной пачки пройдут её все
+    if (quota) quotaHit = recordTagQuotaHit(chatId, ctx.from.id, quotaKind);
     if (commandInfo.type === "tagall") {
-      const members = selectMembersStmt.all(chatId, MAX_USERS);
+      const { chunk } = getTagLimits(chatId);
+      const members = selectTagallMembers(chatId);
+      if (!members.length) {
+        logRejected("empty");
+        await ctx.reply(t(ctx.lang, "tag.noMembers"));
+        return;
+      }
+      setCooldown(chatId, null);
+      console.log(`tagall chat=${chatId} mode=${getTagallMode(chatId)} members=${members.length} chunks=${Math.ceil(members.length / chunk)}`);
+      await sendMentionChunks(ctx, chatId, targetMessageId, members, null, commandName, members);
+    } else if (commandInfo.type === "active") {
+      const { days, slug } = commandInfo;
+      const members = selectActiveMembers(chatId, days, slug);
       if (!members.length) {
-        await ctx.reply("Пока некого упоминать: я ещё не собрал базу участников.");
+        logRejected("empty");
+        await ctx.reply(slug ? t(ctx.lang, "tag.noActiveTeam", { slug, days }) : t(ctx.lang, "tag.noActive", { days }));
         return;
       }
-      setCooldown(chatId);
-      console.log(`tagall chat=${chatId} members=${members.length} chunks=${Math.ceil(members.length / CHUNK)}`);
-      await sendMentionChunks(ctx, chatId, targetMessageId, members, null);
+      setCooldown(chatId, slug);
+      console.log(`tagactive chat=${chatId} days=${days} team=${slug || "-"} members=${members.length}`);
+      await sendMentionChunks(ctx, chatId, targetMessageId, members, slug, "tagactive");
+    } else if (commandInfo.type === "combo") {
+      const { groups, terms, expr } = commandInfo;
+      const members = selectTeamGroupsMembers(chatId, groups);
+      if (!members.length) {
+        logRejected("empty");
+        await ctx.reply(t(ctx.lang, "tag.exprEmpty", { expr: expr.replaceAll(",", " /") }));
+        return;
+      }
+      for (const scope of scopes) setCooldown(chatId, scope);
+      console.log(`team expr chat=${chatId} expr=${expr} members=${members.length}`);
+      // выражение вместо slug: подпись {label} и отчёт /who_ack покажут, кого тегали
+      const rotationMembers = terms.some((term) => !term.slug && !term.exclude) ? selectTagallMembers(chatId) : null;
+      await sendMentionChunks(ctx, chatId, targetMessageId, members, expr, null, rotationMembers);
     } else {
       const slug = commandInfo.slug;
-      const members = selectTeamMembersStmt.all(chatId, slug);
+      const members = selectTeamMembers(chatId, slug);
       if (!members.length) {
-        await ctx.reply(`В команде /${slug} пока никого. Добавь участников через /admin → Подгруппы.`);
+        logRejected("empty");
+        const hasMembers = selectTeamTreeMembers(chatId, slug).length > 0;
+        await ctx.reply(
+          hasMembers
+            ? t(ctx.lang, "tag.teamAllMuted", { slug })
+            : t(ctx.lang, "tag.teamEmpty", { slug })
+        );
         return;
       }
-      setCooldown(chatId);
+      setCooldown(chatId, slug);
       await sendMentionChunks(ctx, chatId, targetMessageId, members, slug);
     }
+    // сюда доходим только после запуска: пустые команды вышли раньше, квота потрачена
+    quotaHit = null;
+    if (quota) {
+      await ctx.reply(t(ctx.lang, "tag.quotaLeft", { kind: quotaName, left: quota.limit - quota.used - 1, limit: quota.limit }));
+    }
   } catch (e) {
-    const slug = commandInfo.type === "team" ? commandInfo.slug : "tagall";
-    console.error(`tag error /${slug}:`, e?.stack || e);
-    await ctx.reply("❌ Ошибка. Посмотри логи бота.").catch(() => {});
+    // запуск не поставили в очередь — квоту не тратим
+    releaseTagQuotaHit(quotaHit);
+    console.error(`tag error /${commandName}:`, e?.stack || e);
+    await ctx.reply(t(ctx.lang, "common.failed")).catch(() => {});
   }
 });
 
 // -------------------- Commands --------------------
 bot.start(async (ctx) => {
-  await ctx.reply(
-    "Привет! Я бот для массовых упоминаний в группах.\n\n" +
-    "Как начать:\n" +
-    "1) Добавь меня в нужную группу и дай права администратора.\n" +
-    "2) Попроси участников написать в чат хотя бы 1 сообщение — только после этого я смогу их «увидеть» и добавить в базу.\n\n" +
-    "Основная команда:\n" +
-    "• /tagall — можно ответить (Reply) на сообщение или написать /tagall вместе с текстом/фото/видео. Я отвечу на нужное сообщение и упомяну участников пачками (по 20 в сообщении).\n\n" +
-    "Лимиты и защита:\n" +
-    "• максимум 100 упоминаний за один запуск\n" +
-    "• небольшая задержка между пачками\n" +
-    "• кулдаун между запусками, чтобы не спамили\n\n" +
-    "Подгруппы (команды):\n" +
-    "Админ может создать команду (например /friends) и добавить туда людей. Потом можно тегать только их: Reply на сообщение или текст/фото/видео + /friends.\n\n" +
-    "Настройки и управление:\n" +
-    "• /admin — меню админа (кто может тегать, подгруппы и т.д.)\n" +
-    "• /help — подсказки по командам"
-  );
+  const limits = isGroupChat(ctx) ? getTagLimits(ctx.chat.id) : getDefaultTagLimits();
+  await ctx.reply(t(ctx.lang, "start.help", { chunk: limits.chunk, maxUsers: limits.maxUsers }));
+});
+
+
+// В личке — запрет во всех группах, в группе — только в этой (или во всех с "all")
+bot.command("mute_tags", async (ctx) => {
+  const global = !isGroupChat(ctx) || ctx.args[0]?.toLowerCase() === "all";
+  insertOptoutStmt.run(ctx.from.id, global ? "*" : String(ctx.chat.id), Date.now());
+  await ctx.reply(t(ctx.lang, global ? "mute.global" : "mute.chat"));
 });
 
+bot.command("unmute_tags", async (ctx) => {
+  const userId = ctx.from.id;
+  if (!isGroupChat(ctx) || ctx.args[0]?.toLowerCase() === "all") {
+    deleteAllOptoutsStmt.run(userId);
+    return ctx.reply(t(ctx.lang, "unmute.global"));
+  }
+  deleteOptoutStmt.run(userId, String(ctx.chat.id));
+  if (hasOptoutStmt.get(userId, "*")) {
+    return ctx.reply(t(ctx.lang, "unmute.globalStillOn"));
+  }
+  await ctx.reply(t(ctx.lang, "unmute.chat"));
+});
 
 bot.command("ping", async (ctx) => {
   try {
     db.prepare("SELECT 1").get();
     await ctx.reply("OK");
   } catch (e) {
-    await ctx.reply("Ошибка БД");
+    await ctx.reply(t(ctx.lang, "ping.dbError"));
   }
 });
 
@@ -439,49 +1395,399 @@ const CB = {
   delOk: (cid, slug) => (cid == null ? `adm_delok:${slug}` : `adm_delok:${cid}:${slug}`),
   newteam: (cid) => (cid == null ? "adm_new" : `adm_new:${cid}`),
   who: (cid, w) => (cid == null ? `adm_who:${w}` : `adm_who:${cid}:${w}`),
+  requestTtl: (cid, min) => (cid == null ? `adm_rqt:${min}` : `adm_rqt:${cid}:${min}`),
+  managers: (cid, page) => (cid == null ? `adm_mgr:${page}` : `adm_mgr:${cid}:${page}`),
+  managerToggle: (cid, uid) => (cid == null ? `adm_mgrt:${uid}` : `adm_mgrt:${cid}:${uid}`),
+  teamPerm: (cid, slug) => (cid == null ? `adm_tp:${slug}` : `adm_tp:${cid}:${slug}`),
+  teamPermSet: (cid, slug, level) => (cid == null ? `adm_tps:${slug}:${level}` : `adm_tps:${cid}:${slug}:${level}`),
+  leads: (cid, slug, page) => (cid == null ? `adm_ld:${slug}:${page}` : `adm_ld:${cid}:${slug}:${page}`),
+  leadToggle: (cid, slug, uid) => (cid == null ? `adm_ldt:${slug}:${uid}` : `adm_ldt:${cid}:${slug}:${uid}`),
+  subteams: (cid, slug) => (cid == null ? `adm_sub:${slug}` : `adm_sub:${cid}:${slug}`),
+  // вложенная команда — по rowid: два slug'а не влезают в 64 байта callback_data
+  subteamToggle: (cid, slug, id) => (cid == null ? `adm_subt:${slug}:${id}` : `adm_subt:${cid}:${slug}:${id}`),
+  importStart: (cid) => `adm_imp:${cid}`,
+  importDone: (cid) => `adm_impd:${cid}`,
+  teamInfo: (cid, slug) => (cid == null ? `adm_inf:${slug}` : `adm_inf:${cid}:${slug}`),
+  teamInfoEdit: (cid, slug, field) => (cid == null ? `adm_infe:${slug}:${field}` : `adm_infe:${cid}:${slug}:${field}`),
   cancelNew: (cid) => (cid == null ? "adm_cn" : `adm_cn:${cid}`),
+  addPick: (cid, slug, uid) => (cid == null ? `adm_ap:${slug}:${uid}` : `adm_ap:${cid}:${slug}:${uid}`),
+  remPick: (cid, slug, uid) => (cid == null ? `adm_rp:${slug}:${uid}` : `adm_rp:${cid}:${slug}:${uid}`),
+  addSelected: (cid, slug) => (cid == null ? `adm_as:${slug}` : `adm_as:${cid}:${slug}`),
+  remSelected: (cid, slug) => (cid == null ? `adm_rs:${slug}` : `adm_rs:${cid}:${slug}`),
+  // found: 1 — «добавить всех найденных» (по текущему поиску)
+  addAll: (cid, slug, found) => (cid == null ? `adm_aa:${slug}:${found}` : `adm_aa:${cid}:${slug}:${found}`),
+  // mode: a — экран добавления, r — удаления
+  search: (cid, slug, mode) => (cid == null ? `adm_srch:${slug}:${mode}` : `adm_srch:${cid}:${slug}:${mode}`),
+  searchReset: (cid, slug, mode) => (cid == null ? `adm_srcx:${slug}:${mode}` : `adm_srcx:${cid}:${slug}:${mode}`),
+  clear: (cid, slug) => (cid == null ? `adm_clr:${slug}` : `adm_clr:${cid}:${slug}`),
+  clearOk: (cid, slug) => (cid == null ? `adm_clrok:${slug}` : `adm_clrok:${cid}:${slug}`),
   cancelRen: (cid, slug) => (cid == null ? `adm_cr:${slug}` : `adm_cr:${cid}:${slug}`),
-  delNo: (cid, slug) => (cid == null ? `adm_delno:${slug}` : `adm_delno:${cid}:${slug}`)
+  delNo: (cid, slug) => (cid == null ? `adm_delno:${slug}` : `adm_delno:${cid}:${slug}`),
+  cd: (cid) => (cid == null ? "adm_cd" : `adm_cd:${cid}`),
+  cdSet: (cid, v) => (cid == null ? `adm_cds:${v}` : `adm_cds:${cid}:${v}`),
+  cdSplit: (cid, on) => (cid == null ? `adm_cdm:${on}` : `adm_cdm:${cid}:${on}`),
+  lim: (cid) => (cid == null ? "adm_lim" : `adm_lim:${cid}`),
+  limSet: (cid, field, v) => (cid == null ? `adm_lims:${field}:${v}` : `adm_lims:${cid}:${field}:${v}`),
+  limReset: (cid) => (cid == null ? "adm_limr" : `adm_limr:${cid}`),
+  quota: (cid) => (cid == null ? "adm_quo" : `adm_quo:${cid}`),
+  quotaSet: (cid, field, v) => (cid == null ? `adm_quos:${field}:${v}` : `adm_quos:${cid}:${field}:${v}`),
+  mode: (cid) => (cid == null ? "adm_mode" : `adm_mode:${cid}`),
+  modeSet: (cid, mode) => (cid == null ? `adm_modes:${mode}` : `adm_modes:${cid}:${mode}`),
+  hardCap: (cid, v) => (cid == null ? `adm_hcap:${v}` : `adm_hcap:${cid}:${v}`),
+  act: (cid) => (cid == null ? "adm_act" : `adm_act:${cid}`),
+  actSet: (cid, v) => (cid == null ? `adm_acts:${v}` : `adm_acts:${cid}:${v}`),
+  join: (cid, slug) => (cid == null ? `adm_jp:${slug}` : `adm_jp:${cid}:${slug}`),
+  joinSet: (cid, slug, p) => (cid == null ? `adm_jps:${slug}:${p}` : `adm_jps:${cid}:${slug}:${p}`),
+  joinPost: (cid, slug) => (cid == null ? `adm_jpub:${slug}` : `adm_jpub:${cid}:${slug}`),
+  dnd: (cid) => (cid == null ? "adm_dnd" : `adm_dnd:${cid}`),
+  dndTeams: (cid, on) => (cid == null ? `adm_dndt:${on}` : `adm_dndt:${cid}:${on}`),
+  ack: (cid) => (cid == null ? "adm_ack" : `adm_ack:${cid}`),
+  ackSet: (cid, on) => (cid == null ? `adm_acks:${on}` : `adm_acks:${cid}:${on}`),
+  // key — slug команды или "-" для всей группы
+  tpl: (cid, key) => (cid == null ? `adm_tpl:${key}` : `adm_tpl:${cid}:${key}`),
+  tplSet: (cid, key, field, v) => (cid == null ? `adm_tpls:${key}:${field}:${v}` : `adm_tpls:${cid}:${key}:${field}:${v}`),
+  tplEdit: (cid, key) => (cid == null ? `adm_tple:${key}` : `adm_tple:${cid}:${key}`),
+  tplPreview: (cid, key) => (cid == null ? `adm_tplp:${key}` : `adm_tplp:${cid}:${key}`),
+  lang: (cid) => (cid == null ? "adm_lng" : `adm_lng:${cid}`),
+  langSet: (cid, code) => (cid == null ? `adm_lngs:${code}` : `adm_lngs:${cid}:${code}`),
+  sch: (cid) => (cid == null ? "adm_sch" : `adm_sch:${cid}`),
+  history: (cid, page) => (cid == null ? `adm_hist:${page}` : `adm_hist:${cid}:${page}`),
+  schDel: (cid, id) => (cid == null ? `adm_schd:${id}` : `adm_schd:${cid}:${id}`)
 };
 
-function buildMainMenuKeyboard(isPrivate, chatId) {
+// access "teams" — менеджер без прав админа: только подгруппы
+function buildMainMenuKeyboard(lang, isPrivate, chatId, access = "full") {
   const cid = isPrivate ? String(chatId) : null;
-  const rows = [
-    [{ text: "Кто может тегать", callback_data: CB.tag(cid) }],
-    [{ text: "Подгруппы (команды)", callback_data: CB.teams(cid) }]
+  const rows = access === "teams" ? [[{ text: t(lang, "menu.teams"), callback_data: CB.teams(cid) }]] : [
+    [{ text: t(lang, "menu.who"), callback_data: CB.tag(cid) }],
+    [{ text: t(lang, "menu.cooldown"), callback_data: CB.cd(cid) }],
+    [{ text: t(lang, "menu.limits"), callback_data: CB.lim(cid) }],
+    [{ text: t(lang, "menu.quota"), callback_data: CB.quota(cid) }],
+    [{ text: t(lang, "menu.mode"), callback_data: CB.mode(cid) }],
+    [{ text: t(lang, "menu.active"), callback_data: CB.act(cid) }],
+    [{ text: t(lang, "menu.schedule"), callback_data: CB.sch(cid) }],
+    [{ text: t(lang, "menu.dnd"), callback_data: CB.dnd(cid) }],
+    [{ text: t(lang, "menu.ack"), callback_data: CB.ack(cid) }],
+    [{ text: t(lang, "menu.template"), callback_data: CB.tpl(cid, "-") }],
+    [{ text: t(lang, "menu.teams"), callback_data: CB.teams(cid) }],
+    [{ text: t(lang, "menu.history"), callback_data: CB.history(cid, 0) }],
+    [{ text: t(lang, "menu.language"), callback_data: CB.lang(cid) }]
   ];
-  if (isPrivate) rows.push([{ text: "← К списку групп", callback_data: CB.list }]);
-  else rows.push([{ text: "Закрыть", callback_data: "adm_close" }]);
+  // файлы и пересланные сообщения принимаем только в личке
+  if (isPrivate && access === "full") rows.push([{ text: t(lang, "menu.import"), callback_data: CB.importStart(cid) }]);
+  if (isPrivate) rows.push([{ text: t(lang, "menu.backToGroups"), callback_data: CB.list }]);
+  else rows.push([{ text: t(lang, "menu.close"), callback_data: "adm_close" }]);
   return { inline_keyboard: rows };
 }
 
-function buildWhoKeyboard(isPrivate, chatId) {
+function buildPermissionsScreen(lang, isPrivate, chatId) {
   const cid = isPrivate ? String(chatId) : null;
-  const onlyAdmins = getTagallOnlyAdmins(chatId);
-  return {
-    inline_keyboard: [
-      [
-        { text: onlyAdmins ? "✓ Только админы" : "Только админы", callback_data: CB.who(cid, "admins") },
-        { text: !onlyAdmins ? "✓ Все участники" : "Все участники", callback_data: CB.who(cid, "all") }
-      ],
-      [{ text: "← Назад", callback_data: CB.menu(cid) }]
-    ]
-  };
+  const level = getTagallPermission(chatId);
+  const managers = countManagersStmt.get(String(chatId)).n;
+  const buttons = TAGALL_PERMISSIONS.map((l) => ({ text: (l === level ? "✓ " : "") + t(lang, `perm.level.${l}`), callback_data: CB.who(cid, l) }));
+  const rows = [buttons.slice(0, 2), buttons.slice(2)];
+  let text = t(lang, "perm.screen");
+  if (level === "approval") {
+    const ttl = getTagRequestTtlMin(chatId);
+    rows.push(TAG_REQUEST_TTL_PRESETS_MIN.map((min) => ({
+      text: (min === ttl ? "✓ " : "") + formatRequestTtl(lang, min),
+      callback_data: CB.requestTtl(cid, min)
+    })));
+    text += "\n\n" + t(lang, "perm.approvalNote", { ttl: formatRequestTtl(lang, ttl) });
+  }
+  rows.push([{ text: t(lang, "perm.managers", { n: managers }), callback_data: CB.managers(cid, 0) }]);
+  rows.push([{ text: t(lang, "common.back"), callback_data: CB.menu(cid) }]);
+  return { text, reply_markup: { inline_keyboard: rows } };
+}
+
+const ROLE_PAGE_SIZE = 8;
+// Порядок не зависит от ролей: после переключения человек остаётся на той же странице
+const selectRoleCandidatesStmt = db.prepare(`
+  SELECT user_id, first_name, last_name, username
+  FROM chat_members
+  WHERE chat_id = ? AND is_bot = 0
+  ORDER BY first_seen ASC, user_id ASC
+`);
+
+function rolePageOf(candidates, userId) {
+  const i = candidates.findIndex((u) => u.user_id === userId);
+  return i < 0 ? 0 : Math.floor(i / ROLE_PAGE_SIZE);
+}
+
+function buildRolePageRows(candidates, page, hasRole, toggleCb, pageCb) {
+  const totalPages = Math.max(1, Math.ceil(candidates.length / ROLE_PAGE_SIZE));
+  const p = Math.min(page, totalPages - 1);
+  const start = p * ROLE_PAGE_SIZE;
+  const rows = candidates.slice(start, start + ROLE_PAGE_SIZE).map((u) => [
+    { text: (hasRole(u.user_id) ? "✓ " : "") + shortNameWithUsername(u), callback_data: toggleCb(u.user_id) }
+  ]);
+  if (totalPages > 1) {
+    const nav = [];
+    if (p > 0) nav.push({ text: "◀", callback_data: pageCb(p - 1) });
+    nav.push({ text: `${p + 1}/${totalPages}`, callback_data: pageCb(p) });
+    if (p < totalPages - 1) nav.push({ text: "▶", callback_data: pageCb(p + 1) });
+    rows.push(nav);
+  }
+  return rows;
+}
+
+function buildManagersScreen(lang, isPrivate, chatId, page) {
+  const cid = isPrivate ? String(chatId) : null;
+  const candidates = selectRoleCandidatesStmt.all(String(chatId));
+  const rows = buildRolePageRows(
+    candidates,
+    page,
+    (uid) => isChatManager(chatId, uid),
+    (uid) => CB.managerToggle(cid, uid),
+    (p) => CB.managers(cid, p)
+  );
+  rows.push([{ text: t(lang, "common.back"), callback_data: CB.tag(cid) }]);
+  const text = t(lang, "perm.managersScreen", { n: countManagersStmt.get(String(chatId)).n });
+  return { text, reply_markup: { inline_keyboard: rows } };
+}
+
+function buildTeamPermScreen(lang, isPrivate, chatId, slug) {
+  const cid = isPrivate ? String(chatId) : null;
+  const own = getTeamPingPermission(chatId, slug);
+  const inherited = t(lang, `perm.level.${getPingPermission(chatId)}`);
+  const buttons = [null, ...PERMISSION_LEVELS].map((l) => ({
+    text: (l === own ? "✓ " : "") + (l ? t(lang, `perm.level.${l}`) : t(lang, "perm.inherit", { level: inherited })),
+    callback_data: CB.teamPermSet(cid, slug, l ?? "def")
+  }));
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+  const leads = countTeamLeadsStmt.get(String(chatId), slug).n;
+  rows.push([{ text: t(lang, "perm.leads", { n: leads }), callback_data: CB.leads(cid, slug, 0) }]);
+  rows.push([{ text: t(lang, "common.back"), callback_data: CB.team(cid, slug) }]);
+  const text = t(lang, "perm.teamScreen", { slug, who: t(lang, `perm.who.${getPingPermission(chatId, slug)}`) });
+  return { text, reply_markup: { inline_keyboard: rows } };
+}
+
+const listTeamsWithIdStmt = db.prepare(`SELECT rowid AS id, slug FROM chat_teams WHERE chat_id = ? ORDER BY slug`);
+const getTeamSlugByIdStmt = db.prepare(`SELECT slug FROM chat_teams WHERE chat_id = ? AND rowid = ?`);
+
+function buildSubteamsScreen(lang, isPrivate, chatId, slug) {
+  const cid = isPrivate ? String(chatId) : null;
+  const subteams = getSubteams(chatId, slug);
+  const buttons = listTeamsWithIdStmt
+    .all(String(chatId))
+    .filter((team) => team.slug !== slug)
+    .map((team) => ({
+      text: (subteams.includes(team.slug) ? "✓ " : "") + `/${team.slug}`,
+      callback_data: CB.subteamToggle(cid, slug, team.id)
+    }));
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+  rows.push([{ text: t(lang, "common.back"), callback_data: CB.team(cid, slug) }]);
+  let text;
+  if (!buttons.length) text = t(lang, "subteams.noTeams", { slug });
+  else if (!subteams.length) text = t(lang, "subteams.none", { slug });
+  else text = t(lang, "subteams.screen", { slug, list: subteams.map((s) => `/${s}`).join(", ") });
+  return { text, reply_markup: { inline_keyboard: rows } };
+}
+
+function buildLeadsScreen(lang, isPrivate, chatId, slug, page) {
+  const cid = isPrivate ? String(chatId) : null;
+  const candidates = selectRoleCandidatesStmt.all(String(chatId));
+  const rows = buildRolePageRows(
+    candidates,
+    page,
+    (uid) => Boolean(isTeamLeadStmt.get(String(chatId), slug, uid)),
+    (uid) => CB.leadToggle(cid, slug, uid),
+    (p) => CB.leads(cid, slug, p)
+  );
+  rows.push([{ text: t(lang, "common.back"), callback_data: CB.teamPerm(cid, slug) }]);
+  const text = t(lang, "perm.leadsScreen", { slug, n: countTeamLeadsStmt.get(String(chatId), slug).n });
+  return { text, reply_markup: { inline_keyboard: rows } };
+}
+
+function buildCooldownScreen(lang, isPrivate, chatId) {
+  const cid = isPrivate ? String(chatId) : null;
+  const settings = getChatSettings(chatId);
+  const current = getCooldownSec(chatId);
+  const presetButtons = COOLDOWN_PRESETS_SEC.map((sec) => ({
+    text: (settings.cooldown_sec === sec ? "✓ " : "") + formatCooldown(lang, sec),
+    callback_data: CB.cdSet(cid, sec)
+  }));
+  const rows = [];
+  for (let i = 0; i < presetButtons.length; i += 4) rows.push(presetButtons.slice(i, i + 4));
+  rows.push([{
+    text: (settings.cooldown_sec == null ? "✓ " : "") + t(lang, "common.defaultValue", { value: formatCooldown(lang, COOLDOWN_SEC) }),
+    callback_data: CB.cdSet(cid, "def")
+  }]);
+  const split = isCooldownSplit(chatId);
+  rows.push([
+    { text: (!split ? "✓ " : "") + t(lang, "cooldown.shared"), callback_data: CB.cdSplit(cid, 0) },
+    { text: (split ? "✓ " : "") + t(lang, "cooldown.split"), callback_data: CB.cdSplit(cid, 1) }
+  ]);
+  rows.push([{ text: t(lang, "common.back"), callback_data: CB.menu(cid) }]);
+  return { text: t(lang, "cooldown.title", { value: formatCooldown(lang, current) }), reply_markup: { inline_keyboard: rows } };
+}
+
+function buildLimitsScreen(lang, isPrivate, chatId) {
+  const cid = isPrivate ? String(chatId) : null;
+  const settings = getChatSettings(chatId);
+  const limits = getTagLimits(chatId);
+  const defaults = getDefaultTagLimits();
+  const format = { max: String, chunk: String, delay: (ms) => formatDelay(lang, ms) };
+  const rows = [];
+  for (const [field, { column, presets }] of Object.entries(LIMIT_FIELDS)) {
+    rows.push(presets.map((v) => ({
+      text: (settings[column] === v ? "✓ " : "") + format[field](v),
+      callback_data: CB.limSet(cid, field, v)
+    })));
+  }
+  rows.push([{ text: t(lang, "limits.resetDefaults"), callback_data: CB.limReset(cid) }]);
+  rows.push([{ text: t(lang, "common.back"), callback_data: CB.menu(cid) }]);
+  const text = t(lang, "limits.text", {
+    maxUsers: limits.maxUsers,
+    chunk: limits.chunk,
+    delay: formatDelay(lang, limits.delayMs),
+    defaults: `${defaults.maxUsers} / ${defaults.chunk} / ${formatDelay(lang, defaults.delayMs)}`
+  });
+  return { text, reply_markup: { inline_keyboard: rows } };
+}
+
+function buildQuotaScreen(lang, isPrivate, chatId) {
+  const cid = isPrivate ? String(chatId) : null;
+  const settings = getChatSettings(chatId);
+  const format = (v) => (v ? String(v) : "∞");
+  const rows = Object.entries(QUOTA_FIELDS).map(([field, { column, presets }]) =>
+    presets.map((v) => ({
+      text: ((settings[column] ?? 0) === v ? "✓ " : "") + format(v),
+      callback_data: CB.quotaSet(cid, field, v)
+    }))
+  );
+  rows.push([{ text: t(lang, "common.back"), callback_data: CB.menu(cid) }]);
+  const values = Object.fromEntries(Object.entries(QUOTA_FIELDS).map(([field, { column }]) => [field, format(settings[column])]));
+  return { text: t(lang, "quota.text", values), reply_markup: { inline_keyboard: rows } };
+}
+
+function buildTagallModeScreen(lang, isPrivate, chatId) {
+  const cid = isPrivate ? String(chatId) : null;
+  const mode = getTagallMode(chatId);
+  const hardCap = getTagallHardCap(chatId);
+  const { maxUsers } = getTagLimits(chatId);
+  const rows = Object.entries(TAGALL_MODES).map(([m, titleKey]) => [
+    { text: (m === mode ? "✓ " : "") + t(lang, titleKey), callback_data: CB.modeSet(cid, m) }
+  ]);
+  rows.push(TAGALL_HARD_CAP_PRESETS.map((v) => ({
+    text: (v === hardCap ? "✓ " : "") + String(v),
+    callback_data: CB.hardCap(cid, v)
+  })));
+  rows.push([{ text: t(lang, "common.back"), callback_data: CB.menu(cid) }]);
+  const total = countMembersStmt.get(String(chatId))?.n ?? 0;
+  const text = t(lang, "mode.text", { total, maxUsers, hardCap });
+  return { text, reply_markup: { inline_keyboard: rows } };
+}
+
+function buildActiveDaysScreen(lang, isPrivate, chatId) {
+  const cid = isPrivate ? String(chatId) : null;
+  const stored = getChatSettings(chatId).active_days;
+  const rows = [
+    ACTIVE_DAYS_PRESETS.map((d) => ({ text: (stored === d ? "✓ " : "") + t(lang, "active.days", { days: d }), callback_data: CB.actSet(cid, d) })),
+    [{
+      text: (stored == null ? "✓ " : "") + t(lang, "common.defaultValue", { value: t(lang, "active.days", { days: ACTIVE_DAYS_DEFAULT }) }),
+      callback_data: CB.actSet(cid, "def")
+    }],
+    [{ text: t(lang, "common.back"), callback_data: CB.menu(cid) }]
+  ];
+  const text = t(lang, "active.text", { days: getActiveDays(chatId) });
+  return { text, reply_markup: { inline_keyboard: rows } };
+}
+
+function buildSchedulesScreen(lang, isPrivate, chatId) {
+  const cid = isPrivate ? String(chatId) : null;
+  const schedules = listSchedulesStmt.all(String(chatId));
+  const buttons = schedules.map((sch) => ({ text: `🗑 #${sch.id}`, callback_data: CB.schDel(cid, sch.id) }));
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 4) rows.push(buttons.slice(i, i + 4));
+  rows.push([{ text: t(lang, "common.back"), callback_data: CB.menu(cid) }]);
+  const list = schedules.length ? schedules.map((sch) => formatScheduleLine(lang, sch)).join("\n") : t(lang, "schedule.empty");
+  const text = t(lang, "schedule.screen", { timeZone: getChatTimeZone(chatId), list });
+  return { text, reply_markup: { inline_keyboard: rows } };
+}
+
+function buildJoinPolicyScreen(lang, isPrivate, chatId, slug) {
+  const cid = isPrivate ? String(chatId) : null;
+  const policy = getTeamJoinPolicy(chatId, slug);
+  const rows = Object.entries(JOIN_POLICIES).map(([p, titleKey]) => [
+    { text: (p === policy ? "✓ " : "") + t(lang, titleKey), callback_data: CB.joinSet(cid, slug, p) }
+  ]);
+  rows.push([{ text: t(lang, "join.postButton"), callback_data: CB.joinPost(cid, slug) }]);
+  rows.push([{ text: t(lang, "common.back"), callback_data: CB.back(cid, slug) }]);
+  const text = t(lang, "join.screen", { slug, policy: t(lang, JOIN_POLICIES[policy]) });
+  return { text, reply_markup: { inline_keyboard: rows } };
 }
 
-function buildTeamScreenKeyboard(isPrivate, chatId, slug) {
+function buildOptoutScreen(lang, isPrivate, chatId) {
+  const cid = isPrivate ? String(chatId) : null;
+  const muted = countOptedOutMembersStmt.get(String(chatId))?.n ?? 0;
+  const override = teamsOverrideOptout(chatId);
+  const rows = [
+    [
+      { text: (!override ? "✓ " : "") + t(lang, "dnd.skip"), callback_data: CB.dndTeams(cid, 0) },
+      { text: (override ? "✓ " : "") + t(lang, "dnd.teamsPing"), callback_data: CB.dndTeams(cid, 1) }
+    ],
+    [{ text: t(lang, "common.back"), callback_data: CB.menu(cid) }]
+  ];
+  const text = t(lang, "dnd.text", { muted });
+  return { text, reply_markup: { inline_keyboard: rows } };
+}
+
+function buildLanguageScreen(lang, isPrivate, chatId) {
+  const cid = isPrivate ? String(chatId) : null;
+  const stored = normalizeLanguage(getChatSettings(chatId).language);
+  const rows = [
+    Object.keys(LOCALES).map((code) => ({
+      text: (stored === code ? "✓ " : "") + t(code, "language.name"),
+      callback_data: CB.langSet(cid, code)
+    })),
+    [{
+      text: (stored == null ? "✓ " : "") + t(lang, "common.defaultValue", { value: t(DEFAULT_LANGUAGE, "language.name") }),
+      callback_data: CB.langSet(cid, "def")
+    }],
+    [{ text: t(lang, "common.back"), callback_data: CB.menu(cid) }]
+  ];
+  return { text: t(lang, "language.text"), reply_markup: { inline_keyboard: rows } };
+}
+
+function buildAckScreen(lang, isPrivate, chatId) {
+  const cid = isPrivate ? String(chatId) : null;
+  const on = getChatSettings(chatId).ack_enabled === 1;
+  const rows = [
+    [
+      { text: (on ? "✓ " : "") + t(lang, "ack.on"), callback_data: CB.ackSet(cid, 1) },
+      { text: (!on ? "✓ " : "") + t(lang, "ack.off"), callback_data: CB.ackSet(cid, 0) }
+    ],
+    [{ text: t(lang, "common.back"), callback_data: CB.menu(cid) }]
+  ];
+  const text = t(lang, "ack.text");
+  return { text, reply_markup: { inline_keyboard: rows } };
+}
+
+function buildTeamScreenKeyboard(lang, isPrivate, chatId, slug) {
   const cid = isPrivate ? String(chatId) : null;
   return {
     inline_keyboard: [
       [
-        { text: "➕ Добавить", callback_data: CB.add(cid, slug, 0) },
-        { text: "➖ Убрать", callback_data: CB.rem(cid, slug, 0) }
+        { text: t(lang, "team.add"), callback_data: CB.add(cid, slug, 0) },
+        { text: t(lang, "team.remove"), callback_data: CB.rem(cid, slug, 0) }
+      ],
+      [
+        { text: t(lang, "team.rename"), callback_data: CB.rename(cid, slug) },
+        { text: t(lang, "team.delete"), callback_data: CB.del(cid, slug) }
+      ],
+      [
+        { text: t(lang, "team.joinPolicy"), callback_data: CB.join(cid, slug) },
+        { text: t(lang, "team.template"), callback_data: CB.tpl(cid, slug) }
       ],
       [
-        { text: "✏️ Переименовать", callback_data: CB.rename(cid, slug) },
-        { text: "🗑 Удалить", callback_data: CB.del(cid, slug) }
+        { text: t(lang, "team.permissions"), callback_data: CB.teamPerm(cid, slug) },
+        { text: t(lang, "team.subteams"), callback_data: CB.subteams(cid, slug) }
       ],
-      [{ text: "← К списку команд", callback_data: CB.teams(cid) }]
+      [{ text: t(lang, "team.info"), callback_data: CB.teamInfo(cid, slug) }],
+      [{ text: t(lang, "team.backToList"), callback_data: CB.teams(cid) }]
     ]
   };
 }
@@ -489,9 +1795,9 @@ function buildTeamScreenKeyboard(isPrivate, chatId, slug) {
 async function getChatTitleSafe(ctx, chatId) {
   try {
     const chat = await ctx.telegram.getChat(chatId);
-    return chat?.title || `Группа ${chatId}`;
+    return chat?.title || t(ctx.lang, "admin.groupFallback", { chatId });
   } catch (e) {
-    return `Группа ${chatId}`;
+    return t(ctx.lang, "admin.groupFallback", { chatId });
   }
 }
 
@@ -502,19 +1808,19 @@ bot.command("admin", async (ctx) => {
     const allChatIds = [...new Set([...fromMembers, ...fromTeams])];
     const allowed = [];
     for (const cid of allChatIds) {
-      const ok = await isAdminInChat(ctx, cid, ctx.from.id);
-      if (ok) allowed.push({ chatId: cid, title: await getChatTitleSafe(ctx, cid) });
+      const access = await getAdminAccess(ctx, cid, ctx.from.id);
+      if (access) allowed.push({ chatId: cid, title: await getChatTitleSafe(ctx, cid) });
     }
-    if (!allowed.length) return ctx.reply("Нет групп, где ты админ и добавлен бот.");
+    if (!allowed.length) return ctx.reply(t(ctx.lang, "admin.noGroups"));
     const keyboard = {
       inline_keyboard: allowed.map((g) => [{ text: g.title, callback_data: CB.grp(g.chatId) }])
     };
-    return ctx.reply("Выбери группу:", { reply_markup: keyboard });
+    return ctx.reply(t(ctx.lang, "admin.chooseGroup"), { reply_markup: keyboard });
   }
-  if (!isGroupChat(ctx)) return ctx.reply("Команда только для групп.");
-  const ok = await isAdmin(ctx, ctx.from.id);
-  if (!ok) return ctx.reply("⛔️ Только админы группы могут менять настройки.");
-  await ctx.reply("Настройки группы", { reply_markup: buildMainMenuKeyboard(false, null) });
+  if (!isGroupChat(ctx)) return ctx.reply(t(ctx.lang, "common.groupOnly"));
+  const access = await getAdminAccess(ctx, ctx.chat.id, ctx.from.id);
+  if (!access) return ctx.reply(t(ctx.lang, "admin.groupAdminsOnly"));
+  await ctx.reply(t(ctx.lang, "admin.settings"), { reply_markup: buildMainMenuKeyboard(ctx.lang, false, null, access) });
 });
 
 bot.action(/^adm_list$/, async (ctx) => {
@@ -524,604 +1830,3661 @@ bot.action(/^adm_list$/, async (ctx) => {
   const allChatIds = [...new Set([...fromMembers, ...fromTeams])];
   const allowed = [];
   for (const cid of allChatIds) {
-    const ok = await isAdminInChat(ctx, cid, ctx.from.id);
-    if (ok) allowed.push({ chatId: cid, title: await getChatTitleSafe(ctx, cid) });
+    const access = await getAdminAccess(ctx, cid, ctx.from.id);
+    if (access) allowed.push({ chatId: cid, title: await getChatTitleSafe(ctx, cid) });
   }
   const keyboard = {
     inline_keyboard: allowed.map((g) => [{ text: g.title, callback_data: CB.grp(g.chatId) }])
   };
   await ctx.answerCbQuery();
-  await ctx.editMessageText("Выбери группу:", { reply_markup: keyboard }).catch(() => {});
+  await ctx.editMessageText(t(ctx.lang, "admin.chooseGroup"), { reply_markup: keyboard }).catch(() => {});
 });
 
 bot.action(/^adm_grp:(-?\d+)$/, async (ctx) => {
   const chatId = ctx.match[1];
   if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
-  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Нет прав в этой группе.");
+  const access = await getAdminAccess(ctx, chatId, ctx.from.id);
+  if (!access) return ctx.answerCbQuery(t(ctx.lang, "admin.noRightsInGroup"));
   const title = await getChatTitleSafe(ctx, chatId);
   await ctx.answerCbQuery();
-  await ctx.editMessageText(`Настройки: ${title}`, { reply_markup: buildMainMenuKeyboard(true, chatId) }).catch(() => {});
+  await ctx.editMessageText(t(ctx.lang, "admin.settingsFor", { title }), { reply_markup: buildMainMenuKeyboard(ctx.lang, true, chatId, access) }).catch(() => {});
 });
 
 bot.action(/^adm_menu$/, async (ctx) => {
   if (ctx.chat?.type !== "group" && ctx.chat?.type !== "supergroup") return ctx.answerCbQuery();
+  const access = await getAdminAccess(ctx, ctx.chat.id, ctx.from.id);
+  if (!access) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
   await ctx.answerCbQuery();
-  await ctx.editMessageText("Настройки группы", { reply_markup: buildMainMenuKeyboard(false, null) }).catch(() => {});
+  await ctx.editMessageText(t(ctx.lang, "admin.settings"), { reply_markup: buildMainMenuKeyboard(ctx.lang, false, null, access) }).catch(() => {});
 });
 
 bot.action(/^adm_menu:(.+)$/, async (ctx) => {
   const chatId = ctx.match[1];
   if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
-  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Нет прав.");
+  const access = await getAdminAccess(ctx, chatId, ctx.from.id);
+  if (!access) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
   const title = await getChatTitleSafe(ctx, chatId);
   await ctx.answerCbQuery();
-  await ctx.editMessageText(`Настройки: ${title}`, { reply_markup: buildMainMenuKeyboard(true, chatId) }).catch(() => {});
+  await ctx.editMessageText(t(ctx.lang, "admin.settingsFor", { title }), { reply_markup: buildMainMenuKeyboard(ctx.lang, true, chatId, access) }).catch(() => {});
 });
 
 bot.action(/^adm_close$/, async (ctx) => {
+  const chatId = ctx.callbackQuery?.message?.chat?.id;
+  const access = chatId ? await getAdminAccess(ctx, chatId, ctx.from.id) : null;
+  if (!access) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
   await ctx.answerCbQuery();
   await ctx.editMessageReplyMarkup({ inline_keyboard: [] }).catch(() => {});
 });
 
 bot.action(/^adm_tag$/, async (ctx) => {
   const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
-  if (!chatId) return ctx.answerCbQuery("Ошибка");
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
   const ok = await isAdmin(ctx, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Только админы.");
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  const { text, reply_markup } = buildPermissionsScreen(ctx.lang, false, chatId);
   await ctx.answerCbQuery();
-  await ctx.editMessageText("Кто может использовать /tagall и команды?", { reply_markup: buildWhoKeyboard(false, chatId) }).catch(() => {});
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
 bot.action(/^adm_tag:(.+)$/, async (ctx) => {
   const chatId = ctx.match[1];
   if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
   const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Нет прав.");
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const { text, reply_markup } = buildPermissionsScreen(ctx.lang, true, chatId);
   await ctx.answerCbQuery();
-  await ctx.editMessageText("Кто может использовать /tagall и команды?", { reply_markup: buildWhoKeyboard(true, chatId) }).catch(() => {});
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
-bot.action(/^adm_who:(admins|all)$/, async (ctx) => {
-  const who = ctx.match[1];
+bot.action(/^adm_who:(all|managers|approval|admins)$/, async (ctx) => {
   const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
-  if (!chatId) return ctx.answerCbQuery("Ошибка");
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
   const ok = await isAdmin(ctx, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Только админы.");
-  setTagallOnlyAdminsStmt.run(String(chatId), who === "admins" ? 1 : 0);
-  await ctx.answerCbQuery();
-  await ctx.editMessageText("Настройки группы", { reply_markup: buildMainMenuKeyboard(false, null) }).catch(() => {});
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  setChatSetting(chatId, "tagall_permission", ctx.match[1], ctx.from.id);
+  const { text, reply_markup } = buildPermissionsScreen(ctx.lang, false, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
-bot.action(/^adm_who:(.+):(admins|all)$/, async (ctx) => {
+bot.action(/^adm_who:(.+):(all|managers|approval|admins)$/, async (ctx) => {
   const chatId = ctx.match[1];
-  const who = ctx.match[2];
   if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
   const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Нет прав.");
-  setTagallOnlyAdminsStmt.run(String(chatId), who === "admins" ? 1 : 0);
-  await ctx.answerCbQuery();
-  const title = await getChatTitleSafe(ctx, chatId);
-  await ctx.editMessageText(`Настройки: ${title}`, { reply_markup: buildMainMenuKeyboard(true, chatId) }).catch(() => {});
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  setChatSetting(chatId, "tagall_permission", ctx.match[2], ctx.from.id);
+  const { text, reply_markup } = buildPermissionsScreen(ctx.lang, true, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
-bot.action(/^adm_teams$/, async (ctx) => {
+bot.action(/^adm_rqt:(\d+)$/, async (ctx) => {
   const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
-  if (!chatId) return ctx.answerCbQuery();
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
   const ok = await isAdmin(ctx, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Только админы.");
-  const cid = String(chatId);
-  const teams = listTeamsStmt.all(cid);
-  const rows = teams.map((t) => {
-    const n = getTeamMemberCount(cid, t.slug);
-    return [{ text: `/${t.slug} (${n})`, callback_data: CB.team(null, t.slug) }];
-  });
-  rows.push([{ text: "➕ Создать команду", callback_data: CB.newteam(null) }]);
-  rows.push([{ text: "← Назад", callback_data: CB.menu(null) }]);
-  await ctx.answerCbQuery();
-  await ctx.editMessageText("Подгруппы (команды):", { reply_markup: { inline_keyboard: rows } }).catch(() => {});
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  const min = parseInt(ctx.match[1], 10);
+  if (!TAG_REQUEST_TTL_PRESETS_MIN.includes(min)) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  setChatSetting(chatId, "tag_request_ttl_min", min, ctx.from.id);
+  const { text, reply_markup } = buildPermissionsScreen(ctx.lang, false, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
-bot.action(/^adm_teams:(.+)$/, async (ctx) => {
+bot.action(/^adm_rqt:(.+):(\d+)$/, async (ctx) => {
   const chatId = ctx.match[1];
   if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
   const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Нет прав.");
-  const cid = String(chatId);
-  const teams = listTeamsStmt.all(cid);
-  const rows = teams.map((t) => {
-    const n = getTeamMemberCount(cid, t.slug);
-    return [{ text: `/${t.slug} (${n})`, callback_data: CB.team(chatId, t.slug) }];
-  });
-  rows.push([{ text: "➕ Создать команду", callback_data: CB.newteam(chatId) }]);
-  rows.push([{ text: "← Назад", callback_data: CB.menu(chatId) }]);
-  await ctx.answerCbQuery();
-  const title = await getChatTitleSafe(ctx, chatId);
-  await ctx.editMessageText(`${title}\nПодгруппы (команды):`, { reply_markup: { inline_keyboard: rows } }).catch(() => {});
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const min = parseInt(ctx.match[2], 10);
+  if (!TAG_REQUEST_TTL_PRESETS_MIN.includes(min)) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  setChatSetting(chatId, "tag_request_ttl_min", min, ctx.from.id);
+  const { text, reply_markup } = buildPermissionsScreen(ctx.lang, true, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
-bot.action(/^adm_team:([^:]+)$/, async (ctx) => {
-  const slug = ctx.match[1];
+bot.action(/^adm_mgr:(\d+)$/, async (ctx) => {
   const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
-  if (!chatId) return ctx.answerCbQuery();
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
   const ok = await isAdmin(ctx, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Только админы.");
-  const cid = String(chatId);
-  if (!getTeamStmt.get(cid, slug)) return ctx.answerCbQuery("Команда не найдена.");
-  const n = getTeamMemberCount(cid, slug);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  const { text, reply_markup } = buildManagersScreen(ctx.lang, false, chatId, parseInt(ctx.match[1], 10));
   await ctx.answerCbQuery();
-  await ctx.editMessageText(`Команда /${slug}. Участников: ${n}`, { reply_markup: buildTeamScreenKeyboard(false, null, slug) }).catch(() => {});
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
-bot.action(/^adm_team:(.+):([^:]+)$/, async (ctx) => {
+bot.action(/^adm_mgr:(.+):(\d+)$/, async (ctx) => {
   const chatId = ctx.match[1];
-  const slug = ctx.match[2];
   if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
   const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Нет прав.");
-  const cid = String(chatId);
-  if (!getTeamStmt.get(cid, slug)) return ctx.answerCbQuery("Команда не найдена.");
-  const n = getTeamMemberCount(cid, slug);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const { text, reply_markup } = buildManagersScreen(ctx.lang, true, chatId, parseInt(ctx.match[2], 10));
   await ctx.answerCbQuery();
-  await ctx.editMessageText(`Команда /${slug}. Участников: ${n}`, { reply_markup: buildTeamScreenKeyboard(true, chatId, slug) }).catch(() => {});
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
-function buildAddPageKeyboard(cid, slug, page, isPrivate) {
-  const candidates = selectChatMembersNotInTeamStmt.all(cid, cid, slug);
-  const totalPages = Math.max(1, Math.ceil(candidates.length / TEAM_ADD_PAGE_SIZE));
-  const p = Math.min(page, totalPages - 1);
-  const start = p * TEAM_ADD_PAGE_SIZE;
-  const pageCandidates = candidates.slice(start, start + TEAM_ADD_PAGE_SIZE);
-  const rows = pageCandidates.map((u) => [{ text: "+ " + shortNameWithUsername(u), callback_data: CB.add1(isPrivate ? cid : null, slug, u.user_id) }]);
-  const nav = [];
-  if (totalPages > 1) {
-    if (p > 0) nav.push({ text: "◀", callback_data: CB.add(isPrivate ? cid : null, slug, p - 1) });
-    nav.push({ text: `${p + 1}/${totalPages}`, callback_data: CB.add(isPrivate ? cid : null, slug, p) });
-    if (p < totalPages - 1) nav.push({ text: "▶", callback_data: CB.add(isPrivate ? cid : null, slug, p + 1) });
-  }
-  rows.push(nav.length ? nav : []);
-  rows.push([{ text: "← Назад", callback_data: CB.back(isPrivate ? cid : null, slug) }]);
-  return { rows, candidates, p, totalPages };
-}
-
-function buildRemPageKeyboard(cid, slug, page, isPrivate) {
-  const members = selectTeamMembersForRemovalStmt.all(cid, slug);
-  const totalPages = Math.max(1, Math.ceil(members.length / TEAM_REM_PAGE_SIZE));
-  const p = Math.min(page, totalPages - 1);
-  const start = p * TEAM_REM_PAGE_SIZE;
-  const pageMembers = members.slice(start, start + TEAM_REM_PAGE_SIZE);
-  const rows = pageMembers.map((u) => [{ text: "− " + shortNameWithUsername(u), callback_data: CB.rem1(isPrivate ? cid : null, slug, u.user_id) }]);
-  const nav = [];
-  if (totalPages > 1) {
-    if (p > 0) nav.push({ text: "◀", callback_data: CB.rem(isPrivate ? cid : null, slug, p - 1) });
-    nav.push({ text: `${p + 1}/${totalPages}`, callback_data: CB.rem(isPrivate ? cid : null, slug, p) });
-    if (p < totalPages - 1) nav.push({ text: "▶", callback_data: CB.rem(isPrivate ? cid : null, slug, p + 1) });
-  }
-  rows.push(nav.length ? nav : []);
-  rows.push([{ text: "← Назад", callback_data: CB.back(isPrivate ? cid : null, slug) }]);
-  return { rows, members, p, totalPages };
+function toggleManager(chatId, userId, actorId) {
+  const cid = String(chatId);
+  const wasManager = isChatManager(cid, userId);
+  if (wasManager) deleteManagerStmt.run(cid, userId);
+  else insertManagerStmt.run(cid, userId, Date.now());
+  logAudit(cid, actorId, wasManager ? "manager_remove" : "manager_add", { details: { users: [userId] } });
+  return rolePageOf(selectRoleCandidatesStmt.all(cid), userId);
 }
 
-bot.action(/^adm_add:([^:]+):(\d+)$/, async (ctx) => {
-  const slug = ctx.match[1];
-  const page = parseInt(ctx.match[2], 10) || 0;
+bot.action(/^adm_mgrt:(\d+)$/, async (ctx) => {
   const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
-  if (!chatId) return ctx.answerCbQuery();
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
   const ok = await isAdmin(ctx, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Только админы.");
-  const cid = String(chatId);
-  const { rows, candidates, p, totalPages } = buildAddPageKeyboard(cid, slug, page, false);
-  const text = candidates.length ? `Команда /${slug}. Добавить (стр. ${p + 1}/${totalPages}):` : `Команда /${slug}. Нет кого добавить.`;
-  await ctx.answerCbQuery();
-  await ctx.editMessageText(text, { reply_markup: { inline_keyboard: rows } }).catch(() => {});
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  const page = toggleManager(chatId, parseInt(ctx.match[1], 10), ctx.from.id);
+  const { text, reply_markup } = buildManagersScreen(ctx.lang, false, chatId, page);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
-bot.action(/^adm_add:(.+):([^:]+):(\d+)$/, async (ctx) => {
+bot.action(/^adm_mgrt:(.+):(\d+)$/, async (ctx) => {
   const chatId = ctx.match[1];
-  const slug = ctx.match[2];
-  const page = parseInt(ctx.match[3], 10) || 0;
   if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
   const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Нет прав.");
-  const cid = String(chatId);
-  const { rows, candidates, p, totalPages } = buildAddPageKeyboard(cid, slug, page, true);
-  const text = candidates.length ? `Команда /${slug}. Добавить (стр. ${p + 1}/${totalPages}):` : `Команда /${slug}. Нет кого добавить.`;
-  await ctx.answerCbQuery();
-  await ctx.editMessageText(text, { reply_markup: { inline_keyboard: rows } }).catch(() => {});
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const page = toggleManager(chatId, parseInt(ctx.match[2], 10), ctx.from.id);
+  const { text, reply_markup } = buildManagersScreen(ctx.lang, true, chatId, page);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
-bot.action(/^adm_rem:([^:]+):(\d+)$/, async (ctx) => {
+bot.action(/^adm_tp:([^:]+)$/, async (ctx) => {
   const slug = ctx.match[1];
-  const page = parseInt(ctx.match[2], 10) || 0;
   const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
-  if (!chatId) return ctx.answerCbQuery();
-  const ok = await isAdmin(ctx, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Только админы.");
-  const cid = String(chatId);
-  const { rows, members, p, totalPages } = buildRemPageKeyboard(cid, slug, page, false);
-  const text = members.length ? `Команда /${slug}. Убрать (стр. ${p + 1}/${totalPages}):` : `Команда /${slug}. В команде никого.`;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  if (!getTeamStmt.get(String(chatId), slug)) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  const { text, reply_markup } = buildTeamPermScreen(ctx.lang, false, chatId, slug);
   await ctx.answerCbQuery();
-  await ctx.editMessageText(text, { reply_markup: { inline_keyboard: rows } }).catch(() => {});
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
-bot.action(/^adm_rem:(.+):([^:]+):(\d+)$/, async (ctx) => {
+bot.action(/^adm_tp:(.+):([^:]+)$/, async (ctx) => {
   const chatId = ctx.match[1];
   const slug = ctx.match[2];
-  const page = parseInt(ctx.match[3], 10) || 0;
   if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
-  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Нет прав.");
-  const cid = String(chatId);
-  const { rows, members, p, totalPages } = buildRemPageKeyboard(cid, slug, page, true);
-  const text = members.length ? `Команда /${slug}. Убрать (стр. ${p + 1}/${totalPages}):` : `Команда /${slug}. В команде никого.`;
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  if (!getTeamStmt.get(String(chatId), slug)) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  const { text, reply_markup } = buildTeamPermScreen(ctx.lang, true, chatId, slug);
   await ctx.answerCbQuery();
-  await ctx.editMessageText(text, { reply_markup: { inline_keyboard: rows } }).catch(() => {});
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
-bot.action(/^adm_a1:([^:]+):(\d+)$/, async (ctx) => {
+bot.action(/^adm_tps:([^:]+):(all|members|leads|managers|admins|def)$/, async (ctx) => {
   const slug = ctx.match[1];
-  const userId = parseInt(ctx.match[2], 10);
   const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
-  if (!chatId) return ctx.answerCbQuery();
-  const ok = await isAdmin(ctx, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Только админы.");
-  const cid = String(chatId);
-  try { insertTeamMemberStmt.run(cid, slug, userId); } catch (e) {}
-  await ctx.answerCbQuery("Добавлен");
-  const n = getTeamMemberCount(cid, slug);
-  await ctx.editMessageText(`Команда /${slug}. Участников: ${n}`, { reply_markup: buildTeamScreenKeyboard(false, null, slug) }).catch(() => {});
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  if (!getTeamStmt.get(String(chatId), slug)) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  setTeamPingPermission(chatId, slug, ctx.match[2] === "def" ? null : ctx.match[2], ctx.from.id);
+  const { text, reply_markup } = buildTeamPermScreen(ctx.lang, false, chatId, slug);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
-bot.action(/^adm_a1:(.+):([^:]+):(\d+)$/, async (ctx) => {
+bot.action(/^adm_tps:(.+):([^:]+):(all|members|leads|managers|admins|def)$/, async (ctx) => {
   const chatId = ctx.match[1];
   const slug = ctx.match[2];
-  const userId = parseInt(ctx.match[3], 10);
   if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
-  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Нет прав.");
-  const cid = String(chatId);
-  try { insertTeamMemberStmt.run(cid, slug, userId); } catch (e) {}
-  await ctx.answerCbQuery("Добавлен");
-  const n = getTeamMemberCount(cid, slug);
-  await ctx.editMessageText(`Команда /${slug}. Участников: ${n}`, { reply_markup: buildTeamScreenKeyboard(true, chatId, slug) }).catch(() => {});
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  if (!getTeamStmt.get(String(chatId), slug)) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  setTeamPingPermission(chatId, slug, ctx.match[3] === "def" ? null : ctx.match[3], ctx.from.id);
+  const { text, reply_markup } = buildTeamPermScreen(ctx.lang, true, chatId, slug);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
-bot.action(/^adm_r1:([^:]+):(\d+)$/, async (ctx) => {
+bot.action(/^adm_ld:([^:]+):(\d+)$/, async (ctx) => {
   const slug = ctx.match[1];
-  const userId = parseInt(ctx.match[2], 10);
   const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
-  if (!chatId) return ctx.answerCbQuery();
-  const ok = await isAdmin(ctx, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Только админы.");
-  const cid = String(chatId);
-  deleteTeamMemberStmt.run(cid, slug, userId);
-  await ctx.answerCbQuery("Убран");
-  const n = getTeamMemberCount(cid, slug);
-  await ctx.editMessageText(`Команда /${slug}. Участников: ${n}`, { reply_markup: buildTeamScreenKeyboard(false, null, slug) }).catch(() => {});
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  if (!getTeamStmt.get(String(chatId), slug)) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  const { text, reply_markup } = buildLeadsScreen(ctx.lang, false, chatId, slug, parseInt(ctx.match[2], 10));
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
-bot.action(/^adm_r1:(.+):([^:]+):(\d+)$/, async (ctx) => {
+bot.action(/^adm_ld:(.+):([^:]+):(\d+)$/, async (ctx) => {
   const chatId = ctx.match[1];
   const slug = ctx.match[2];
-  const userId = parseInt(ctx.match[3], 10);
   if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
-  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Нет прав.");
-  const cid = String(chatId);
-  deleteTeamMemberStmt.run(cid, slug, userId);
-  await ctx.answerCbQuery("Убран");
-  const n = getTeamMemberCount(cid, slug);
-  await ctx.editMessageText(`Команда /${slug}. Участников: ${n}`, { reply_markup: buildTeamScreenKeyboard(true, chatId, slug) }).catch(() => {});
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  if (!getTeamStmt.get(String(chatId), slug)) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  const { text, reply_markup } = buildLeadsScreen(ctx.lang, true, chatId, slug, parseInt(ctx.match[3], 10));
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
-bot.action(/^adm_back:([^:]+)$/, async (ctx) => {
+bot.action(/^adm_sub:([^:]+)$/, async (ctx) => {
   const slug = ctx.match[1];
   const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
-  if (!chatId) return ctx.answerCbQuery();
-  const cid = String(chatId);
-  const n = getTeamMemberCount(cid, slug);
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  if (!getTeamStmt.get(String(chatId), slug)) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  const { text, reply_markup } = buildSubteamsScreen(ctx.lang, false, chatId, slug);
   await ctx.answerCbQuery();
-  await ctx.editMessageText(`Команда /${slug}. Участников: ${n}`, { reply_markup: buildTeamScreenKeyboard(false, null, slug) }).catch(() => {});
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
-bot.action(/^adm_back:(.+):([^:]+)$/, async (ctx) => {
+bot.action(/^adm_sub:(.+):([^:]+)$/, async (ctx) => {
   const chatId = ctx.match[1];
   const slug = ctx.match[2];
   if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
-  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Нет прав.");
-  const cid = String(chatId);
-  const n = getTeamMemberCount(cid, slug);
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  if (!getTeamStmt.get(String(chatId), slug)) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  const { text, reply_markup } = buildSubteamsScreen(ctx.lang, true, chatId, slug);
   await ctx.answerCbQuery();
-  await ctx.editMessageText(`Команда /${slug}. Участников: ${n}`, { reply_markup: buildTeamScreenKeyboard(true, chatId, slug) }).catch(() => {});
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
-bot.action(/^adm_ren:([^:]+)$/, async (ctx) => {
+// Возвращает текст для answerCbQuery
+function toggleSubteam(lang, chatId, slug, childId, actorId) {
+  const child = getTeamSlugByIdStmt.get(String(chatId), childId)?.slug;
+  if (!child || !getTeamStmt.get(String(chatId), slug)) return t(lang, "team.notFound");
+  if (removeSubteam(chatId, slug, child, actorId)) return t(lang, "common.saved");
+  if (addSubteam(chatId, slug, child, actorId) === "cycle") return t(lang, "subteams.cycle", { slug, child });
+  return t(lang, "common.saved");
+}
+
+bot.action(/^adm_subt:([^:]+):(\d+)$/, async (ctx) => {
   const slug = ctx.match[1];
   const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
-  if (!chatId) return ctx.answerCbQuery();
-  const ok = await isAdmin(ctx, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Только админы.");
-  const msg = ctx.callbackQuery.message;
-  adminInputState.set(ctx.from.id, { chatId: String(chatId), step: "rename_team", slug, msgChatId: msg.chat.id, msgId: msg.message_id });
-  await ctx.answerCbQuery();
-  await ctx.editMessageText(`Введи новое имя для /${slug} (латиница, цифры, _ до 32 символов):`, {
-    reply_markup: { inline_keyboard: [[{ text: "Отмена", callback_data: CB.cancelRen(null, slug) }]] }
-  }).catch(() => {});
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  const answer = toggleSubteam(ctx.lang, chatId, slug, parseInt(ctx.match[2], 10), ctx.from.id);
+  const { text, reply_markup } = buildSubteamsScreen(ctx.lang, false, chatId, slug);
+  await ctx.answerCbQuery(answer);
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
-bot.action(/^adm_ren:(.+):([^:]+)$/, async (ctx) => {
+bot.action(/^adm_subt:(.+):([^:]+):(\d+)$/, async (ctx) => {
   const chatId = ctx.match[1];
   const slug = ctx.match[2];
   if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
-  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Нет прав.");
-  const msg = ctx.callbackQuery.message;
-  adminInputState.set(ctx.from.id, { chatId, step: "rename_team", slug, msgChatId: msg.chat.id, msgId: msg.message_id });
-  await ctx.answerCbQuery();
-  await ctx.editMessageText(`Введи новое имя для /${slug} (латиница, цифры, _ до 32 символов):`, {
-    reply_markup: { inline_keyboard: [[{ text: "Отмена", callback_data: CB.cancelRen(chatId, slug) }]] }
-  }).catch(() => {});
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const answer = toggleSubteam(ctx.lang, chatId, slug, parseInt(ctx.match[3], 10), ctx.from.id);
+  const { text, reply_markup } = buildSubteamsScreen(ctx.lang, true, chatId, slug);
+  await ctx.answerCbQuery(answer);
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
-bot.action(/^adm_del:([^:]+)$/, async (ctx) => {
+function toggleTeamLead(chatId, slug, userId, actorId) {
+  const cid = String(chatId);
+  const wasLead = !!isTeamLeadStmt.get(cid, slug, userId);
+  if (wasLead) deleteTeamLeadStmt.run(cid, slug, userId);
+  else insertTeamLeadStmt.run(cid, slug, userId);
+  logAudit(cid, actorId, wasLead ? "lead_remove" : "lead_add", { slug, details: { users: [userId] } });
+  return rolePageOf(selectRoleCandidatesStmt.all(cid), userId);
+}
+
+bot.action(/^adm_ldt:([^:]+):(\d+)$/, async (ctx) => {
   const slug = ctx.match[1];
   const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
-  if (!chatId) return ctx.answerCbQuery();
-  const ok = await isAdmin(ctx, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Только админы.");
-  await ctx.answerCbQuery();
-  await ctx.editMessageText(`Удалить /${slug}? Участники не удалятся из группы.`, {
-    reply_markup: {
-      inline_keyboard: [
-        [{ text: "Да, удалить", callback_data: CB.delOk(null, slug) }, { text: "Отмена", callback_data: CB.delNo(null, slug) }]
-      ]
-    }
-  }).catch(() => {});
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  if (!getTeamStmt.get(String(chatId), slug)) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  const page = toggleTeamLead(chatId, slug, parseInt(ctx.match[2], 10), ctx.from.id);
+  const { text, reply_markup } = buildLeadsScreen(ctx.lang, false, chatId, slug, page);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
-bot.action(/^adm_del:(.+):([^:]+)$/, async (ctx) => {
+bot.action(/^adm_ldt:(.+):([^:]+):(\d+)$/, async (ctx) => {
   const chatId = ctx.match[1];
   const slug = ctx.match[2];
   if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  if (!getTeamStmt.get(String(chatId), slug)) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  const page = toggleTeamLead(chatId, slug, parseInt(ctx.match[3], 10), ctx.from.id);
+  const { text, reply_markup } = buildLeadsScreen(ctx.lang, true, chatId, slug, page);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_cd$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  const { text, reply_markup } = buildCooldownScreen(ctx.lang, false, chatId);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_cd:(.+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
   const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Нет прав.");
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const { text, reply_markup } = buildCooldownScreen(ctx.lang, true, chatId);
   await ctx.answerCbQuery();
-  await ctx.editMessageText(`Удалить /${slug}? Участники не удалятся из группы.`, {
-    reply_markup: {
-      inline_keyboard: [
-        [{ text: "Да, удалить", callback_data: CB.delOk(chatId, slug) }, { text: "Отмена", callback_data: CB.delNo(chatId, slug) }]
-      ]
-    }
-  }).catch(() => {});
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
-bot.action(/^adm_delok:([^:]+)$/, async (ctx) => {
+function parseCooldownChoice(value) {
+  if (value === "def") return null;
+  const sec = parseInt(value, 10);
+  return COOLDOWN_PRESETS_SEC.includes(sec) ? sec : undefined;
+}
+
+bot.action(/^adm_cds:(\d+|def)$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  const sec = parseCooldownChoice(ctx.match[1]);
+  if (sec === undefined) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  setChatSetting(chatId, "cooldown_sec", sec, ctx.from.id);
+  const { text, reply_markup } = buildCooldownScreen(ctx.lang, false, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_cds:(.+):(\d+|def)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const sec = parseCooldownChoice(ctx.match[2]);
+  if (sec === undefined) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  setChatSetting(chatId, "cooldown_sec", sec, ctx.from.id);
+  const { text, reply_markup } = buildCooldownScreen(ctx.lang, true, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_cdm:([01])$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  setChatSetting(chatId, "cooldown_split", parseInt(ctx.match[1], 10), ctx.from.id);
+  const { text, reply_markup } = buildCooldownScreen(ctx.lang, false, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_cdm:(.+):([01])$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  setChatSetting(chatId, "cooldown_split", parseInt(ctx.match[2], 10), ctx.from.id);
+  const { text, reply_markup } = buildCooldownScreen(ctx.lang, true, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_lim$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  const { text, reply_markup } = buildLimitsScreen(ctx.lang, false, chatId);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_lim:(.+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const { text, reply_markup } = buildLimitsScreen(ctx.lang, true, chatId);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+// Принимаем только значения из пресетов — так капы соблюдаются сами собой
+function applyLimitChoice(chatId, field, value, actorId) {
+  const def = LIMIT_FIELDS[field];
+  const v = parseInt(value, 10);
+  if (!def || !def.presets.includes(v)) return false;
+  setChatSetting(chatId, def.column, v, actorId);
+  return true;
+}
+
+bot.action(/^adm_lims:(max|chunk|delay):(\d+)$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  if (!applyLimitChoice(chatId, ctx.match[1], ctx.match[2], ctx.from.id)) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const { text, reply_markup } = buildLimitsScreen(ctx.lang, false, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_lims:(.+):(max|chunk|delay):(\d+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  if (!applyLimitChoice(chatId, ctx.match[2], ctx.match[3], ctx.from.id)) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const { text, reply_markup } = buildLimitsScreen(ctx.lang, true, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+function resetLimits(chatId, actorId) {
+  for (const { column } of Object.values(LIMIT_FIELDS)) setChatSetting(chatId, column, null, actorId);
+}
+
+bot.action(/^adm_limr$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  resetLimits(chatId, ctx.from.id);
+  const { text, reply_markup } = buildLimitsScreen(ctx.lang, false, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.reset"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_limr:(.+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  resetLimits(chatId, ctx.from.id);
+  const { text, reply_markup } = buildLimitsScreen(ctx.lang, true, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.reset"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_quo$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  const { text, reply_markup } = buildQuotaScreen(ctx.lang, false, chatId);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_quo:(.+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const { text, reply_markup } = buildQuotaScreen(ctx.lang, true, chatId);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+function applyQuotaChoice(chatId, field, value, actorId) {
+  const def = QUOTA_FIELDS[field];
+  const v = parseInt(value, 10);
+  if (!def || !def.presets.includes(v)) return false;
+  setChatSetting(chatId, def.column, v || null, actorId);
+  return true;
+}
+
+bot.action(/^adm_quos:(tm|ta|pm|pa):(\d+)$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  if (!applyQuotaChoice(chatId, ctx.match[1], ctx.match[2], ctx.from.id)) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const { text, reply_markup } = buildQuotaScreen(ctx.lang, false, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_quos:(.+):(tm|ta|pm|pa):(\d+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  if (!applyQuotaChoice(chatId, ctx.match[2], ctx.match[3], ctx.from.id)) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const { text, reply_markup } = buildQuotaScreen(ctx.lang, true, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_mode$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  const { text, reply_markup } = buildTagallModeScreen(ctx.lang, false, chatId);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_mode:(.+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const { text, reply_markup } = buildTagallModeScreen(ctx.lang, true, chatId);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_modes:(first|all|rotation)$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  setChatSetting(chatId, "tagall_mode", ctx.match[1], ctx.from.id);
+  const { text, reply_markup } = buildTagallModeScreen(ctx.lang, false, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_modes:(.+):(first|all|rotation)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  setChatSetting(chatId, "tagall_mode", ctx.match[2], ctx.from.id);
+  const { text, reply_markup } = buildTagallModeScreen(ctx.lang, true, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_hcap:(\d+)$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  const v = parseInt(ctx.match[1], 10);
+  if (!TAGALL_HARD_CAP_PRESETS.includes(v)) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  setChatSetting(chatId, "tagall_hard_cap", v, ctx.from.id);
+  const { text, reply_markup } = buildTagallModeScreen(ctx.lang, false, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_hcap:(.+):(\d+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const v = parseInt(ctx.match[2], 10);
+  if (!TAGALL_HARD_CAP_PRESETS.includes(v)) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  setChatSetting(chatId, "tagall_hard_cap", v, ctx.from.id);
+  const { text, reply_markup } = buildTagallModeScreen(ctx.lang, true, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_act$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  const { text, reply_markup } = buildActiveDaysScreen(ctx.lang, false, chatId);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_act:(.+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const { text, reply_markup } = buildActiveDaysScreen(ctx.lang, true, chatId);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+function parseActiveDaysChoice(value) {
+  if (value === "def") return null;
+  const days = parseInt(value, 10);
+  return ACTIVE_DAYS_PRESETS.includes(days) ? days : undefined;
+}
+
+bot.action(/^adm_acts:(\d+|def)$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  const days = parseActiveDaysChoice(ctx.match[1]);
+  if (days === undefined) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  setChatSetting(chatId, "active_days", days, ctx.from.id);
+  const { text, reply_markup } = buildActiveDaysScreen(ctx.lang, false, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_acts:(.+):(\d+|def)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const days = parseActiveDaysChoice(ctx.match[2]);
+  if (days === undefined) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  setChatSetting(chatId, "active_days", days, ctx.from.id);
+  const { text, reply_markup } = buildActiveDaysScreen(ctx.lang, true, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_sch$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  const { text, reply_markup } = buildSchedulesScreen(ctx.lang, false, chatId);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_sch:(.+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const { text, reply_markup } = buildSchedulesScreen(ctx.lang, true, chatId);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_schd:(\d+)$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  deleteSchedule(chatId, parseInt(ctx.match[1], 10), ctx.from.id);
+  const { text, reply_markup } = buildSchedulesScreen(ctx.lang, false, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.deleted"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_schd:(.+):(\d+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  deleteSchedule(chatId, parseInt(ctx.match[2], 10), ctx.from.id);
+  const { text, reply_markup } = buildSchedulesScreen(ctx.lang, true, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.deleted"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_jp:([^:]+)$/, async (ctx) => {
   const slug = ctx.match[1];
   const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
   if (!chatId) return ctx.answerCbQuery();
-  const ok = await isAdmin(ctx, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Только админы.");
-  const cid = String(chatId);
-  deleteTeamAllMembersStmt.run(cid, slug);
-  deleteTeamStmt.run(cid, slug);
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  if (!getTeamStmt.get(String(chatId), slug)) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  const { text, reply_markup } = buildJoinPolicyScreen(ctx.lang, false, chatId, slug);
   await ctx.answerCbQuery();
-  const teams = listTeamsStmt.all(cid);
-  const rows = teams.map((t) => {
-    const n = getTeamMemberCount(cid, t.slug);
-    return [{ text: `/${t.slug} (${n})`, callback_data: CB.team(null, t.slug) }];
-  });
-  rows.push([{ text: "➕ Создать команду", callback_data: CB.newteam(null) }]);
-  rows.push([{ text: "← Назад", callback_data: CB.menu(null) }]);
-  await ctx.editMessageText("Подгруппы (команды):", { reply_markup: { inline_keyboard: rows } }).catch(() => {});
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
 });
 
-bot.action(/^adm_delok:(.+):([^:]+)$/, async (ctx) => {
+bot.action(/^adm_jp:(.+):([^:]+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  const slug = ctx.match[2];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  if (!getTeamStmt.get(String(chatId), slug)) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  const { text, reply_markup } = buildJoinPolicyScreen(ctx.lang, true, chatId, slug);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_jps:([^:]+):(closed|open|approval)$/, async (ctx) => {
+  const slug = ctx.match[1];
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  setTeamJoinPolicy(chatId, slug, ctx.match[2], ctx.from.id);
+  const { text, reply_markup } = buildJoinPolicyScreen(ctx.lang, false, chatId, slug);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_jps:(.+):([^:]+):(closed|open|approval)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  const slug = ctx.match[2];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  setTeamJoinPolicy(chatId, slug, ctx.match[3], ctx.from.id);
+  const { text, reply_markup } = buildJoinPolicyScreen(ctx.lang, true, chatId, slug);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+// threadId — тема форума, где открыли меню; из лички кнопки уходят в General
+async function postTeamJoinButtons(telegram, chatId, slug, threadId = null) {
+  const lang = getChatLanguage(chatId);
+  const policy = getTeamJoinPolicy(chatId, slug);
+  const note = policy === "closed" ? t(lang, "join.closedNote") : "";
+  const extra = { reply_markup: teamJoinButtonsKeyboard(lang, slug) };
+  if (threadId) extra.message_thread_id = threadId;
+  await telegram.sendMessage(String(chatId), t(lang, "join.buttonsPost", { slug, note }), extra);
+}
+
+bot.action(/^adm_jpub:([^:]+)$/, async (ctx) => {
+  const slug = ctx.match[1];
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  if (!getTeamStmt.get(String(chatId), slug)) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  const menu = ctx.callbackQuery?.message;
+  const threadId = menu?.is_topic_message ? menu.message_thread_id : null;
+  const posted = await postTeamJoinButtons(ctx.telegram, chatId, slug, threadId).then(() => true, () => false);
+  await ctx.answerCbQuery(posted ? t(ctx.lang, "join.published") : t(ctx.lang, "join.publishFailed"));
+});
+
+bot.action(/^adm_jpub:(.+):([^:]+)$/, async (ctx) => {
   const chatId = ctx.match[1];
   const slug = ctx.match[2];
   if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  if (!getTeamStmt.get(String(chatId), slug)) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  const posted = await postTeamJoinButtons(ctx.telegram, chatId, slug).then(() => true, () => false);
+  await ctx.answerCbQuery(posted ? t(ctx.lang, "join.publishedInGroup") : t(ctx.lang, "join.sendFailed"));
+});
+
+bot.action(/^adm_dnd$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  const { text, reply_markup } = buildOptoutScreen(ctx.lang, false, chatId);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_dnd:(.+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
   const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Нет прав.");
-  const cid = String(chatId);
-  deleteTeamAllMembersStmt.run(cid, slug);
-  deleteTeamStmt.run(cid, slug);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const { text, reply_markup } = buildOptoutScreen(ctx.lang, true, chatId);
   await ctx.answerCbQuery();
-  const teams = listTeamsStmt.all(cid);
-  const rows = teams.map((t) => {
-    const n = getTeamMemberCount(cid, t.slug);
-    return [{ text: `/${t.slug} (${n})`, callback_data: CB.team(chatId, t.slug) }];
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_dndt:([01])$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  setChatSetting(chatId, "teams_override_optout", parseInt(ctx.match[1], 10), ctx.from.id);
+  const { text, reply_markup } = buildOptoutScreen(ctx.lang, false, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_dndt:(.+):([01])$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  setChatSetting(chatId, "teams_override_optout", parseInt(ctx.match[2], 10), ctx.from.id);
+  const { text, reply_markup } = buildOptoutScreen(ctx.lang, true, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_ack$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  const { text, reply_markup } = buildAckScreen(ctx.lang, false, chatId);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_ack:(.+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const { text, reply_markup } = buildAckScreen(ctx.lang, true, chatId);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_acks:([01])$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  setChatSetting(chatId, "ack_enabled", parseInt(ctx.match[1], 10), ctx.from.id);
+  const { text, reply_markup } = buildAckScreen(ctx.lang, false, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_acks:(.+):([01])$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  setChatSetting(chatId, "ack_enabled", parseInt(ctx.match[2], 10), ctx.from.id);
+  const { text, reply_markup } = buildAckScreen(ctx.lang, true, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_lng$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  const { text, reply_markup } = buildLanguageScreen(ctx.lang, false, chatId);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_lng:(.+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const { text, reply_markup } = buildLanguageScreen(ctx.lang, true, chatId);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_lngs:([a-z]{2}|def)$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  setChatSetting(chatId, "language", normalizeLanguage(ctx.match[1]), ctx.from.id);
+  scheduleChatCommandsSync(chatId);
+  // меню в группе сразу перерисовываем на новом языке
+  const lang = getChatLanguage(chatId);
+  const { text, reply_markup } = buildLanguageScreen(lang, false, chatId);
+  await ctx.answerCbQuery(t(lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_lngs:(.+):([a-z]{2}|def)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  setChatSetting(chatId, "language", normalizeLanguage(ctx.match[2]), ctx.from.id);
+  scheduleChatCommandsSync(chatId);
+  const { text, reply_markup } = buildLanguageScreen(ctx.lang, true, chatId);
+  await ctx.answerCbQuery(t(ctx.lang, "common.saved"));
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_teams$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  const cid = String(chatId);
+  const teams = listTeamsStmt.all(cid);
+  const rows = teams.map((team) => {
+    const n = getTeamMemberCount(cid, team.slug);
+    return [{ text: `/${team.slug} (${n})`, callback_data: CB.team(null, team.slug) }];
+  });
+  rows.push([{ text: t(ctx.lang, "teams.create"), callback_data: CB.newteam(null) }]);
+  rows.push([{ text: t(ctx.lang, "common.back"), callback_data: CB.menu(null) }]);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(t(ctx.lang, "teams.title"), { reply_markup: { inline_keyboard: rows } }).catch(() => {});
+});
+
+bot.action(/^adm_teams:(.+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const cid = String(chatId);
+  const teams = listTeamsStmt.all(cid);
+  const rows = teams.map((team) => {
+    const n = getTeamMemberCount(cid, team.slug);
+    return [{ text: `/${team.slug} (${n})`, callback_data: CB.team(chatId, team.slug) }];
+  });
+  rows.push([{ text: t(ctx.lang, "teams.create"), callback_data: CB.newteam(chatId) }]);
+  rows.push([{ text: t(ctx.lang, "common.back"), callback_data: CB.menu(chatId) }]);
+  await ctx.answerCbQuery();
+  const title = await getChatTitleSafe(ctx, chatId);
+  await ctx.editMessageText(`${title}\n${t(ctx.lang, "teams.title")}`, { reply_markup: { inline_keyboard: rows } }).catch(() => {});
+});
+
+bot.action(/^adm_team:([^:]+)$/, async (ctx) => {
+  const slug = ctx.match[1];
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  const cid = String(chatId);
+  if (!getTeamStmt.get(cid, slug)) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  const n = getTeamMemberCount(cid, slug);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(t(ctx.lang, "team.screen", { slug, n }), { reply_markup: buildTeamScreenKeyboard(ctx.lang, false, null, slug) }).catch(() => {});
+});
+
+bot.action(/^adm_team:(.+):([^:]+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  const slug = ctx.match[2];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const cid = String(chatId);
+  if (!getTeamStmt.get(cid, slug)) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  const n = getTeamMemberCount(cid, slug);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(t(ctx.lang, "team.screen", { slug, n }), { reply_markup: buildTeamScreenKeyboard(ctx.lang, true, chatId, slug) }).catch(() => {});
+});
+
+// Поиск и мультивыбор в экранах добавления/удаления. userId -> { chatId, slug, mode: 'a' | 'r', query, selected: Set, page }
+const teamPickerState = new Map();
+const TEAM_SEARCH_MAX_LEN = 32;
+
+function getTeamPicker(userId, cid, slug, mode) {
+  const cur = teamPickerState.get(userId);
+  if (cur && cur.chatId === cid && cur.slug === slug && cur.mode === mode) return cur;
+  const picker = { chatId: cid, slug, mode, query: "", selected: new Set(), page: 0 };
+  teamPickerState.set(userId, picker);
+  return picker;
+}
+
+function normalizeMemberSearch(raw) {
+  return String(raw || "").trim().replace(/^@/, "").toLowerCase().slice(0, TEAM_SEARCH_MAX_LEN);
+}
+
+function filterMembersBySearch(users, query) {
+  if (!query) return users;
+  return users.filter((u) => displayName(u).toLowerCase().includes(query) || (u.username || "").toLowerCase().includes(query));
+}
+
+function buildPickerSearchRow(lang, cid, slug, mode, picker) {
+  const row = [{ text: t(lang, "team.search"), callback_data: CB.search(cid, slug, mode) }];
+  if (picker.query) row.push({ text: t(lang, "team.searchReset"), callback_data: CB.searchReset(cid, slug, mode) });
+  return row;
+}
+
+function buildAddPageKeyboard(lang, cid, slug, page, isPrivate, picker) {
+  const c = isPrivate ? cid : null;
+  const candidates = filterMembersBySearch(selectChatMembersNotInTeamStmt.all(cid, cid, slug), picker.query);
+  const totalPages = Math.max(1, Math.ceil(candidates.length / TEAM_ADD_PAGE_SIZE));
+  const p = Math.min(page, totalPages - 1);
+  const start = p * TEAM_ADD_PAGE_SIZE;
+  const pageCandidates = candidates.slice(start, start + TEAM_ADD_PAGE_SIZE);
+  const rows = pageCandidates.map((u) => [{ text: (picker.selected.has(u.user_id) ? "✅ " : "+ ") + shortNameWithUsername(u), callback_data: CB.addPick(c, slug, u.user_id) }]);
+  const nav = [];
+  if (totalPages > 1) {
+    if (p > 0) nav.push({ text: "◀", callback_data: CB.add(c, slug, p - 1) });
+    nav.push({ text: `${p + 1}/${totalPages}`, callback_data: CB.add(c, slug, p) });
+    if (p < totalPages - 1) nav.push({ text: "▶", callback_data: CB.add(c, slug, p + 1) });
+  }
+  rows.push(nav.length ? nav : []);
+  rows.push(buildPickerSearchRow(lang, c, slug, "a", picker));
+  if (picker.selected.size) rows.push([{ text: t(lang, "team.addSelected", { n: picker.selected.size }), callback_data: CB.addSelected(c, slug) }]);
+  if (candidates.length) {
+    const key = picker.query ? "team.addAllFound" : "team.addAll";
+    rows.push([{ text: t(lang, key, { n: candidates.length }), callback_data: CB.addAll(c, slug, picker.query ? 1 : 0) }]);
+  }
+  rows.push([{ text: t(lang, "common.back"), callback_data: CB.back(c, slug) }]);
+  return { rows, candidates, p, totalPages };
+}
+
+function buildRemPageKeyboard(lang, cid, slug, page, isPrivate, picker) {
+  const c = isPrivate ? cid : null;
+  const all = selectTeamMembersForRemovalStmt.all(cid, slug);
+  const members = filterMembersBySearch(all, picker.query);
+  const totalPages = Math.max(1, Math.ceil(members.length / TEAM_REM_PAGE_SIZE));
+  const p = Math.min(page, totalPages - 1);
+  const start = p * TEAM_REM_PAGE_SIZE;
+  const pageMembers = members.slice(start, start + TEAM_REM_PAGE_SIZE);
+  const rows = pageMembers.map((u) => [{ text: (picker.selected.has(u.user_id) ? "✅ " : "− ") + shortNameWithUsername(u), callback_data: CB.remPick(c, slug, u.user_id) }]);
+  const nav = [];
+  if (totalPages > 1) {
+    if (p > 0) nav.push({ text: "◀", callback_data: CB.rem(c, slug, p - 1) });
+    nav.push({ text: `${p + 1}/${totalPages}`, callback_data: CB.rem(c, slug, p) });
+    if (p < totalPages - 1) nav.push({ text: "▶", callback_data: CB.rem(c, slug, p + 1) });
+  }
+  rows.push(nav.length ? nav : []);
+  rows.push(buildPickerSearchRow(lang, c, slug, "r", picker));
+  if (picker.selected.size) rows.push([{ text: t(lang, "team.removeSelected", { n: picker.selected.size }), callback_data: CB.remSelected(c, slug) }]);
+  if (all.length) rows.push([{ text: t(lang, "team.clear"), callback_data: CB.clear(c, slug) }]);
+  rows.push([{ text: t(lang, "common.back"), callback_data: CB.back(c, slug) }]);
+  return { rows, members, p, totalPages };
+}
+
+function buildTeamPickerScreen(lang, isPrivate, chatId, slug, mode, page, picker) {
+  const cid = String(chatId);
+  const isAdd = mode === "a";
+  const { rows, candidates, members, p, totalPages } = isAdd
+    ? buildAddPageKeyboard(lang, cid, slug, page, isPrivate, picker)
+    : buildRemPageKeyboard(lang, cid, slug, page, isPrivate, picker);
+  picker.page = p;
+  const found = isAdd ? candidates : members;
+  let text;
+  if (found.length) {
+    text = t(lang, isAdd ? "team.addPage" : "team.removePage", { slug, page: p + 1, pages: totalPages });
+    if (picker.query) text += "\n" + t(lang, "team.searchActive", { query: picker.query });
+  } else if (picker.query) {
+    text = t(lang, "team.searchEmpty", { slug, query: picker.query });
+  } else {
+    text = t(lang, isAdd ? "team.nobodyToAdd" : "team.nobodyInTeam", { slug });
+  }
+  return { text, reply_markup: { inline_keyboard: rows } };
+}
+
+async function showTeamPicker(ctx, chatId, slug, isPrivate, mode, page) {
+  if (!getTeamStmt.get(String(chatId), slug)) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  const picker = getTeamPicker(ctx.from.id, String(chatId), slug, mode);
+  const { text, reply_markup } = buildTeamPickerScreen(ctx.lang, isPrivate, chatId, slug, mode, page, picker);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+}
+
+async function showTeamScreenAfterPicker(ctx, chatId, slug, isPrivate, notice) {
+  teamPickerState.delete(ctx.from.id);
+  const n = getTeamMemberCount(chatId, slug);
+  await ctx.answerCbQuery(notice);
+  await ctx.editMessageText(t(ctx.lang, "team.screen", { slug, n }), { reply_markup: buildTeamScreenKeyboard(ctx.lang, isPrivate, isPrivate ? chatId : null, slug) }).catch(() => {});
+}
+
+// action: pick — отметить/снять uid; selected — применить отмеченных; all — добавить всех (найденных);
+// search — запросить строку поиска; reset — сбросить поиск; clear / clearOk — очистить команду
+async function applyTeamPickerAction(ctx, chatId, slug, isPrivate, mode, action, arg) {
+  const cid = String(chatId);
+  if (!getTeamStmt.get(cid, slug)) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  const picker = getTeamPicker(ctx.from.id, cid, slug, mode);
+  if (action === "pick") {
+    if (picker.selected.has(arg)) picker.selected.delete(arg);
+    else picker.selected.add(arg);
+    return showTeamPicker(ctx, cid, slug, isPrivate, mode, picker.page);
+  }
+  if (action === "selected") {
+    if (!picker.selected.size) return ctx.answerCbQuery(t(ctx.lang, "team.nothingSelected"));
+    const userIds = [...picker.selected];
+    const n = mode === "a" ? addTeamMembers(cid, slug, userIds, ctx.from.id) : removeTeamMembers(cid, slug, userIds, ctx.from.id);
+    return showTeamScreenAfterPicker(ctx, cid, slug, isPrivate, t(ctx.lang, mode === "a" ? "team.addedN" : "team.removedN", { n }));
+  }
+  if (action === "all") {
+    // кнопка «найденных» пережила сброс состояния (рестарт бота) — не добавляем всю группу молча
+    if (arg && !picker.query) return showTeamPicker(ctx, cid, slug, isPrivate, mode, 0);
+    const candidates = filterMembersBySearch(selectChatMembersNotInTeamStmt.all(cid, cid, slug), picker.query);
+    const n = addTeamMembers(cid, slug, candidates.map((u) => u.user_id), ctx.from.id);
+    return showTeamScreenAfterPicker(ctx, cid, slug, isPrivate, t(ctx.lang, "team.addedN", { n }));
+  }
+  if (action === "search") {
+    const msg = ctx.callbackQuery.message;
+    adminInputState.set(ctx.from.id, { chatId: cid, step: "team_search", slug, mode, msgChatId: msg.chat.id, msgId: msg.message_id });
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(t(ctx.lang, "team.searchPrompt", { slug }), {
+      reply_markup: { inline_keyboard: [[{ text: t(ctx.lang, "common.cancel"), callback_data: CB.searchReset(isPrivate ? cid : null, slug, mode) }]] }
+    }).catch(() => {});
+    return;
+  }
+  if (action === "reset") {
+    if (adminInputState.get(ctx.from.id)?.step === "team_search") adminInputState.delete(ctx.from.id);
+    picker.query = "";
+    return showTeamPicker(ctx, cid, slug, isPrivate, mode, 0);
+  }
+  if (action === "clear") {
+    const n = getTeamMemberCount(cid, slug);
+    if (!n) return ctx.answerCbQuery(t(ctx.lang, "team.nobodyInTeam", { slug }));
+    const c = isPrivate ? cid : null;
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(t(ctx.lang, "team.clearConfirm", { slug, n }), {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: t(ctx.lang, "team.clearYes"), callback_data: CB.clearOk(c, slug) }, { text: t(ctx.lang, "common.cancel"), callback_data: CB.rem(c, slug, picker.page) }]
+        ]
+      }
+    }).catch(() => {});
+    return;
+  }
+  if (action === "clearOk") {
+    clearTeamMembers(cid, slug, ctx.from.id);
+    return showTeamScreenAfterPicker(ctx, cid, slug, isPrivate, t(ctx.lang, "team.cleared"));
+  }
+}
+
+async function handleTeamSearchInput(ctx, state) {
+  const query = normalizeMemberSearch(ctx.message.text);
+  if (!query) {
+    await ctx.reply(t(ctx.lang, "team.searchPrompt", { slug: state.slug }));
+    return;
+  }
+  adminInputState.delete(ctx.from.id);
+  if (!getTeamStmt.get(state.chatId, state.slug)) {
+    await ctx.reply(t(ctx.lang, "team.notFound"));
+    return;
+  }
+  const picker = getTeamPicker(ctx.from.id, state.chatId, state.slug, state.mode);
+  picker.query = query;
+  const isPrivate = ctx.chat.type === "private";
+  const { text, reply_markup } = buildTeamPickerScreen(ctx.lang, isPrivate, state.chatId, state.slug, state.mode, 0, picker);
+  await ctx.telegram.editMessageText(state.msgChatId, state.msgId, null, text, { reply_markup }).catch(() => {});
+}
+
+bot.action(/^adm_add:([^:]+):(\d+)$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  await showTeamPicker(ctx, String(chatId), ctx.match[1], false, "a", parseInt(ctx.match[2], 10) || 0);
+});
+
+bot.action(/^adm_add:(.+):([^:]+):(\d+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  await showTeamPicker(ctx, chatId, ctx.match[2], true, "a", parseInt(ctx.match[3], 10) || 0);
+});
+
+bot.action(/^adm_rem:([^:]+):(\d+)$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  await showTeamPicker(ctx, String(chatId), ctx.match[1], false, "r", parseInt(ctx.match[2], 10) || 0);
+});
+
+bot.action(/^adm_rem:(.+):([^:]+):(\d+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  await showTeamPicker(ctx, chatId, ctx.match[2], true, "r", parseInt(ctx.match[3], 10) || 0);
+});
+
+bot.action(/^adm_(ap|rp):([^:]+):(\d+)$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  await applyTeamPickerAction(ctx, String(chatId), ctx.match[2], false, ctx.match[1][0], "pick", parseInt(ctx.match[3], 10));
+});
+
+bot.action(/^adm_(ap|rp):(.+):([^:]+):(\d+)$/, async (ctx) => {
+  const chatId = ctx.match[2];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  await applyTeamPickerAction(ctx, chatId, ctx.match[3], true, ctx.match[1][0], "pick", parseInt(ctx.match[4], 10));
+});
+
+bot.action(/^adm_(as|rs):([^:]+)$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  await applyTeamPickerAction(ctx, String(chatId), ctx.match[2], false, ctx.match[1][0], "selected");
+});
+
+bot.action(/^adm_(as|rs):(.+):([^:]+)$/, async (ctx) => {
+  const chatId = ctx.match[2];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  await applyTeamPickerAction(ctx, chatId, ctx.match[3], true, ctx.match[1][0], "selected");
+});
+
+bot.action(/^adm_aa:([^:]+):([01])$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  await applyTeamPickerAction(ctx, String(chatId), ctx.match[1], false, "a", "all", ctx.match[2] === "1");
+});
+
+bot.action(/^adm_aa:(.+):([^:]+):([01])$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  await applyTeamPickerAction(ctx, chatId, ctx.match[2], true, "a", "all", ctx.match[3] === "1");
+});
+
+bot.action(/^adm_(srch|srcx):([^:]+):([ar])$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  await applyTeamPickerAction(ctx, String(chatId), ctx.match[2], false, ctx.match[3], ctx.match[1] === "srch" ? "search" : "reset");
+});
+
+bot.action(/^adm_(srch|srcx):(.+):([^:]+):([ar])$/, async (ctx) => {
+  const chatId = ctx.match[2];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  await applyTeamPickerAction(ctx, chatId, ctx.match[3], true, ctx.match[4], ctx.match[1] === "srch" ? "search" : "reset");
+});
+
+bot.action(/^adm_(clr|clrok):([^:]+)$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  await applyTeamPickerAction(ctx, String(chatId), ctx.match[2], false, "r", ctx.match[1] === "clr" ? "clear" : "clearOk");
+});
+
+bot.action(/^adm_(clr|clrok):(.+):([^:]+)$/, async (ctx) => {
+  const chatId = ctx.match[2];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  await applyTeamPickerAction(ctx, chatId, ctx.match[3], true, "r", ctx.match[1] === "clr" ? "clear" : "clearOk");
+});
+
+// adm_a1 / adm_r1 — одиночные кнопки из старых сообщений с клавиатурой
+bot.action(/^adm_a1:([^:]+):(\d+)$/, async (ctx) => {
+  const slug = ctx.match[1];
+  const userId = parseInt(ctx.match[2], 10);
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  const cid = String(chatId);
+  addTeamMembers(cid, slug, [userId], ctx.from.id);
+  await ctx.answerCbQuery(t(ctx.lang, "team.added"));
+  const n = getTeamMemberCount(cid, slug);
+  await ctx.editMessageText(t(ctx.lang, "team.screen", { slug, n }), { reply_markup: buildTeamScreenKeyboard(ctx.lang, false, null, slug) }).catch(() => {});
+});
+
+bot.action(/^adm_a1:(.+):([^:]+):(\d+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  const slug = ctx.match[2];
+  const userId = parseInt(ctx.match[3], 10);
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const cid = String(chatId);
+  addTeamMembers(cid, slug, [userId], ctx.from.id);
+  await ctx.answerCbQuery(t(ctx.lang, "team.added"));
+  const n = getTeamMemberCount(cid, slug);
+  await ctx.editMessageText(t(ctx.lang, "team.screen", { slug, n }), { reply_markup: buildTeamScreenKeyboard(ctx.lang, true, chatId, slug) }).catch(() => {});
+});
+
+bot.action(/^adm_r1:([^:]+):(\d+)$/, async (ctx) => {
+  const slug = ctx.match[1];
+  const userId = parseInt(ctx.match[2], 10);
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  const cid = String(chatId);
+  removeTeamMembers(cid, slug, [userId], ctx.from.id);
+  await ctx.answerCbQuery(t(ctx.lang, "team.removed"));
+  const n = getTeamMemberCount(cid, slug);
+  await ctx.editMessageText(t(ctx.lang, "team.screen", { slug, n }), { reply_markup: buildTeamScreenKeyboard(ctx.lang, false, null, slug) }).catch(() => {});
+});
+
+bot.action(/^adm_r1:(.+):([^:]+):(\d+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  const slug = ctx.match[2];
+  const userId = parseInt(ctx.match[3], 10);
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const cid = String(chatId);
+  removeTeamMembers(cid, slug, [userId], ctx.from.id);
+  await ctx.answerCbQuery(t(ctx.lang, "team.removed"));
+  const n = getTeamMemberCount(cid, slug);
+  await ctx.editMessageText(t(ctx.lang, "team.screen", { slug, n }), { reply_markup: buildTeamScreenKeyboard(ctx.lang, true, chatId, slug) }).catch(() => {});
+});
+
+bot.action(/^adm_back:([^:]+)$/, async (ctx) => {
+  const slug = ctx.match[1];
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  teamPickerState.delete(ctx.from.id);
+  const cid = String(chatId);
+  const n = getTeamMemberCount(cid, slug);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(t(ctx.lang, "team.screen", { slug, n }), { reply_markup: buildTeamScreenKeyboard(ctx.lang, false, null, slug) }).catch(() => {});
+});
+
+bot.action(/^adm_back:(.+):([^:]+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  const slug = ctx.match[2];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  teamPickerState.delete(ctx.from.id);
+  const cid = String(chatId);
+  const n = getTeamMemberCount(cid, slug);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(t(ctx.lang, "team.screen", { slug, n }), { reply_markup: buildTeamScreenKeyboard(ctx.lang, true, chatId, slug) }).catch(() => {});
+});
+
+bot.action(/^adm_ren:([^:]+)$/, async (ctx) => {
+  const slug = ctx.match[1];
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  const msg = ctx.callbackQuery.message;
+  adminInputState.set(ctx.from.id, { chatId: String(chatId), step: "rename_team", slug, msgChatId: msg.chat.id, msgId: msg.message_id });
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(t(ctx.lang, "team.renamePrompt", { slug }), {
+    reply_markup: { inline_keyboard: [[{ text: t(ctx.lang, "common.cancel"), callback_data: CB.cancelRen(null, slug) }]] }
+  }).catch(() => {});
+});
+
+bot.action(/^adm_ren:(.+):([^:]+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  const slug = ctx.match[2];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const msg = ctx.callbackQuery.message;
+  adminInputState.set(ctx.from.id, { chatId, step: "rename_team", slug, msgChatId: msg.chat.id, msgId: msg.message_id });
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(t(ctx.lang, "team.renamePrompt", { slug }), {
+    reply_markup: { inline_keyboard: [[{ text: t(ctx.lang, "common.cancel"), callback_data: CB.cancelRen(chatId, slug) }]] }
+  }).catch(() => {});
+});
+
+bot.action(/^adm_del:([^:]+)$/, async (ctx) => {
+  const slug = ctx.match[1];
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(t(ctx.lang, "team.deleteConfirm", { slug }), {
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: t(ctx.lang, "team.deleteYes"), callback_data: CB.delOk(null, slug) }, { text: t(ctx.lang, "common.cancel"), callback_data: CB.delNo(null, slug) }]
+      ]
+    }
+  }).catch(() => {});
+});
+
+bot.action(/^adm_del:(.+):([^:]+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  const slug = ctx.match[2];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(t(ctx.lang, "team.deleteConfirm", { slug }), {
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: t(ctx.lang, "team.deleteYes"), callback_data: CB.delOk(chatId, slug) }, { text: t(ctx.lang, "common.cancel"), callback_data: CB.delNo(chatId, slug) }]
+      ]
+    }
+  }).catch(() => {});
+});
+
+bot.action(/^adm_delok:([^:]+)$/, async (ctx) => {
+  const slug = ctx.match[1];
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  const cid = String(chatId);
+  deleteTeam(cid, slug, ctx.from.id);
+  await ctx.answerCbQuery();
+  const teams = listTeamsStmt.all(cid);
+  const rows = teams.map((team) => {
+    const n = getTeamMemberCount(cid, team.slug);
+    return [{ text: `/${team.slug} (${n})`, callback_data: CB.team(null, team.slug) }];
+  });
+  rows.push([{ text: t(ctx.lang, "teams.create"), callback_data: CB.newteam(null) }]);
+  rows.push([{ text: t(ctx.lang, "common.back"), callback_data: CB.menu(null) }]);
+  await ctx.editMessageText(t(ctx.lang, "teams.title"), { reply_markup: { inline_keyboard: rows } }).catch(() => {});
+});
+
+bot.action(/^adm_delok:(.+):([^:]+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  const slug = ctx.match[2];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const cid = String(chatId);
+  deleteTeam(cid, slug, ctx.from.id);
+  await ctx.answerCbQuery();
+  const teams = listTeamsStmt.all(cid);
+  const rows = teams.map((team) => {
+    const n = getTeamMemberCount(cid, team.slug);
+    return [{ text: `/${team.slug} (${n})`, callback_data: CB.team(chatId, team.slug) }];
+  });
+  rows.push([{ text: t(ctx.lang, "teams.create"), callback_data: CB.newteam(chatId) }]);
+  rows.push([{ text: t(ctx.lang, "common.back"), callback_data: CB.menu(chatId) }]);
+  const title = await getChatTitleSafe(ctx, chatId);
+  await ctx.editMessageText(`${title}\n${t(ctx.lang, "teams.title")}`, { reply_markup: { inline_keyboard: rows } }).catch(() => {});
+});
+
+bot.action(/^adm_delno:([^:]+)$/, async (ctx) => {
+  const slug = ctx.match[1];
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  const cid = String(chatId);
+  const n = getTeamMemberCount(cid, slug);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(t(ctx.lang, "team.screen", { slug, n }), { reply_markup: buildTeamScreenKeyboard(ctx.lang, false, null, slug) }).catch(() => {});
+});
+
+bot.action(/^adm_delno:(.+):([^:]+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  const slug = ctx.match[2];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const cid = String(chatId);
+  const n = getTeamMemberCount(cid, slug);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(t(ctx.lang, "team.screen", { slug, n }), { reply_markup: buildTeamScreenKeyboard(ctx.lang, true, chatId, slug) }).catch(() => {});
+});
+
+bot.action(/^adm_new$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  const msg = ctx.callbackQuery.message;
+  adminInputState.set(ctx.from.id, { chatId: String(chatId), step: "new_team_slug", msgChatId: msg.chat.id, msgId: msg.message_id });
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(t(ctx.lang, "teams.newPrompt"), {
+    reply_markup: { inline_keyboard: [[{ text: t(ctx.lang, "common.cancel"), callback_data: CB.cancelNew(null) }]] }
+  }).catch(() => {});
+});
+
+bot.action(/^adm_new:(.+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const msg = ctx.callbackQuery.message;
+  adminInputState.set(ctx.from.id, { chatId, step: "new_team_slug", msgChatId: msg.chat.id, msgId: msg.message_id });
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(t(ctx.lang, "teams.newPrompt"), {
+    reply_markup: { inline_keyboard: [[{ text: t(ctx.lang, "common.cancel"), callback_data: CB.cancelNew(chatId) }]] }
+  }).catch(() => {});
+});
+
+bot.action(/^adm_cn$/, async (ctx) => {
+  adminInputState.delete(ctx.from.id);
+  const chatId = ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  const cid = String(chatId);
+  const teams = listTeamsStmt.all(cid);
+  const rows = teams.map((team) => {
+    const n = getTeamMemberCount(cid, team.slug);
+    return [{ text: `/${team.slug} (${n})`, callback_data: CB.team(null, team.slug) }];
+  });
+  rows.push([{ text: t(ctx.lang, "teams.create"), callback_data: CB.newteam(null) }]);
+  rows.push([{ text: t(ctx.lang, "common.back"), callback_data: CB.menu(null) }]);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(t(ctx.lang, "teams.title"), { reply_markup: { inline_keyboard: rows } }).catch(() => {});
+});
+
+bot.action(/^adm_cn:(.+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  adminInputState.delete(ctx.from.id);
+  const cid = String(chatId);
+  const teams = listTeamsStmt.all(cid);
+  const rows = teams.map((team) => {
+    const n = getTeamMemberCount(cid, team.slug);
+    return [{ text: `/${team.slug} (${n})`, callback_data: CB.team(chatId, team.slug) }];
+  });
+  rows.push([{ text: t(ctx.lang, "teams.create"), callback_data: CB.newteam(chatId) }]);
+  rows.push([{ text: t(ctx.lang, "common.back"), callback_data: CB.menu(chatId) }]);
+  const title = await getChatTitleSafe(ctx, chatId);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(`${title}\n${t(ctx.lang, "teams.title")}`, { reply_markup: { inline_keyboard: rows } }).catch(() => {});
+});
+
+bot.action(/^adm_cr:([^:]+)$/, async (ctx) => {
+  const slug = ctx.match[1];
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  adminInputState.delete(ctx.from.id);
+  const cid = String(chatId);
+  const n = getTeamMemberCount(cid, slug);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(t(ctx.lang, "team.screen", { slug, n }), { reply_markup: buildTeamScreenKeyboard(ctx.lang, false, null, slug) }).catch(() => {});
+});
+
+bot.action(/^adm_cr:(.+):([^:]+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  const slug = ctx.match[2];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  adminInputState.delete(ctx.from.id);
+  const cid = String(chatId);
+  const n = getTeamMemberCount(cid, slug);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(t(ctx.lang, "team.screen", { slug, n }), { reply_markup: buildTeamScreenKeyboard(ctx.lang, true, chatId, slug) }).catch(() => {});
+});
+
+function getTeamMemberCount(chatId, slug) {
+  return teamMemberCountStmt.get(String(chatId), slug)?.n ?? 0;
+}
+
+function findTeamSlug(chatId, input) {
+  return getTeamSlugCaseInsensitiveStmt.get(String(chatId), input)?.slug ?? null;
+}
+
+const renameTeamTx = db.transaction((cid, oldSlug, newSlug) => {
+  updateTeamSlugStmt.run(newSlug, cid, oldSlug);
+  updateTeamMembersSlugStmt.run(newSlug, cid, oldSlug);
+  renameCooldownScopeStmt.run(teamCooldownScope(newSlug), cid, teamCooldownScope(oldSlug));
+  renameScheduleTeamStmt.run(newSlug, cid, oldSlug);
+  updateJoinRequestsSlugStmt.run(newSlug, cid, oldSlug);
+  updateTeamLeadsSlugStmt.run(newSlug, cid, oldSlug);
+  updateSubteamsSlugStmt.run(newSlug, cid, oldSlug);
+  updateSubteamsChildSlugStmt.run(newSlug, cid, oldSlug);
+});
+
+const deleteTeamTx = db.transaction((cid, slug) => {
+  deleteTeamAllMembersStmt.run(cid, slug);
+  deleteTeamStmt.run(cid, slug);
+  deleteCooldownScopeStmt.run(cid, teamCooldownScope(slug));
+  deleteTeamSchedulesStmt.run(cid, slug);
+  deleteTeamJoinRequestsStmt.run(cid, slug);
+  deleteTeamLeadsStmt.run(cid, slug);
+  deleteTeamSubteamsStmt.run(cid, slug, slug);
+});
+
+function createTeam(chatId, slug, actorId) {
+  insertTeamStmt.run(String(chatId), slug);
+  logAudit(chatId, actorId, "team_create", { slug });
+  scheduleChatCommandsSync(chatId);
+}
+
+function renameTeam(chatId, oldSlug, newSlug, actorId) {
+  renameTeamTx(String(chatId), oldSlug, newSlug);
+  logAudit(chatId, actorId, "team_rename", { slug: newSlug, details: { from: oldSlug } });
+  scheduleChatCommandsSync(chatId);
+}
+
+function deleteTeam(chatId, slug, actorId) {
+  const n = getTeamMemberCount(chatId, slug);
+  deleteTeamTx(String(chatId), slug);
+  logAudit(chatId, actorId, "team_delete", { slug, memberCount: n });
+  scheduleChatCommandsSync(chatId);
+}
+
+// Возвращают, скольких реально добавили/убрали; в журнал — только их
+function addTeamMembers(chatId, slug, userIds, actorId) {
+  const cid = String(chatId);
+  const added = userIds.filter((userId) => {
+    try {
+      return insertTeamMemberStmt.run(cid, slug, userId).changes > 0;
+    } catch (e) {
+      return false; // уже в команде
+    }
+  });
+  if (added.length) logAudit(cid, actorId, "member_add", { slug, memberCount: added.length, details: { users: added } });
+  return added.length;
+}
+
+function removeTeamMembers(chatId, slug, userIds, actorId) {
+  const cid = String(chatId);
+  const removed = userIds.filter((userId) => deleteTeamMemberStmt.run(cid, slug, userId).changes > 0);
+  if (removed.length) logAudit(cid, actorId, "member_remove", { slug, memberCount: removed.length, details: { users: removed } });
+  return removed.length;
+}
+
+function clearTeamMembers(chatId, slug, actorId) {
+  const n = deleteTeamAllMembersStmt.run(String(chatId), slug).changes;
+  if (n) logAudit(chatId, actorId, "team_clear", { slug, memberCount: n });
+  return n;
+}
+
+const TEAM_ADD_PAGE_SIZE = 8;
+const TEAM_REM_PAGE_SIZE = 8;
+
+const getTeamInfoStmt = db.prepare(`SELECT title, description, emoji FROM chat_teams WHERE chat_id = ? AND slug = ?`);
+
+// «🎨 Дизайнеры», а без названия — slug с большой буквы
+function teamTitle(chatId, slug) {
+  const info = getTeamInfoStmt.get(String(chatId), slug) || {};
+  const title = info.title || slug.charAt(0).toUpperCase() + slug.slice(1).toLowerCase();
+  return info.emoji ? `${info.emoji} ${title}` : title;
+}
+
+function teamLabelForMessage(lang, chatId, slug) {
+  if (!slug) return t(lang, "mention.all");
+  // выражение "design+qa" или "all-managers" → «Design + Qa», «Все − Managers»; "qa,all-managers" — два слова из сообщения
+  return String(slug)
+    .split(/([+,-])/)
+    .map((part) => {
+      if (part === ",") return ", ";
+      if (part === "+") return " + ";
+      if (part === "-") return " − ";
+      if (part === "all" && !getTeamStmt.get(String(chatId), part)) return t(lang, "mention.all");
+      return teamTitle(chatId, part);
+    })
+    .join("");
+}
+
+// /tagactive [дни] [/команда] — только писавшие за N дней, во всём чате или в одной команде
+const TAGACTIVE_REGEX = /^\/tagactive(@\w+)?(?:[ \t]+(\d+))?(?:[ \t]+\/(\w+)(@\w+)?)?/i;
+
+function parseTagActiveCommand(text, chatId) {
+  const match = TAGACTIVE_REGEX.exec(text);
+  if (!match) return null;
+  const requested = match[2] ? parseInt(match[2], 10) : null;
+  const days = requested ? Math.min(requested, ACTIVE_DAYS_MAX) : getActiveDays(chatId);
+  let slug = null;
+  let raw = match[0];
+  if (match[3]) {
+    slug = findTeamSlug(chatId, match[3]);
+    // не команда — значит это уже текст сообщения
+    if (!slug) raw = raw.slice(0, raw.lastIndexOf("/")).trimEnd();
+  }
+  return { type: "active", days, slug, raw };
+}
+
+// Одно слово после "/" — команда или выражение; command — то, что вырезать из текста сообщения
+function parseTeamToken(token, chatId) {
+  const cmd = token.toLowerCase();
+  const head = cmd.split(/[+-]/)[0];
+  if (head !== cmd) {
+    const terms = parseTeamExpression(cmd, chatId);
+    if (terms) return { terms, command: token };
+    // "/devs-team привет" — не выражение, а команда и дефис в тексте
+  }
+  const slug = findTeamSlug(chatId, head);
+  return slug ? { terms: [{ exclude: false, slug }], command: token.slice(0, head.length) } : null;
+}
+
+function parseTagCommand(text, chatId) {
+  if (!text || typeof text !== "string") return null;
+  // только в начале текста или после пробела: ссылки и пути (github.com/acme/docs, /var/log/devs) — не команды
+  const regex = /(?:^|\s)\/(tagall|\w+(?:[+-]\w+)*)(@\w+)?/gi;
+  const match = regex.exec(text);
+  if (!match) return null;
+  const cmd = match[1].toLowerCase();
+  if (cmd === "tagall") return { type: "tagall" };
+  if (cmd.split(/[+-]/)[0] === "tagactive") return parseTagActiveCommand(text.slice(match.index + match[0].indexOf("/")), chatId);
+  // "/addto devs /backend", "/team /qa" — аргументы наших команд, а не тег
+  if (RESERVED_SLUGS.has(cmd)) return null;
+  // "/design /qa посмотрите" — все команды из сообщения тегаем одним запуском.
+  // Каждое слово считается отдельно, результаты объединяются: "/qa /all-managers" не вычитает managers из qa.
+  // /tagall после команды — это «all» в том же запуске; /tagactive так не объединить, о чём и скажем
+  const groups = [];
+  const commands = [];
+  const seen = new Set();
+  let withActive = false;
+  for (let m = match; m; m = regex.exec(text)) {
+    const word = m[1].toLowerCase();
+    if (word.split(/[+-]/)[0] === "tagactive") {
+      withActive = true;
+      continue;
+    }
+    if (RESERVED_SLUGS.has(word) && word !== "tagall") continue;
+    const token = word === "tagall" ? { terms: [{ exclude: false, slug: null }], command: m[1] } : parseTeamToken(m[1], chatId);
+    if (!token) continue;
+    const key = formatTeamExpression(token.terms);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    groups.push(token.terms);
+    commands.push(token.command);
+  }
+  if (!groups.length) return null;
+  if (withActive) return { type: "unsupported", command: "tagactive" };
+  const terms = groups.flat();
+  if (terms.length === 1 && !terms[0].slug) return { type: "tagall", commands };
+  if (terms.length === 1) return { type: "team", slug: terms[0].slug, commands };
+  return { type: "combo", groups, terms, expr: [...seen].join(","), commands };
+}
+
+// Области прав и кулдауна: null — весь чат (/tagall, /tagactive, «all» в выражении)
+function tagScopes(commandInfo) {
+  if (commandInfo.type !== "combo") return [commandInfo.slug ?? null];
+  return [...new Set(commandInfo.terms.filter((term) => !term.exclude).map((term) => term.slug))];
+}
+
+// То же для запуска из очереди: в team_slug команда, выражение ("design+qa", "qa,all-managers") или null.
+// null — одну из команд выражения с тех пор удалили
+function jobTagScopes(job) {
+  if (!job.team_slug) return [null];
+  const groups = job.team_slug.split(",").map((expr) => parseTeamExpression(expr, job.chat_id));
+  if (groups.includes(null)) return null;
+  return tagScopes({ type: "combo", terms: groups.flat() });
+}
+
+// commands — одна команда или список, если в сообщении их несколько
+function messageHasExtraContent(ctx, commands, raw = null) {
+  const msg = ctx.message;
+  if (msg.photo || msg.video || msg.document || msg.audio || msg.voice || msg.video_note || msg.sticker)
+    return true;
+  let text = msg.text || msg.caption || "";
+  // аргументы команды (дни, /команда у /tagactive) — это не содержимое сообщения
+  if (raw) text = text.replace(raw, "");
+  const escaped = [].concat(commands).map((c) => c.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|");
+  const withoutCommand = text.replace(new RegExp(`\\/(?:${escaped})(@\\w+)?`, "gi"), "").trim();
+  return withoutCommand.length > 0;
+}
+
+function getTargetMessageId(ctx, commandInfo) {
+  const cmd = commandInfo.commands ?? (commandInfo.type === "active" ? "tagactive" : "tagall");
+  if (messageHasExtraContent(ctx, cmd, commandInfo.raw)) return ctx.message.message_id;
+  if (ctx.message.reply_to_message) return ctx.message.reply_to_message.message_id;
+  return null;
+}
+
+// -------------------- Mention templates --------------------
+const TEMPLATE_MAX_LEN = 500;
+const TEMPLATE_PLACEHOLDERS = ["mentions", "label", "initiator", "count", "chunk", "chunks"];
+const TEMPLATE_PLACEHOLDER_REGEX = /\{(\w+)\}/g;
+const TEMPLATE_SEPARATORS = [
+  { value: MENTION_SEPARATOR, label: `«${MENTION_SEPARATOR.trim()}»` },
+  { value: ", ", label: "«,»" },
+  { value: " • ", label: "«•»" },
+  { value: " ", labelKey: "template.sepSpace" },
+  { value: "\n", labelKey: "template.sepLine" }
+];
+const MENTION_STYLES = { name: "template.styleName", username: "template.styleUsername" };
+// Что Telegram понимает в parse_mode HTML (span и tg-emoji не даём — им нужны атрибуты)
+const TEMPLATE_HTML_TAGS = new Set([
+  "b", "strong", "i", "em", "u", "ins", "s", "strike", "del", "code", "pre", "a", "tg-spoiler", "blockquote"
+]);
+const TEMPLATE_HTML_TOKEN_REGEX = /<(\/?)([a-zA-Z][\w-]*)((?:\s[^<>]*)?)>|[<>]|&(?!(?:lt|gt|amp|quot|#\d+|#x[0-9a-fA-F]+);)/g;
+
+const getTeamTemplateStmt = db.prepare(`
+  SELECT mention_template, mention_separator, mention_style FROM chat_teams WHERE chat_id = ? AND slug = ?
+`);
+const setTeamTemplateStmts = new Map();
+
+function getMentionTemplate(chatId, slug = null) {
+  const chat = getChatSettings(chatId);
+  const team = slug ? getTeamTemplateStmt.get(String(chatId), slug) || {} : {};
+  return {
+    template: team.mention_template ?? chat.mention_template ?? t(getChatLanguage(chatId), "template.default"),
+    separator: team.mention_separator ?? chat.mention_separator ?? MENTION_SEPARATOR,
+    style: team.mention_style ?? chat.mention_style ?? "name"
+  };
+}
+
+// slug = null — шаблон всей группы. column — только из кода, не из пользовательского ввода
+function setMentionTemplateField(chatId, slug, column, value, actorId = null) {
+  if (!slug) return setChatSetting(chatId, column, value, actorId);
+  let stmt = setTeamTemplateStmts.get(column);
+  if (!stmt) {
+    stmt = db.prepare(`UPDATE chat_teams SET ${column} = ? WHERE chat_id = ? AND slug = ?`);
+    setTeamTemplateStmts.set(column, stmt);
+  }
+  stmt.run(value, String(chatId), slug);
+  if (actorId != null) logAudit(chatId, actorId, "setting", { slug, details: { column, value } });
+}
+
+function resetMentionTemplate(chatId, slug, actorId = null) {
+  for (const column of ["mention_template", "mention_separator", "mention_style"]) {
+    setMentionTemplateField(chatId, slug, column, null);
+  }
+  // одна запись в журнал на весь сброс
+  if (actorId != null) logAudit(chatId, actorId, "setting", { slug, details: { column: "mention_template", value: null } });
+}
+
+function mentionByStyle(u, style) {
+  if (style === "username" && u.username) return `@${u.username}`;
+  return mentionHtml(u);
+}
+
+// Для предпросмотра: выглядит как упоминание, но никого не пингует
+function mentionPreview(u, style) {
+  if (style === "username" && u.username) return `@\u2060${escapeHtml(u.username)}`;
+  return `<u>${escapeHtml(displayName(u))}</u>`;
+}
+
+function renderMentionTemplate(tpl, members, vars, formatMember) {
+  const mentions = members.map((u) => formatMember(u, tpl.style)).join(tpl.separator);
+  return tpl.template.replace(TEMPLATE_PLACEHOLDER_REGEX, (m, key) => (key === "mentions" ? mentions : String(vars[key] ?? m)));
+}
+
+function templateHtmlError(lang, html) {
+  const stack = [];
+  for (const m of html.matchAll(TEMPLATE_HTML_TOKEN_REGEX)) {
+    if (m[2] == null) {
+      const entity = { "<": "&lt;", ">": "&gt;", "&": "&amp;" }[m[0]];
+      return t(lang, "template.errEntity", { char: m[0], entity });
+    }
+    const tag = m[2].toLowerCase();
+    if (!TEMPLATE_HTML_TAGS.has(tag)) return t(lang, "template.errTag", { tag });
+    if (m[1]) {
+      if (stack.pop() !== tag) return t(lang, "template.errClose", { tag });
+      continue;
+    }
+    if (tag === "a" && !/\shref\s*=\s*"[^"]+"/i.test(m[3])) return t(lang, "template.errHref");
+    stack.push(tag);
+  }
+  if (stack.length) return t(lang, "template.errUnclosed", { tag: stack[stack.length - 1] });
+  return null;
+}
+
+function mentionTemplateError(lang, template) {
+  if (template.length > TEMPLATE_MAX_LEN) return t(lang, "template.errLength", { max: TEMPLATE_MAX_LEN });
+  const keys = [...template.matchAll(TEMPLATE_PLACEHOLDER_REGEX)].map((m) => m[1]);
+  const unknown = keys.find((k) => !TEMPLATE_PLACEHOLDERS.includes(k));
+  if (unknown) return t(lang, "template.errUnknown", { key: unknown });
+  if (!keys.includes("mentions")) return t(lang, "template.errNoMentions");
+  return templateHtmlError(lang, template.replace(TEMPLATE_PLACEHOLDER_REGEX, "x"));
+}
+
+function templateKeySlug(key) {
+  return key === "-" ? null : key;
+}
+
+function buildTemplateScreen(lang, isPrivate, chatId, key) {
+  const cid = isPrivate ? String(chatId) : null;
+  const slug = templateKeySlug(key);
+  const tpl = getMentionTemplate(chatId, slug);
+  const own = slug ? getTeamTemplateStmt.get(String(chatId), slug) || {} : getChatSettings(chatId);
+  const customized = own.mention_template != null || own.mention_separator != null || own.mention_style != null;
+  const rows = [
+    TEMPLATE_SEPARATORS.map((sep, i) => ({
+      text: (tpl.separator === sep.value ? "✓ " : "") + (sep.labelKey ? t(lang, sep.labelKey) : sep.label),
+      callback_data: CB.tplSet(cid, key, "sep", i)
+    })),
+    Object.entries(MENTION_STYLES).map(([style, labelKey]) => ({
+      text: (tpl.style === style ? "✓ " : "") + t(lang, labelKey),
+      callback_data: CB.tplSet(cid, key, "st", style[0])
+    })),
+    [
+      { text: t(lang, "template.edit"), callback_data: CB.tplEdit(cid, key) },
+      { text: t(lang, "template.preview"), callback_data: CB.tplPreview(cid, key) }
+    ]
+  ];
+  if (customized) rows.push([{ text: t(lang, "template.reset"), callback_data: CB.tplSet(cid, key, "rst", "x") }]);
+  rows.push([{ text: t(lang, "common.back"), callback_data: slug ? CB.team(cid, slug) : CB.menu(cid) }]);
+  let source = t(lang, "template.sourceOwn");
+  if (!customized) source = t(lang, slug ? "template.sourceChat" : "template.sourceDefault");
+  const target = slug ? `/${slug}` : t(lang, "template.wholeChat");
+  const text = t(lang, "template.screen", { target, source, template: tpl.template });
+  return { text, reply_markup: { inline_keyboard: rows } };
+}
+
+function previewMentionTemplate(chatId, slug, from) {
+  const cid = String(chatId);
+  let members = slug ? selectTeamTreeMembers(cid, slug).slice(0, 3) : selectMembersStmt.all(cid, 3);
+  if (!members.length) members = [{ ...from, user_id: from.id }];
+  const vars = {
+    label: escapeHtml(teamLabelForMessage(getChatLanguage(cid), cid, slug)),
+    initiator: escapeHtml(displayName({ ...from, user_id: from.id })),
+    count: members.length,
+    chunk: 1,
+    chunks: 1
+  };
+  return renderMentionTemplate(getMentionTemplate(cid, slug), members, vars, mentionPreview);
+}
+
+async function handleMentionTemplateInput(ctx, state) {
+  const template = ctx.message.text.trim();
+  const err = mentionTemplateError(ctx.lang, template);
+  if (err) {
+    await ctx.reply(t(ctx.lang, "template.retry", { err }));
+    return;
+  }
+  setMentionTemplateField(state.chatId, state.slug, "mention_template", template, ctx.from.id);
+  adminInputState.delete(ctx.from.id);
+  const isPrivate = ctx.chat.type === "private";
+  const { text, reply_markup } = buildTemplateScreen(ctx.lang, isPrivate, state.chatId, state.slug ?? "-");
+  await ctx.telegram.editMessageText(state.msgChatId, state.msgId, null, text, { reply_markup }).catch(() => {});
+  await ctx.reply(t(ctx.lang, "template.saved"));
+}
+
+async function applyTemplateAction(ctx, chatId, key, isPrivate, action, field, value) {
+  const slug = templateKeySlug(key);
+  if (slug && !getTeamStmt.get(String(chatId), slug)) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  if (action === "set") {
+    if (field === "sep") {
+      const sep = TEMPLATE_SEPARATORS[parseInt(value, 10)];
+      if (!sep) return ctx.answerCbQuery();
+      setMentionTemplateField(chatId, slug, "mention_separator", sep.value, ctx.from.id);
+    } else if (field === "st") {
+      setMentionTemplateField(chatId, slug, "mention_style", value === "u" ? "username" : "name", ctx.from.id);
+    } else {
+      resetMentionTemplate(chatId, slug, ctx.from.id);
+    }
+  } else if (action === "edit") {
+    const msg = ctx.callbackQuery.message;
+    adminInputState.set(ctx.from.id, { chatId: String(chatId), step: "mention_template", slug, msgChatId: msg.chat.id, msgId: msg.message_id });
+    await ctx.answerCbQuery();
+    const current = getMentionTemplate(chatId, slug).template;
+    await ctx.editMessageText(t(ctx.lang, "template.editPrompt", { current }), {
+      reply_markup: { inline_keyboard: [[{ text: t(ctx.lang, "common.back"), callback_data: CB.tpl(isPrivate ? chatId : null, key) }]] }
+    }).catch(() => {});
+    return;
+  } else if (action === "preview") {
+    await ctx.answerCbQuery();
+    const html = previewMentionTemplate(chatId, slug, ctx.from);
+    await ctx.reply(t(ctx.lang, "template.previewTitle", { html }), { parse_mode: "HTML", disable_web_page_preview: true })
+      .catch((e) => ctx.reply(t(ctx.lang, "template.rejected", { error: e?.description || e?.message || e })));
+    return;
+  } else {
+    adminInputState.delete(ctx.from.id);
+  }
+  const { text, reply_markup } = buildTemplateScreen(ctx.lang, isPrivate, chatId, key);
+  await ctx.answerCbQuery(action === "set" ? t(ctx.lang, "common.saved") : undefined);
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+}
+
+const TEMPLATE_ACTIONS = { tpl: "show", tpls: "set", tple: "edit", tplp: "preview" };
+
+// Шаблон всей группы — только админы, шаблон команды — ещё и менеджеры
+async function canEditTemplate(ctx, chatId, key) {
+  if (templateKeySlug(key)) return canManageTeams(ctx, chatId, ctx.from.id);
+  return isAdminInChat(ctx, chatId, ctx.from.id);
+}
+
+bot.action(/^adm_(tpl|tple|tplp):([^:]+)$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await canEditTemplate(ctx, chatId, ctx.match[2]);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  await applyTemplateAction(ctx, String(chatId), ctx.match[2], false, TEMPLATE_ACTIONS[ctx.match[1]]);
+});
+
+bot.action(/^adm_(tpl|tple|tplp):(.+):([^:]+)$/, async (ctx) => {
+  const chatId = ctx.match[2];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canEditTemplate(ctx, chatId, ctx.match[3]);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  await applyTemplateAction(ctx, chatId, ctx.match[3], true, TEMPLATE_ACTIONS[ctx.match[1]]);
+});
+
+bot.action(/^adm_tpls:([^:]+):(sep|st|rst):(\w+)$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await canEditTemplate(ctx, chatId, ctx.match[1]);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  await applyTemplateAction(ctx, String(chatId), ctx.match[1], false, "set", ctx.match[2], ctx.match[3]);
+});
+
+bot.action(/^adm_tpls:(.+):([^:]+):(sep|st|rst):(\w+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canEditTemplate(ctx, chatId, ctx.match[2]);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  await applyTemplateAction(ctx, chatId, ctx.match[2], true, "set", ctx.match[3], ctx.match[4]);
+});
+
+// -------------------- Mention jobs (durable queue) --------------------
+// Каждый запуск — задача в SQLite с заранее собранными сообщениями. Задачи одной группы
+// выполняются строго по очереди, незавершённые подхватываются после перезапуска.
+const JOB_KEEP_MS = 48 * 60 * 60 * 1000; // дольше Telegram всё равно не даст удалить сообщения
+const JOB_ACTIVE_STATUSES = ["queued", "running"];
+
+const insertJobStmt = db.prepare(`
+  INSERT INTO mention_jobs (chat_id, thread_id, target_message_id, team_slug, initiator_id, member_count, chunk_count, ack_job_id,
+    rotation_first_seen, rotation_user_id, status, created_at, updated_at)
+  VALUES (@chat_id, @thread_id, @target_message_id, @team_slug, @initiator_id, @member_count, @chunk_count, @ack_job_id,
+    @rotation_first_seen, @rotation_user_id, 'queued', @now, @now)
+`);
+const setJobAckRootStmt = db.prepare(`UPDATE mention_jobs SET ack_job_id = id WHERE id = ?`);
+const insertJobRecipientStmt = db.prepare(`
+  INSERT OR IGNORE INTO mention_job_recipients (job_id, user_id) VALUES (?, ?)
+`);
+const insertJobChunkStmt = db.prepare(`
+  INSERT INTO mention_job_chunks (job_id, idx, text) VALUES (?, ?, ?)
+`);
+const getJobStmt = db.prepare(`SELECT * FROM mention_jobs WHERE id = ?`);
+const nextJobStmt = db.prepare(`
+  SELECT * FROM mention_jobs
+  WHERE chat_id = ? AND status IN ('queued', 'running')
+  ORDER BY id ASC
+  LIMIT 1
+`);
+const countJobsAheadStmt = db.prepare(`
+  SELECT COUNT(*) AS n FROM mention_jobs
+  WHERE chat_id = ? AND status IN ('queued', 'running') AND id < ?
+`);
+const selectActiveJobChatsStmt = db.prepare(`
+  SELECT DISTINCT chat_id FROM mention_jobs WHERE status IN ('queued', 'running')
+`);
+const selectJobChunksStmt = db.prepare(`
+  SELECT idx, text, message_id FROM mention_job_chunks WHERE job_id = ? ORDER BY idx
+`);
+const setJobChunkSentStmt = db.prepare(`
+  UPDATE mention_job_chunks SET message_id = ? WHERE job_id = ? AND idx = ?
+`);
+const setJobProgressStmt = db.prepare(`
+  UPDATE mention_jobs SET next_chunk = ?, updated_at = ? WHERE id = ?
+`);
+const setJobStatusStmt = db.prepare(`
+  UPDATE mention_jobs SET status = ?, updated_at = ? WHERE id = ?
+`);
+const setJobStatusMessageStmt = db.prepare(`
+  UPDATE mention_jobs SET status_message_id = ? WHERE id = ?
+`);
+const setJobResumedStmt = db.prepare(`
+  UPDATE mention_jobs SET resumed = 1 WHERE id = ?
+`);
+const requestJobCancelStmt = db.prepare(`
+  UPDATE mention_jobs
+  SET cancel_requested = 1, cancelled_by = ?, delete_sent = MAX(delete_sent, ?), updated_at = ?
+  WHERE id = ?
+`);
+const setJobDeletedStmt = db.prepare(`
+  UPDATE mention_jobs SET deleted = 1, updated_at = ? WHERE id = ?
+`);
+const pruneJobChunksStmt = db.prepare(`
+  DELETE FROM mention_job_chunks WHERE job_id IN (
+    SELECT id FROM mention_jobs WHERE status NOT IN ('queued', 'running') AND updated_at < ?
+  )
+`);
+const pruneJobRecipientsStmt = db.prepare(`
+  DELETE FROM mention_job_recipients WHERE job_id IN (
+    SELECT id FROM mention_jobs WHERE status NOT IN ('queued', 'running') AND updated_at < ?
+  )
+`);
+const pruneJobsStmt = db.prepare(`
+  DELETE FROM mention_jobs WHERE status NOT IN ('queued', 'running') AND updated_at < ?
+`);
+
+// recipients передаём только для нового запуска с подтверждениями: у «тегнуть остальных» их нет
+const insertJobTx = db.transaction((job, texts, recipients = null) => {
+  const id = Number(insertJobStmt.run(job).lastInsertRowid);
+  texts.forEach((text, idx) => insertJobChunkStmt.run(id, idx, text));
+  if (recipients) {
+    setJobAckRootStmt.run(id);
+    for (const u of recipients) insertJobRecipientStmt.run(id, u.user_id);
+  }
+  return id;
+});
+
+const markJobChunkSentTx = db.transaction((jobId, idx, messageId) => {
+  setJobChunkSentStmt.run(messageId, jobId, idx);
+  setJobProgressStmt.run(idx + 1, Date.now(), jobId);
+});
+
+const pruneJobsTx = db.transaction((before) => {
+  pruneJobChunksStmt.run(before);
+  pruneJobRecipientsStmt.run(before);
+  pruneJobsStmt.run(before);
+});
+
+const chatQueueWorkers = new Set(); // chatId, для которых сейчас крутится воркер
+const jobWakers = new Map(); // jobId -> функция, прерывающая текущее ожидание
+
+// Как sleep, но просыпается сразу, если задачу остановили
+function sleepUnlessCancelled(jobId, ms) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(finish, ms);
+    function finish() {
+      clearTimeout(timer);
+      jobWakers.delete(jobId);
+      resolve();
+    }
+    jobWakers.set(jobId, finish);
+  });
+}
+
+function mentionJobStatus(job) {
+  const lang = getChatLanguage(job.chat_id);
+  const sent = job.next_chunk;
+  let text;
+  if (job.status === "queued") {
+    const ahead = countJobsAheadStmt.get(job.chat_id, job.id)?.n ?? 0;
+    text = t(lang, "job.queued", { ahead, count: job.member_count });
+  } else if (job.status === "running") {
+    text = t(lang, "job.running", { count: job.member_count, chunks: job.chunk_count });
+    if (job.resumed) text += t(lang, "job.resumed", { sent });
+  } else if (job.status === "cancelled") {
+    text = t(lang, "job.cancelled", { by: job.cancelled_by, sent, chunks: job.chunk_count });
+  } else if (job.status === "failed") {
+    text = t(lang, "job.failed", { sent, chunks: job.chunk_count });
+  } else {
+    text = t(lang, "job.done", { count: job.member_count });
+  }
+  if (job.deleted) text += t(lang, "job.deleted");
+  const rows = [];
+  if (JOB_ACTIVE_STATUSES.includes(job.status)) {
+    rows.push([
+      { text: t(lang, "job.stop"), callback_data: `run_stop:${job.id}` },
+      { text: t(lang, "job.stopAndDelete"), callback_data: `run_del:${job.id}` }
+    ]);
+  } else if (sent > 0 && !job.deleted) {
+    rows.push([{ text: t(lang, "job.delete"), callback_data: `run_del:${job.id}` }]);
+  }
+  if (job.ack_job_id != null && sent > 0) {
+    rows.push([{ text: t(lang, "ack.who"), callback_data: `ack_who:${job.ack_job_id}` }]);
+  }
+  return { text, reply_markup: { inline_keyboard: rows } };
+}
+
+function jobReplyExtra(job) {
+  const extra = { reply_parameters: { message_id: job.target_message_id, allow_sending_without_reply: true } };
+  if (job.thread_id) extra.message_thread_id = job.thread_id;
+  return extra;
+}
+
+async function updateMentionJobStatus(telegram, jobId) {
+  const job = getJobStmt.get(jobId);
+  if (!job) return;
+  const { text, reply_markup } = mentionJobStatus(job);
+  if (job.status_message_id == null) {
+    const sent = await telegram.sendMessage(job.chat_id, text, { ...jobReplyExtra(job), reply_markup }).catch(() => null);
+    if (sent) setJobStatusMessageStmt.run(sent.message_id, jobId);
+    return;
+  }
+  await telegram.editMessageText(job.chat_id, job.status_message_id, null, text, { reply_markup }).catch(() => {});
+}
+
+async function deleteMentionJobMessages(telegram, jobId) {
+  const job = getJobStmt.get(jobId);
+  for (const chunk of selectJobChunksStmt.all(jobId)) {
+    if (chunk.message_id != null) await telegram.deleteMessage(job.chat_id, chunk.message_id).catch(() => {});
+  }
+  setJobDeletedStmt.run(Date.now(), jobId);
+}
+
+async function finishMentionJob(telegram, jobId, status) {
+  setJobStatusStmt.run(status, Date.now(), jobId);
+  setAuditJobOutcomeStmt.run(status, jobId);
+  if (getJobStmt.get(jobId).delete_sent) await deleteMentionJobMessages(telegram, jobId);
+  await updateMentionJobStatus(telegram, jobId);
+}
+
+async function processMentionJob(telegram, job) {
+  const jobId = job.id;
+  if (job.status === "running") setJobResumedStmt.run(jobId);
+  setJobStatusStmt.run("running", Date.now(), jobId);
+  if (job.cancel_requested) return finishMentionJob(telegram, jobId, "cancelled");
+  await updateMentionJobStatus(telegram, jobId);
+
+  const chunks = selectJobChunksStmt.all(jobId);
+  const extra = { ...jobReplyExtra(job), parse_mode: "HTML", disable_web_page_preview: true };
+  if (job.ack_job_id != null) {
+    const ackText = t(getChatLanguage(job.chat_id), "ack.button");
+    extra.reply_markup = { inline_keyboard: [[{ text: ackText, callback_data: `ack:${job.ack_job_id}` }]] };
+  }
+  try {
+    for (let i = job.next_chunk; i < chunks.length; ) {
+      if (getJobStmt.get(jobId).cancel_requested) return finishMentionJob(telegram, jobId, "cancelled");
+      try {
+        const sent = await telegram.sendMessage(job.chat_id, chunks[i].text, extra);
+        markJobChunkSentTx(jobId, i, sent.message_id);
+      } catch (e) {
+        const retryAfter = e?.parameters?.retry_after;
+        if (retryAfter) {
+          await sleepUnlessCancelled(jobId, (retryAfter + 1) * 1000);
+          continue;
+        }
+        throw e;
+      }
+      i++;
+      if (i < chunks.length) await sleepUnlessCancelled(jobId, getTagLimits(job.chat_id).delayMs);
+    }
+  } catch (e) {
+    console.error(`mention job ${jobId} chat=${job.chat_id} failed:`, e?.stack || e);
+    return finishMentionJob(telegram, jobId, "failed");
+  }
+  const status = getJobStmt.get(jobId).cancel_requested ? "cancelled" : "done";
+  if (status === "done") advanceTagallRotation(job);
+  return finishMentionJob(telegram, jobId, status);
+}
+
+async function runChatQueue(chatId) {
+  for (;;) {
+    const job = nextJobStmt.get(chatId);
+    if (!job) {
+      chatQueueWorkers.delete(chatId);
+      return;
+    }
+    await processMentionJob(bot.telegram, job);
+  }
+}
+
+function kickChatQueue(chatId) {
+  const cid = String(chatId);
+  if (chatQueueWorkers.has(cid)) return;
+  chatQueueWorkers.add(cid);
+  runChatQueue(cid).catch((e) => {
+    chatQueueWorkers.delete(cid);
+    console.error(`mention queue chat=${cid} crashed:`, e?.stack || e);
+  });
+}
+
+function resumeMentionJobs() {
+  const chats = selectActiveJobChatsStmt.all();
+  for (const { chat_id } of chats) kickChatQueue(chat_id);
+  if (chats.length) console.log(`resuming mention jobs in ${chats.length} chat(s)`);
+}
+
+function pruneMentionJobs() {
+  pruneJobsTx(Date.now() - JOB_KEEP_MS);
+}
+
+async function canControlMentionJob(ctx, job) {
+  if (ctx.from.id === job.initiator_id) return true;
+  return isAdminInChat(ctx, job.chat_id, ctx.from.id);
+}
+
+bot.action(/^run_(stop|del):(\d+)$/, async (ctx) => {
+  const jobId = parseInt(ctx.match[2], 10);
+  const job = getJobStmt.get(jobId);
+  if (!job) return ctx.answerCbQuery(t(ctx.lang, "job.unavailable"));
+  const ok = await canControlMentionJob(ctx, job);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "job.stopDenied"));
+  const withDelete = ctx.match[1] === "del";
+  if (!JOB_ACTIVE_STATUSES.includes(job.status)) {
+    if (!withDelete || job.deleted) return ctx.answerCbQuery();
+    await ctx.answerCbQuery(t(ctx.lang, "job.deleting"));
+    await deleteMentionJobMessages(ctx.telegram, jobId);
+    await updateMentionJobStatus(ctx.telegram, jobId);
+    return;
+  }
+  const by = displayName({ ...ctx.from, user_id: ctx.from.id });
+  requestJobCancelStmt.run(by, withDelete ? 1 : 0, Date.now(), jobId);
+  await ctx.answerCbQuery(t(ctx.lang, withDelete ? "job.stoppingDelete" : "job.stopping"));
+  if (getJobStmt.get(jobId).status === "queued") {
+    // воркер до неё ещё не дошёл — закрываем сразу, чтобы статус не висел
+    await finishMentionJob(ctx.telegram, jobId, "cancelled");
+  } else {
+    jobWakers.get(jobId)?.();
+  }
+});
+
+function renderMentionChunks(chatId, members, teamSlug, chunkSize, { withAck = false, initiatorId = null } = {}) {
+  const lang = getChatLanguage(chatId);
+  const tpl = getMentionTemplate(chatId, teamSlug);
+  const initiator = initiatorId != null ? getMemberStmt.get(String(chatId), initiatorId) : null;
+  const vars = {
+    label: escapeHtml(teamLabelForMessage(lang, chatId, teamSlug)),
+    initiator: escapeHtml(initiator ? displayName(initiator) : t(lang, "mention.bot")),
+    count: members.length,
+    chunks: Math.ceil(members.length / chunkSize)
+  };
+  const suffix = withAck ? t(lang, "ack.hint") : "";
+  const texts = [];
+  for (let i = 0; i < members.length; i += chunkSize) {
+    const chunkVars = { ...vars, chunk: i / chunkSize + 1 };
+    texts.push(renderMentionTemplate(tpl, members.slice(i, i + chunkSize), chunkVars, mentionByStyle) + suffix);
+  }
+  return texts;
+}
+
+// Ставит запуск в очередь группы и сразу возвращает id задачи.
+// ackJobId — повторный тег тех, кто не подтвердил исходный запуск.
+// command — как запустили (tagall, tagactive, schedule…), только для журнала.
+// rotationMembers — выборка /tagall из этого запуска: по ней сдвинется курсор режима rotation
+async function enqueueMentionJob(telegram, { chatId, threadId = null, targetMessageId, members, teamSlug = null, initiatorId = null, actorId = initiatorId, ackJobId = null, command = null, rotationMembers = null }) {
+  const cid = String(chatId);
+  const cursor = tagallRotationCursor(cid, rotationMembers);
+  const trackAck = ackJobId == null && getChatSettings(cid).ack_enabled === 1;
+  const texts = renderMentionChunks(cid, members, teamSlug, getTagLimits(cid).chunk, {
+    withAck: trackAck || ackJobId != null,
+    initiatorId
+  });
+  const jobId = insertJobTx({
+    chat_id: cid,
+    thread_id: threadId ?? null,
+    target_message_id: targetMessageId,
+    team_slug: teamSlug,
+    initiator_id: initiatorId,
+    member_count: members.length,
+    chunk_count: texts.length,
+    ack_job_id: ackJobId,
+    rotation_first_seen: cursor?.first_seen ?? null,
+    rotation_user_id: cursor?.user_id ?? null,
+    now: Date.now()
+  }, texts, trackAck ? members : null);
+  logAudit(cid, actorId, "tag", {
+    slug: teamSlug,
+    memberCount: members.length,
+    targetMessageId,
+    jobId,
+    outcome: "queued",
+    details: { command: command ?? (ackJobId != null ? "ack" : teamSlug ?? "tagall") }
+  });
+  // группа занята другой рассылкой — сразу показываем, что мы в очереди
+  if (chatQueueWorkers.has(cid)) await updateMentionJobStatus(telegram, jobId);
+  kickChatQueue(cid);
+  return jobId;
+}
+
+// -------------------- Acknowledgements --------------------
+const ACK_LIST_MAX = 50;
+
+const getJobRecipientStmt = db.prepare(`
+  SELECT acked_at FROM mention_job_recipients WHERE job_id = ? AND user_id = ?
+`);
+const setJobRecipientAckStmt = db.prepare(`
+  UPDATE mention_job_recipients SET acked_at = ? WHERE job_id = ? AND user_id = ? AND acked_at IS NULL
+`);
+const selectJobRecipientsStmt = db.prepare(`
+  SELECT r.user_id, r.acked_at, m.first_name, m.last_name, m.username
+  FROM mention_job_recipients r
+  LEFT JOIN chat_members m ON m.chat_id = ? AND m.user_id = r.user_id
+  WHERE r.job_id = ?
+  ORDER BY r.acked_at IS NULL, r.acked_at, r.rowid
+`);
+// Кто не подтвердил и всё ещё в группе — их и тегаем повторно
+const selectUnackedMembersStmt = db.prepare(`
+  SELECT m.user_id, m.first_name, m.last_name, m.username
+  FROM mention_job_recipients r
+  JOIN chat_members m ON m.chat_id = ? AND m.user_id = r.user_id
+  WHERE r.job_id = ? AND r.acked_at IS NULL
+  ORDER BY r.rowid
+`);
+const countActiveAckJobsStmt = db.prepare(`
+  SELECT COUNT(*) AS n FROM mention_jobs WHERE ack_job_id = ? AND status IN ('queued', 'running')
+`);
+const lastAckJobStmt = db.prepare(`
+  SELECT * FROM mention_jobs WHERE chat_id = ? AND ack_job_id = id ORDER BY id DESC LIMIT 1
+`);
+const findJobByMessageStmt = db.prepare(`
+  SELECT j.* FROM mention_jobs j
+  WHERE j.chat_id = ? AND (
+    j.status_message_id = ?
+    OR j.id IN (SELECT job_id FROM mention_job_chunks WHERE message_id = ?)
+  )
+  LIMIT 1
+`);
+
+function formatAckList(lang, users) {
+  const names = users.slice(0, ACK_LIST_MAX).map(displayName);
+  if (users.length > ACK_LIST_MAX) names.push(t(lang, "ack.more", { n: users.length - ACK_LIST_MAX }));
+  return names.join(", ");
+}
+
+function buildAckReport(lang, job) {
+  const recipients = selectJobRecipientsStmt.all(job.chat_id, job.id);
+  const acked = recipients.filter((r) => r.acked_at != null);
+  const pending = recipients.filter((r) => r.acked_at == null);
+  const who = job.team_slug ? teamLabelForMessage(lang, job.chat_id, job.team_slug) : t(lang, "ack.reportAll");
+  let text = t(lang, "ack.reportTitle", { who, id: job.id });
+  text += t(lang, "ack.acked", { n: acked.length, list: acked.length ? formatAckList(lang, acked) : t(lang, "ack.nobodyYet") });
+  text += t(lang, "ack.pending", { n: pending.length, list: pending.length ? formatAckList(lang, pending) : t(lang, "ack.allRead") });
+  const rows = [];
+  if (pending.length) rows.push([{ text: t(lang, "ack.pingRest", { n: pending.length }), callback_data: `ack_rest:${job.id}` }]);
+  rows.push([{ text: t(lang, "ack.refresh"), callback_data: `ack_upd:${job.id}` }]);
+  return { text, reply_markup: { inline_keyboard: rows } };
+}
+
+bot.action(/^ack:(\d+)$/, async (ctx) => {
+  const jobId = parseInt(ctx.match[1], 10);
+  const recipient = getJobRecipientStmt.get(jobId, ctx.from.id);
+  if (!recipient) {
+    const job = getJobStmt.get(jobId);
+    return ctx.answerCbQuery(t(ctx.lang, job ? "ack.notForYou" : "job.unavailable"));
+  }
+  if (recipient.acked_at != null) return ctx.answerCbQuery(t(ctx.lang, "ack.already"));
+  setJobRecipientAckStmt.run(Date.now(), jobId, ctx.from.id);
+  await ctx.answerCbQuery(t(ctx.lang, "ack.thanks"));
+});
+
+bot.action(/^ack_(who|upd):(\d+)$/, async (ctx) => {
+  const job = getJobStmt.get(parseInt(ctx.match[2], 10));
+  if (!job) return ctx.answerCbQuery(t(ctx.lang, "job.unavailable"));
+  // отчёт уходит в группу: публиковать и обновлять его — как и повторный тег, автору или админу
+  const ok = await canControlMentionJob(ctx, job);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "ack.whoDenied"));
+  const { text, reply_markup } = buildAckReport(ctx.lang, job);
+  await ctx.answerCbQuery();
+  if (ctx.match[1] === "upd") {
+    await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+    return;
+  }
+  const extra = { reply_markup };
+  if (job.thread_id) extra.message_thread_id = job.thread_id;
+  await ctx.telegram.sendMessage(job.chat_id, text, extra).catch(() => {});
+});
+
+bot.action(/^ack_rest:(\d+)$/, async (ctx) => {
+  const jobId = parseInt(ctx.match[1], 10);
+  const job = getJobStmt.get(jobId);
+  if (!job) return ctx.answerCbQuery(t(ctx.lang, "job.unavailable"));
+  const ok = await canControlMentionJob(ctx, job);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "ack.restDenied"));
+  if (countActiveAckJobsStmt.get(jobId).n > 0) return ctx.answerCbQuery(t(ctx.lang, "ack.waitActive"));
+  const members = selectUnackedMembersStmt.all(job.chat_id, jobId);
+  if (!members.length) return ctx.answerCbQuery(t(ctx.lang, "ack.allAcked"));
+  // у выражения кулдаун — у каждой его команды, как при запуске из сообщения
+  const scopes = jobTagScopes(job);
+  if (!scopes) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  const waits = scopes.map((scope) => checkCooldown(job.chat_id, scope)).filter((sec) => sec != null);
+  if (waits.length) return ctx.answerCbQuery(t(ctx.lang, "tag.cooldownWait", { sec: Math.max(...waits) }));
+  for (const scope of scopes) setCooldown(job.chat_id, scope);
+  await ctx.answerCbQuery(t(ctx.lang, "ack.repinging", { n: members.length }));
+  await enqueueMentionJob(ctx.telegram, {
+    chatId: job.chat_id,
+    threadId: job.thread_id,
+    targetMessageId: job.target_message_id,
+    members,
+    teamSlug: job.team_slug,
+    initiatorId: ctx.from.id,
+    ackJobId: jobId
+  });
+});
+
+// Reply на упоминание или статус — отчёт по этому запуску, иначе по последнему
+bot.command("who_ack", async (ctx) => {
+  if (!isGroupChat(ctx)) return ctx.reply(t(ctx.lang, "common.groupOnly"));
+  const chatId = String(ctx.chat.id);
+  const replyId = ctx.message.reply_to_message?.message_id;
+  let job = replyId != null ? findJobByMessageStmt.get(chatId, replyId, replyId) : null;
+  if (job && job.ack_job_id != null) job = getJobStmt.get(job.ack_job_id);
+  else if (!job) job = lastAckJobStmt.get(chatId);
+  if (!job || job.ack_job_id == null) {
+    return ctx.reply(t(ctx.lang, "ack.none"));
+  }
+  const { text, reply_markup } = buildAckReport(ctx.lang, job);
+  await ctx.reply(text, { reply_markup });
+});
+
+async function sendMentionChunks(ctx, chatId, targetMessageId, members, teamSlug = null, command = null, rotationMembers = null) {
+  return enqueueMentionJob(ctx.telegram, {
+    chatId,
+    threadId: ctx.message?.message_thread_id,
+    targetMessageId,
+    members,
+    teamSlug,
+    initiatorId: ctx.from?.id,
+    command,
+    rotationMembers
+  });
+}
+
+bot.command("teams", async (ctx) => {
+  if (!isGroupChat(ctx)) return ctx.reply(t(ctx.lang, "common.groupOnly"));
+  const chatId = String(ctx.chat.id);
+  const teams = listTeamsStmt.all(chatId);
+  if (!teams.length) {
+    return ctx.reply(t(ctx.lang, "teams.none"));
+  }
+  const list = teams
+    .map((team) => {
+      const info = getTeamInfoStmt.get(chatId, team.slug);
+      const subteams = getSubteams(chatId, team.slug);
+      let line = `/${team.slug}`;
+      if (info.emoji) line = `${info.emoji} ${line}`;
+      if (info.title) line += ` — ${info.title}`;
+      if (subteams.length) line += ` (${subteams.map((s) => `/${s}`).join(" + ")})`;
+      return line;
+    })
+    .join("\n");
+  await ctx.reply(t(ctx.lang, "teams.list", { list }));
+});
+
+// -------------------- Team info and /team roster --------------------
+const TEAM_INFO_FIELDS = {
+  t: { column: "title", max: 64 },
+  d: { column: "description", max: 300 },
+  e: { column: "emoji", max: 16 }
+};
+const TEAM_EMOJI_REGEX = /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u;
+const ROSTER_MAX = 100;
+
+const setTeamInfoStmts = Object.fromEntries(
+  Object.values(TEAM_INFO_FIELDS).map(({ column }) => [
+    column,
+    db.prepare(`UPDATE chat_teams SET ${column} = ? WHERE chat_id = ? AND slug = ?`)
+  ])
+);
+
+function teamInfoError(lang, field, value) {
+  const { max } = TEAM_INFO_FIELDS[field];
+  if (value.length > max) return t(lang, "template.errLength", { max });
+  if (field === "e" && !TEAM_EMOJI_REGEX.test(value)) return t(lang, "teamInfo.errEmoji");
+  return null;
+}
+
+function buildTeamInfoScreen(lang, isPrivate, chatId, slug) {
+  const cid = isPrivate ? String(chatId) : null;
+  const info = getTeamInfoStmt.get(String(chatId), slug) || {};
+  const none = t(lang, "teamInfo.empty");
+  const text = t(lang, "teamInfo.screen", {
+    slug,
+    title: info.title || none,
+    description: info.description || none,
+    emoji: info.emoji || none
+  });
+  const rows = [
+    [
+      { text: t(lang, "teamInfo.editTitle"), callback_data: CB.teamInfoEdit(cid, slug, "t") },
+      { text: t(lang, "teamInfo.editEmoji"), callback_data: CB.teamInfoEdit(cid, slug, "e") }
+    ],
+    [{ text: t(lang, "teamInfo.editDescription"), callback_data: CB.teamInfoEdit(cid, slug, "d") }],
+    [{ text: t(lang, "common.back"), callback_data: CB.team(cid, slug) }]
+  ];
+  return { text, reply_markup: { inline_keyboard: rows } };
+}
+
+async function handleTeamInfoInput(ctx, state) {
+  const raw = ctx.message.text.trim();
+  // "-" — очистить поле
+  const value = raw === "-" ? null : raw;
+  const err = value ? teamInfoError(ctx.lang, state.field, value) : null;
+  if (err) {
+    await ctx.reply(t(ctx.lang, "template.retry", { err }));
+    return;
+  }
+  adminInputState.delete(ctx.from.id);
+  if (!getTeamStmt.get(state.chatId, state.slug)) {
+    await ctx.reply(t(ctx.lang, "team.notFound"));
+    return;
+  }
+  const { column } = TEAM_INFO_FIELDS[state.field];
+  setTeamInfoStmts[column].run(value, state.chatId, state.slug);
+  logAudit(state.chatId, ctx.from.id, "setting", { slug: state.slug, details: { column, value } });
+  // описание видно в меню команд Telegram
+  scheduleChatCommandsSync(state.chatId);
+  const isPrivate = ctx.chat.type === "private";
+  const { text, reply_markup } = buildTeamInfoScreen(ctx.lang, isPrivate, state.chatId, state.slug);
+  await ctx.telegram.editMessageText(state.msgChatId, state.msgId, null, text, { reply_markup }).catch(() => {});
+  await ctx.reply(t(ctx.lang, "common.saved"));
+}
+
+async function applyTeamInfoAction(ctx, chatId, slug, isPrivate, field = null) {
+  if (!getTeamStmt.get(String(chatId), slug)) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  if (field) {
+    const msg = ctx.callbackQuery.message;
+    adminInputState.set(ctx.from.id, { chatId: String(chatId), step: "team_info", slug, field, msgChatId: msg.chat.id, msgId: msg.message_id });
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(t(ctx.lang, `teamInfo.prompt.${field}`, { slug, max: TEAM_INFO_FIELDS[field].max }), {
+      reply_markup: { inline_keyboard: [[{ text: t(ctx.lang, "common.back"), callback_data: CB.teamInfo(isPrivate ? chatId : null, slug) }]] }
+    }).catch(() => {});
+    return;
+  }
+  adminInputState.delete(ctx.from.id);
+  const { text, reply_markup } = buildTeamInfoScreen(ctx.lang, isPrivate, chatId, slug);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+}
+
+bot.action(/^adm_inf:([^:]+)$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  await applyTeamInfoAction(ctx, String(chatId), ctx.match[1], false);
+});
+
+bot.action(/^adm_inf:(.+):([^:]+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  await applyTeamInfoAction(ctx, chatId, ctx.match[2], true);
+});
+
+bot.action(/^adm_infe:([^:]+):([tde])$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  await applyTeamInfoAction(ctx, String(chatId), ctx.match[1], false, ctx.match[2]);
+});
+
+bot.action(/^adm_infe:(.+):([^:]+):([tde])$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  await applyTeamInfoAction(ctx, chatId, ctx.match[2], true, ctx.match[3]);
+});
+
+// Состав без упоминаний: простой текст, имена через plainName — никого не пингуем
+bot.command("team", async (ctx) => {
+  if (!isGroupChat(ctx)) return ctx.reply(t(ctx.lang, "common.groupOnly"));
+  const chatId = String(ctx.chat.id);
+  const input = normalizeTeamSlugInput(ctx.args[0] || "");
+  if (!input) return ctx.reply(t(ctx.lang, "roster.usage"));
+  const slug = findTeamSlug(chatId, input);
+  if (!slug) return ctx.reply(t(ctx.lang, "team.noSuch", { slug: input }));
+  const info = getTeamInfoStmt.get(chatId, slug);
+  const members = selectTeamTreeMembers(chatId, slug);
+  const pinged = new Set(selectTeamMembers(chatId, slug).map((u) => u.user_id));
+  const lines = [t(ctx.lang, "roster.header", { title: teamTitle(chatId, slug), slug })];
+  if (info.description) lines.push(info.description);
+  lines.push("");
+  if (!members.length) {
+    lines.push(t(ctx.lang, "roster.empty"));
+  } else {
+    lines.push(t(ctx.lang, "roster.count", { n: members.length }));
+    members.slice(0, ROSTER_MAX).forEach((u, i) => {
+      lines.push(`${i + 1}. ${plainName(u)}${pinged.has(u.user_id) ? "" : " 🔕"}`);
+    });
+    if (members.length > ROSTER_MAX) lines.push(t(ctx.lang, "roster.more", { n: members.length - ROSTER_MAX }));
+    if (pinged.size < members.length) lines.push(t(ctx.lang, "roster.mutedHint"));
+  }
+  const subteams = getSubteams(chatId, slug);
+  if (subteams.length) lines.push(t(ctx.lang, "roster.subteams", { list: subteams.map((s) => `/${s}`).join(", ") }));
+  await ctx.reply(lines.join("\n"));
+});
+
+// -------------------- Self-service join / leave --------------------
+// closed — только админы (как раньше), open — любой участник сам, approval — заявку подтверждает админ
+const JOIN_POLICIES = {
+  closed: "join.policy.closed",
+  open: "join.policy.open",
+  approval: "join.policy.approval"
+};
+
+const getTeamJoinPolicyStmt = db.prepare(`SELECT join_policy FROM chat_teams WHERE chat_id = ? AND slug = ?`);
+const setTeamJoinPolicyStmt = db.prepare(`UPDATE chat_teams SET join_policy = ? WHERE chat_id = ? AND slug = ?`);
+const isTeamMemberStmt = db.prepare(`
+  SELECT 1 FROM chat_team_members WHERE chat_id = ? AND slug = ? AND user_id = ?
+`);
+const insertJoinRequestStmt = db.prepare(`
+  INSERT OR IGNORE INTO team_join_requests (chat_id, slug, user_id, created_at) VALUES (?, ?, ?, ?)
+`);
+const deleteJoinRequestStmt = db.prepare(`
+  DELETE FROM team_join_requests WHERE chat_id = ? AND slug = ? AND user_id = ?
+`);
+
+function getTeamJoinPolicy(chatId, slug) {
+  const policy = getTeamJoinPolicyStmt.get(String(chatId), slug)?.join_policy;
+  return JOIN_POLICIES[policy] ? policy : "closed";
+}
+
+function setTeamJoinPolicy(chatId, slug, value, actorId) {
+  setTeamJoinPolicyStmt.run(value, String(chatId), slug);
+  logAudit(chatId, actorId, "setting", { slug, details: { column: "join_policy", value } });
+}
+
+function joinRequestKeyboard(lang, slug, userId) {
+  return {
+    inline_keyboard: [[
+      { text: t(lang, "join.accept"), callback_data: `tj_ok:${slug}:${userId}` },
+      { text: t(lang, "join.reject"), callback_data: `tj_no:${slug}:${userId}` }
+    ]]
+  };
+}
+
+// Возвращает "joined" | "already" | "requested" | "pending" | "closed"
+async function requestTeamJoin(telegram, chatId, slug, user, threadId = null) {
+  const cid = String(chatId);
+  if (isTeamMemberStmt.get(cid, slug, user.id)) return "already";
+  const policy = getTeamJoinPolicy(cid, slug);
+  if (policy === "closed") return "closed";
+  storeUser(cid, user, { active: false });
+  if (policy === "open") {
+    addTeamMembers(cid, slug, [user.id], user.id);
+    return "joined";
+  }
+  if (!insertJoinRequestStmt.run(cid, slug, user.id, Date.now()).changes) return "pending";
+  const who = escapeHtml(shortNameWithUsername({ ...user, user_id: user.id }));
+  const lang = getChatLanguage(cid);
+  const extra = { parse_mode: "HTML", reply_markup: joinRequestKeyboard(lang, slug, user.id) };
+  if (threadId) extra.message_thread_id = threadId;
+  await telegram.sendMessage(cid, t(lang, "join.request", { who, slug }), extra).catch(() => {});
+  return "requested";
+}
+
+function joinResultText(lang, result, slug) {
+  return t(lang, `join.${result}`, { slug });
+}
+
+function leaveTeam(chatId, slug, userId) {
+  deleteJoinRequestStmt.run(String(chatId), slug, userId);
+  return removeTeamMembers(chatId, slug, [userId], userId) > 0;
+}
+
+function teamJoinButtonsKeyboard(lang, slug) {
+  return {
+    inline_keyboard: [[
+      { text: t(lang, "join.button", { slug }), callback_data: `tj_join:${slug}` },
+      { text: t(lang, "join.leaveButton"), callback_data: `tj_leave:${slug}` }
+    ]]
+  };
+}
+
+bot.command("join", async (ctx) => {
+  if (!isGroupChat(ctx)) return ctx.reply(t(ctx.lang, "common.groupOnly"));
+  const chatId = String(ctx.chat.id);
+  const input = normalizeTeamSlugInput(ctx.args[0] || "");
+  if (!input) return ctx.reply(t(ctx.lang, "join.usage"));
+  const slug = findTeamSlug(chatId, input);
+  if (!slug) return ctx.reply(t(ctx.lang, "team.noSuch", { slug: input }));
+  const threadId = ctx.message.is_topic_message ? ctx.message.message_thread_id : null;
+  const result = await requestTeamJoin(ctx.telegram, chatId, slug, ctx.from, threadId);
+  await ctx.reply(joinResultText(ctx.lang, result, slug));
+});
+
+bot.command("leave", async (ctx) => {
+  if (!isGroupChat(ctx)) return ctx.reply(t(ctx.lang, "common.groupOnly"));
+  const chatId = String(ctx.chat.id);
+  const input = normalizeTeamSlugInput(ctx.args[0] || "");
+  if (!input) return ctx.reply(t(ctx.lang, "leave.usage"));
+  const slug = findTeamSlug(chatId, input);
+  if (!slug) return ctx.reply(t(ctx.lang, "team.noSuch", { slug: input }));
+  const left = leaveTeam(chatId, slug, ctx.from.id);
+  await ctx.reply(t(ctx.lang, left ? "leave.left" : "leave.notMember", { slug }));
+});
+
+bot.action(/^tj_join:([^:]+)$/, async (ctx) => {
+  const chatId = ctx.callbackQuery?.message?.chat?.id;
+  const slug = ctx.match[1];
+  if (!chatId || !getTeamStmt.get(String(chatId), slug)) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  const threadId = ctx.callbackQuery.message.is_topic_message ? ctx.callbackQuery.message.message_thread_id : null;
+  const result = await requestTeamJoin(ctx.telegram, chatId, slug, ctx.from, threadId);
+  await ctx.answerCbQuery(joinResultText(ctx.lang, result, slug), { show_alert: result === "closed" });
+});
+
+bot.action(/^tj_leave:([^:]+)$/, async (ctx) => {
+  const chatId = ctx.callbackQuery?.message?.chat?.id;
+  const slug = ctx.match[1];
+  if (!chatId || !getTeamStmt.get(String(chatId), slug)) return ctx.answerCbQuery(t(ctx.lang, "team.notFound"));
+  const left = leaveTeam(chatId, slug, ctx.from.id);
+  await ctx.answerCbQuery(t(ctx.lang, left ? "leave.left" : "leave.notMember", { slug }));
+});
+
+bot.action(/^tj_(ok|no):([^:]+):(\d+)$/, async (ctx) => {
+  const chatId = ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery();
+  const ok = await canManageTeams(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "perm.teamManagersOnly"));
+  const cid = String(chatId);
+  const slug = ctx.match[2];
+  const userId = parseInt(ctx.match[3], 10);
+  const hadRequest = deleteJoinRequestStmt.run(cid, slug, userId).changes > 0;
+  const user = getMemberStmt.get(cid, userId) || { user_id: userId };
+  const who = escapeHtml(shortNameWithUsername(user));
+  const admin = escapeHtml(displayName({ ...ctx.from, user_id: ctx.from.id }));
+  let text;
+  if (!hadRequest || !getTeamStmt.get(cid, slug)) {
+    text = t(ctx.lang, "join.stale", { who, slug });
+  } else if (ctx.match[1] === "ok") {
+    addTeamMembers(cid, slug, [userId], ctx.from.id);
+    text = t(ctx.lang, "join.approved", { who, slug, admin });
+  } else {
+    text = t(ctx.lang, "join.rejected", { who, slug, admin });
+  }
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { parse_mode: "HTML" }).catch(() => {});
+});
+
+// -------------------- Tag approval requests --------------------
+// Режим /tagall "с одобрением": заявка уходит в группу (ответом на целевое сообщение)
+// и в личку админам, которые запускали бота. Первое решение закрывает все копии
+const TAG_REQUEST_TTL_PRESETS_MIN = [15, 60, 180, 720, 1440];
+const TAG_REQUEST_TTL_DEFAULT_MIN = 60;
+const TAG_REQUEST_KEEP_MS = 7 * ONE_DAY_MS;
+
+const insertTagRequestStmt = db.prepare(`
+  INSERT INTO tag_requests (chat_id, chat_title, thread_id, requester_id, command, days, target_message_id, created_at, expires_at)
+  VALUES (@chat_id, @chat_title, @thread_id, @requester_id, @command, @days, @target_message_id, @now, @expires_at)
+`);
+const getTagRequestStmt = db.prepare(`SELECT * FROM tag_requests WHERE id = ?`);
+const pendingTagRequestStmt = db.prepare(`
+  SELECT 1 FROM tag_requests WHERE chat_id = ? AND requester_id = ? AND status = 'pending' AND expires_at > ?
+`);
+const setTagRequestNoticesStmt = db.prepare(`UPDATE tag_requests SET notices = ? WHERE id = ?`);
+// Только из pending: два админа, нажавшие одновременно, не запустят тег дважды
+const decideTagRequestStmt = db.prepare(`
+  UPDATE tag_requests SET status = ?, decided_by = ? WHERE id = ? AND status = 'pending'
+`);
+const expiredTagRequestsStmt = db.prepare(`SELECT * FROM tag_requests WHERE status = 'pending' AND expires_at <= ?`);
+const pruneTagRequestsStmt = db.prepare(`DELETE FROM tag_requests WHERE status != 'pending' AND created_at < ?`);
+
+function getTagRequestTtlMin(chatId) {
+  const min = getChatSettings(chatId).tag_request_ttl_min;
+  return TAG_REQUEST_TTL_PRESETS_MIN.includes(min) ? min : TAG_REQUEST_TTL_DEFAULT_MIN;
+}
+
+function formatRequestTtl(lang, min) {
+  return min % 60 === 0 ? t(lang, "cooldown.hours", { n: min / 60 }) : t(lang, "cooldown.min", { n: min });
+}
+
+function tagRequestKeyboard(lang, id) {
+  return {
+    inline_keyboard: [[
+      { text: t(lang, "tagRequest.approve"), callback_data: `tr_ok:${id}` },
+      { text: t(lang, "tagRequest.reject"), callback_data: `tr_no:${id}` }
+    ]]
+  };
+}
+
+function tagRequestVars(req) {
+  const user = getMemberStmt.get(req.chat_id, req.requester_id) || { user_id: req.requester_id };
+  return {
+    who: escapeHtml(shortNameWithUsername(user)),
+    command: req.command === "tagactive" ? `tagactive ${req.days}` : req.command.replaceAll(",", " /")
+  };
+}
+
+// В личке добавляем название группы: у админа их может быть несколько
+function tagRequestNoticeText(lang, req, noticeChatId, text) {
+  if (String(noticeChatId) === req.chat_id) return text;
+  return t(lang, "tagRequest.inChat", { title: escapeHtml(req.chat_title || req.chat_id), text });
+}
+
+async function submitTagRequest(ctx, chatId, commandInfo, targetMessageId) {
+  const cid = String(chatId);
+  const now = Date.now();
+  if (pendingTagRequestStmt.get(cid, ctx.from.id, now)) {
+    await ctx.reply(t(ctx.lang, "tagRequest.pending"));
+    return;
+  }
+  const ttl = getTagRequestTtlMin(cid);
+  const command = commandInfo.type === "active" ? "tagactive" : commandInfo.expr ?? "tagall";
+  const id = insertTagRequestStmt.run({
+    chat_id: cid,
+    chat_title: ctx.chat.title ?? null,
+    thread_id: ctx.message?.message_thread_id ?? null,
+    requester_id: ctx.from.id,
+    command,
+    days: commandInfo.type === "active" ? commandInfo.days : null,
+    target_message_id: targetMessageId,
+    now,
+    expires_at: now + ttl * 60 * 1000
+  }).lastInsertRowid;
+  const req = getTagRequestStmt.get(id);
+  logAudit(cid, ctx.from.id, "tag", { targetMessageId, outcome: "pending", details: { command } });
+  const lang = getChatLanguage(cid);
+  const text = t(lang, "tagRequest.text", { ...tagRequestVars(req), ttl: formatRequestTtl(lang, ttl) });
+  const reply_markup = tagRequestKeyboard(lang, id);
+  const notices = [];
+  const posted = await ctx.telegram.sendMessage(cid, text, { ...jobReplyExtra(req), parse_mode: "HTML", reply_markup }).catch(() => null);
+  if (posted) notices.push([cid, posted.message_id]);
+  const admins = await ctx.telegram.getChatAdministrators(cid).catch(() => []);
+  for (const { user } of admins) {
+    if (!user || user.is_bot) continue;
+    // 403 — админ не писал боту в личку, ему хватит сообщения в группе
+    const dm = await ctx.telegram
+      .sendMessage(user.id, tagRequestNoticeText(lang, req, user.id, text), { parse_mode: "HTML", reply_markup })
+      .catch(() => null);
+    if (dm) notices.push([user.id, dm.message_id]);
+  }
+  setTagRequestNoticesStmt.run(JSON.stringify(notices), id);
+}
+
+async function closeTagRequestNotices(telegram, req, text) {
+  const lang = getChatLanguage(req.chat_id);
+  for (const [noticeChatId, messageId] of JSON.parse(req.notices || "[]")) {
+    await telegram
+      .editMessageText(noticeChatId, messageId, null, tagRequestNoticeText(lang, req, noticeChatId, text), { parse_mode: "HTML" })
+      .catch(() => {});
+  }
+}
+
+// null — выражение больше не разбирается: команду из него удалили, пока заявка ждала
+function tagRequestCommandInfo(req) {
+  if (req.command === "tagall") return { type: "tagall" };
+  if (req.command === "tagactive") return { type: "active", days: req.days, slug: null };
+  const groups = req.command.split(",").map((expr) => parseTeamExpression(expr, req.chat_id));
+  if (groups.includes(null)) return null;
+  return { type: "combo", groups, terms: groups.flat(), expr: req.command };
+}
+
+// Кулдаун и квота могли закончиться, пока заявка ждала: тогда не запускаем, а говорим админу, сколько ждать
+async function tagRequestWait(ctx, req) {
+  const commandInfo = tagRequestCommandInfo(req);
+  if (!commandInfo) return null;
+  const scopes = tagScopes(commandInfo);
+  const waits = scopes.map((scope) => checkCooldown(req.chat_id, scope)).filter((sec) => sec != null);
+  if (waits.length) return t(ctx.lang, "tagRequest.cooldownWait", { sec: Math.max(...waits) });
+  const quotaKind = quotaKindOf(scopes);
+  const quota = await getTagQuota(ctx, req.chat_id, req.requester_id, quotaKind);
+  if (quota && quota.used >= quota.limit) {
+    return t(ctx.lang, "tagRequest.quotaWait", {
+      kind: t(ctx.lang, `quota.kind.${quotaKind}`),
+      limit: quota.limit,
+      wait: formatQuotaWait(ctx.lang, quota.retrySec)
+    });
+  }
+  return null;
+}
+
+// Состав считаем в момент одобрения: за время ожидания кто-то мог уйти или отписаться.
+// Запуск — от имени автора заявки: ему же {initiator} в шаблоне, строка журнала и квота
+async function runTagRequest(telegram, req) {
+  const commandInfo = tagRequestCommandInfo(req);
+  if (!commandInfo) return 0;
+  let members;
+  if (commandInfo.type === "active") members = selectActiveMembers(req.chat_id, req.days, null);
+  else if (commandInfo.type === "combo") members = selectTeamGroupsMembers(req.chat_id, commandInfo.groups);
+  else members = selectTagallMembers(req.chat_id);
+  if (!members.length) return 0;
+  const scopes = tagScopes(commandInfo);
+  for (const scope of scopes) setCooldown(req.chat_id, scope);
+  console.log(`${req.command} request #${req.id} chat=${req.chat_id} members=${members.length}`);
+  let rotationMembers = null;
+  if (commandInfo.type === "tagall") rotationMembers = members;
+  else if (commandInfo.type === "combo" && commandInfo.terms.some((term) => !term.slug && !term.exclude)) {
+    rotationMembers = selectTagallMembers(req.chat_id);
+  }
+  await enqueueMentionJob(telegram, {
+    chatId: req.chat_id,
+    threadId: req.thread_id,
+    targetMessageId: req.target_message_id,
+    members,
+    teamSlug: commandInfo.expr ?? null,
+    initiatorId: req.requester_id,
+    command: req.command,
+    rotationMembers
+  });
+  recordTagQuotaHit(req.chat_id, req.requester_id, quotaKindOf(scopes));
+  return members.length;
+}
+
+async function expireTagRequest(telegram, req) {
+  if (!decideTagRequestStmt.run("expired", null, req.id).changes) return;
+  logAudit(req.chat_id, null, "tag_request", {
+    targetMessageId: req.target_message_id,
+    outcome: "expired",
+    details: { command: req.command, users: [req.requester_id] }
+  });
+  const lang = getChatLanguage(req.chat_id);
+  await closeTagRequestNotices(telegram, req, t(lang, "tagRequest.expired", tagRequestVars(req)));
+}
+
+async function expireTagRequests() {
+  for (const req of expiredTagRequestsStmt.all(Date.now())) {
+    await expireTagRequest(bot.telegram, req);
+  }
+}
+
+function pruneTagRequests() {
+  pruneTagRequestsStmt.run(Date.now() - TAG_REQUEST_KEEP_MS);
+}
+
+bot.action(/^tr_(ok|no):(\d+)$/, async (ctx) => {
+  const req = getTagRequestStmt.get(parseInt(ctx.match[2], 10));
+  if (!req) return ctx.answerCbQuery(t(ctx.lang, "tagRequest.stale"));
+  const ok = await isAdminInChat(ctx, req.chat_id, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  if (req.status === "pending" && req.expires_at <= Date.now()) {
+    await expireTagRequest(ctx.telegram, req);
+    return ctx.answerCbQuery(t(ctx.lang, "tagRequest.stale"));
+  }
+  const approved = ctx.match[1] === "ok";
+  const outcome = approved ? "approved" : "rejected";
+  // заявка остаётся в ожидании: одобрить можно, когда кулдаун или квота освободятся
+  const wait = approved && req.status === "pending" ? await tagRequestWait(ctx, req) : null;
+  if (wait) return ctx.answerCbQuery(wait, { show_alert: true });
+  if (!decideTagRequestStmt.run(outcome, ctx.from.id, req.id).changes) {
+    return ctx.answerCbQuery(t(ctx.lang, "tagRequest.stale"));
+  }
+  await ctx.answerCbQuery();
+  const lang = getChatLanguage(req.chat_id);
+  const vars = { ...tagRequestVars(req), admin: escapeHtml(displayName({ ...ctx.from, user_id: ctx.from.id })) };
+  let key = approved ? "tagRequest.approved" : "tagRequest.rejected";
+  if (approved) {
+    try {
+      if (!(await runTagRequest(ctx.telegram, req))) key = "tagRequest.empty";
+    } catch (e) {
+      console.error(`tag request #${req.id} failed:`, e?.stack || e);
+      key = "tagRequest.failed";
+    }
+  }
+  logAudit(req.chat_id, ctx.from.id, "tag_request", {
+    targetMessageId: req.target_message_id,
+    outcome,
+    details: { command: req.command, users: [req.requester_id] }
+  });
+  await closeTagRequestNotices(ctx.telegram, req, t(lang, key, vars));
+});
+
+// -------------------- Team text commands --------------------
+async function requireGroupAdmin(ctx) {
+  if (!isGroupChat(ctx)) {
+    await ctx.reply(t(ctx.lang, "common.groupOnly"));
+    return false;
+  }
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) {
+    await ctx.reply(t(ctx.lang, "admin.groupAdminsOnly"));
+    return false;
+  }
+  return true;
+}
+
+async function requireTeamManager(ctx) {
+  if (!isGroupChat(ctx)) {
+    await ctx.reply(t(ctx.lang, "common.groupOnly"));
+    return false;
+  }
+  const ok = await canManageTeams(ctx, ctx.chat.id, ctx.from.id);
+  if (!ok) {
+    await ctx.reply(t(ctx.lang, "perm.teamCommandsDenied"));
+    return false;
+  }
+  return true;
+}
+
+// @username и числовые id ищем среди известных участников; text_mention несёт пользователя целиком
+function resolveUsersFromCommand(ctx, chatId, tokens) {
+  const found = new Map();
+  const missing = [];
+  for (const e of ctx.message?.entities || []) {
+    if (e.type === "text_mention" && e.user && !e.user.is_bot) {
+      storeUser(chatId, e.user, { active: false });
+      found.set(e.user.id, getMemberStmt.get(chatId, e.user.id));
+    }
+  }
+  for (const token of tokens) {
+    let user = null;
+    if (token.startsWith("@")) user = getMemberByUsernameStmt.get(chatId, token.slice(1));
+    else if (/^\d+$/.test(token)) user = getMemberStmt.get(chatId, parseInt(token, 10));
+    else continue;
+    if (user) found.set(user.user_id, user);
+    else missing.push(token);
+  }
+  return { users: [...found.values()], missing };
+}
+
+bot.command("newteam", async (ctx) => {
+  if (!(await requireTeamManager(ctx))) return;
+  const chatId = String(ctx.chat.id);
+  const slug = normalizeTeamSlugInput(ctx.args[0] || "");
+  if (!slug) return ctx.reply(t(ctx.lang, "newteam.usage"));
+  const err = teamSlugError(ctx.lang, slug);
+  if (err) return ctx.reply(err);
+  const existing = findTeamSlug(chatId, slug);
+  if (existing) return ctx.reply(t(ctx.lang, "team.exists", { slug: existing }));
+  createTeam(chatId, slug, ctx.from.id);
+  await ctx.reply(t(ctx.lang, "newteam.created", { slug }), {
+    reply_markup: { inline_keyboard: [[{ text: t(ctx.lang, "team.configure"), callback_data: CB.team(null, slug) }]] }
   });
-  rows.push([{ text: "➕ Создать команду", callback_data: CB.newteam(chatId) }]);
-  rows.push([{ text: "← Назад", callback_data: CB.menu(chatId) }]);
-  const title = await getChatTitleSafe(ctx, chatId);
-  await ctx.editMessageText(`${title}\nПодгруппы (команды):`, { reply_markup: { inline_keyboard: rows } }).catch(() => {});
 });
 
-bot.action(/^adm_delno:([^:]+)$/, async (ctx) => {
-  const slug = ctx.match[1];
-  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
-  if (!chatId) return ctx.answerCbQuery();
-  const cid = String(chatId);
-  const n = getTeamMemberCount(cid, slug);
-  await ctx.answerCbQuery();
-  await ctx.editMessageText(`Команда /${slug}. Участников: ${n}`, { reply_markup: buildTeamScreenKeyboard(false, null, slug) }).catch(() => {});
+bot.command("manage", async (ctx) => {
+  if (!(await requireTeamManager(ctx))) return;
+  const chatId = String(ctx.chat.id);
+  const input = normalizeTeamSlugInput(ctx.args[0] || "");
+  if (!input) return ctx.reply(t(ctx.lang, "manage.usage"));
+  const slug = findTeamSlug(chatId, input);
+  if (!slug) return ctx.reply(t(ctx.lang, "manage.noSuch", { slug: input }));
+  const n = getTeamMemberCount(chatId, slug);
+  await ctx.reply(t(ctx.lang, "team.screen", { slug, n }), { reply_markup: buildTeamScreenKeyboard(ctx.lang, false, null, slug) });
 });
 
-bot.action(/^adm_delno:(.+):([^:]+)$/, async (ctx) => {
-  const chatId = ctx.match[1];
-  const slug = ctx.match[2];
-  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
-  const cid = String(chatId);
-  const n = getTeamMemberCount(cid, slug);
-  await ctx.answerCbQuery();
-  await ctx.editMessageText(`Команда /${slug}. Участников: ${n}`, { reply_markup: buildTeamScreenKeyboard(true, chatId, slug) }).catch(() => {});
+bot.command("delteam", async (ctx) => {
+  if (!(await requireTeamManager(ctx))) return;
+  const chatId = String(ctx.chat.id);
+  const input = normalizeTeamSlugInput(ctx.args[0] || "");
+  if (!input) return ctx.reply(t(ctx.lang, "delteam.usage"));
+  const slug = findTeamSlug(chatId, input);
+  if (!slug) return ctx.reply(t(ctx.lang, "team.noSuch", { slug: input }));
+  deleteTeam(chatId, slug, ctx.from.id);
+  await ctx.reply(t(ctx.lang, "delteam.done", { slug }));
 });
 
-bot.action(/^adm_new$/, async (ctx) => {
-  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
-  if (!chatId) return ctx.answerCbQuery();
-  const ok = await isAdmin(ctx, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Только админы.");
-  const msg = ctx.callbackQuery.message;
-  adminInputState.set(ctx.from.id, { chatId: String(chatId), step: "new_team_slug", msgChatId: msg.chat.id, msgId: msg.message_id });
-  await ctx.answerCbQuery();
-  await ctx.editMessageText("Введи имя команды (латиница, цифры, _ до 32 символов). Например: tagbar", {
-    reply_markup: { inline_keyboard: [[{ text: "Отмена", callback_data: CB.cancelNew(null) }]] }
-  }).catch(() => {});
+bot.command("renameteam", async (ctx) => {
+  if (!(await requireTeamManager(ctx))) return;
+  const chatId = String(ctx.chat.id);
+  const input = normalizeTeamSlugInput(ctx.args[0] || "");
+  const newSlug = normalizeTeamSlugInput(ctx.args[1] || "");
+  if (!input || !newSlug) return ctx.reply(t(ctx.lang, "renameteam.usage"));
+  const oldSlug = findTeamSlug(chatId, input);
+  if (!oldSlug) return ctx.reply(t(ctx.lang, "team.noSuch", { slug: input }));
+  const err = teamSlugError(ctx.lang, newSlug);
+  if (err) return ctx.reply(err);
+  if (newSlug === oldSlug) return ctx.reply(t(ctx.lang, "renameteam.same", { slug: oldSlug }));
+  const existing = findTeamSlug(chatId, newSlug);
+  if (existing && existing !== oldSlug) return ctx.reply(t(ctx.lang, "team.exists", { slug: existing }));
+  renameTeam(chatId, oldSlug, newSlug, ctx.from.id);
+  await ctx.reply(t(ctx.lang, "renameteam.done", { from: oldSlug, to: newSlug }));
 });
 
-bot.action(/^adm_new:(.+)$/, async (ctx) => {
+async function handleTeamMembershipCommand(ctx, mode) {
+  if (!(await requireTeamManager(ctx))) return;
+  const chatId = String(ctx.chat.id);
+  const [rawSlug, ...tokens] = ctx.args;
+  const input = normalizeTeamSlugInput(rawSlug || "");
+  if (!input) return ctx.reply(t(ctx.lang, "members.usage", { command: ctx.command }));
+  const slug = findTeamSlug(chatId, input);
+  if (!slug) return ctx.reply(t(ctx.lang, "team.noSuch", { slug: input }));
+  const { users, missing } = resolveUsersFromCommand(ctx, chatId, tokens);
+  // /addto devs /backend — вложить команду целиком
+  const teamTokens = tokens.filter((token) => token.startsWith("/"));
+  if (!users.length && !missing.length && !teamTokens.length) {
+    return ctx.reply(t(ctx.lang, "members.needUsers", { command: ctx.command, slug }));
+  }
+  const teamsChanged = [];
+  const teamsCycle = [];
+  const teamsMissing = [];
+  for (const token of teamTokens) {
+    const child = findTeamSlug(chatId, normalizeTeamSlugInput(token));
+    if (!child) {
+      teamsMissing.push(token);
+    } else if (mode === "remove") {
+      if (removeSubteam(chatId, slug, child, ctx.from.id)) teamsChanged.push(`/${child}`);
+    } else {
+      const result = addSubteam(chatId, slug, child, ctx.from.id);
+      if (result === "cycle") teamsCycle.push(`/${child}`);
+      else if (result === "added") teamsChanged.push(`/${child}`);
+    }
+  }
+  const userIds = users.map((u) => u.user_id);
+  const changed = mode === "add" ? addTeamMembers(chatId, slug, userIds, ctx.from.id) : removeTeamMembers(chatId, slug, userIds, ctx.from.id);
+  const skipped = users.length - changed;
+  const lines = [];
+  if (users.length || missing.length || !teamTokens.length) {
+    lines.push(t(ctx.lang, mode === "add" ? "members.added" : "members.removed", { slug, changed, skipped }));
+  }
+  if (teamsChanged.length) {
+    lines.push(t(ctx.lang, mode === "add" ? "members.teamsAdded" : "members.teamsRemoved", { slug, list: teamsChanged.join(", ") }));
+  }
+  if (teamsCycle.length) {
+    lines.push(t(ctx.lang, "members.teamsCycle", { slug, list: teamsCycle.join(", ") }));
+  }
+  if (teamsMissing.length) {
+    lines.push(t(ctx.lang, "members.teamsNotFound", { list: teamsMissing.join(", ") }));
+  }
+  if (missing.length) {
+    lines.push(t(ctx.lang, "members.notFound", { list: missing.join(", ") }));
+  }
+  lines.push(t(ctx.lang, "members.count", { n: getTeamMemberCount(chatId, slug) }));
+  await ctx.reply(lines.join("\n"));
+}
+
+bot.command("addto", (ctx) => handleTeamMembershipCommand(ctx, "add"));
+bot.command("removefrom", (ctx) => handleTeamMembershipCommand(ctx, "remove"));
+
+// -------------------- Member import --------------------
+// Бот «видит» только тех, кто писал или вступил при нём. Импорт — в личке: файл CSV/JSON с id и @username,
+// пересланные сообщения, контакты и text_mention. Каждого проверяем getChatMember: в базу попадают только участники группы.
+// Bot API не ищет людей по @username, поэтому username узнаём из других групп, где бот человека уже видел
+const IMPORT_MAX_ENTRIES = 500;
+const IMPORT_FILE_MAX_BYTES = 1024 * 1024;
+const IMPORT_DOWNLOAD_TIMEOUT_MS = 30 * 1000;
+const IMPORT_REPORT_LIST_MAX = 20;
+// failed — Telegram не ответил по делу (сеть, права бота): человек может быть в группе, просто не проверили
+const IMPORT_RESULTS = ["added", "already", "notMember", "notFound", "failed"];
+// 400 с таким описанием — пользователя правда нет, остальные ошибки считаем сбоем
+const IMPORT_NOT_FOUND_REGEX = /user not found|PARTICIPANT_ID_INVALID/i;
+
+// Импорт идёт фоном (сотни getChatMember с паузами на 429 не должны держать обработку апдейтов),
+// у одного админа — не больше одного за раз
+const runningImports = new Set(); // user_id
+
+const findUserByUsernameAnyChatStmt = db.prepare(`
+  SELECT user_id FROM chat_members WHERE LOWER(username) = LOWER(?) ORDER BY last_seen DESC LIMIT 1
+`);
+
+// 123, "123", "@name" или { id | user_id, username } → { id } / { username }
+function importEntryFromValue(value) {
+  if (value == null || value === "") return null;
+  if (typeof value === "number") return Number.isSafeInteger(value) && value > 0 ? { id: value } : null;
+  if (typeof value === "object") {
+    const id = value.id ?? value.user_id;
+    if (id != null && id !== "") return importEntryFromValue(id);
+    return value.username ? importEntryFromValue(`@${String(value.username).replace(/^@/, "")}`) : null;
+  }
+  const s = String(value).trim();
+  if (/^\d{1,15}$/.test(s)) return { id: Number(s) };
+  const match = /^@([a-zA-Z]\w{3,31})$/.exec(s);
+  return match ? { username: match[1] } : null;
+}
+
+// JSON — массив (или { members: [...] }); CSV — с заголовком id/user_id/username или просто список через запятую/пробел.
+// null — файл не разобрать
+function parseImportEntries(text) {
+  const trimmed = text.replace(/^\uFEFF/, "").trim();
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (e) {
+      return null;
+    }
+    const items = Array.isArray(data) ? data : data.members ?? data.users;
+    return Array.isArray(items) ? items.map(importEntryFromValue).filter(Boolean) : null;
+  }
+  const rows = trimmed.split(/\r?\n/).map((line) => line.split(/[,;\t]/).map((cell) => cell.trim().replace(/^"(.*)"$/, "$1")));
+  const header = rows[0].map((cell) => cell.toLowerCase());
+  const idCol = header.findIndex((cell) => cell === "id" || cell === "user_id");
+  const usernameCol = header.indexOf("username");
+  if (idCol >= 0 || usernameCol >= 0) {
+    return rows
+      .slice(1)
+      .map((row) => importEntryFromValue({ id: row[idCol], username: row[usernameCol] }))
+      .filter(Boolean);
+  }
+  return trimmed.split(/[\s,;]+/).map(importEntryFromValue).filter(Boolean);
+}
+
+// Возвращает { entries, hidden, error? }; hidden — пересланные от тех, кто скрыл аккаунт
+async function collectImportEntries(ctx) {
+  const msg = ctx.message;
+  const entries = [];
+  let hidden = 0;
+  const origin = msg.forward_origin;
+  if (origin?.type === "user") entries.push({ id: origin.sender_user.id });
+  else if (origin?.type === "hidden_user") hidden++;
+  else if (msg.forward_from) entries.push({ id: msg.forward_from.id });
+  // у контакта user_id есть, только если номер привязан к аккаунту Telegram
+  if (msg.contact?.user_id) entries.push({ id: msg.contact.user_id });
+  for (const e of msg.entities || msg.caption_entities || []) {
+    if (e.type === "text_mention" && e.user && !e.user.is_bot) entries.push({ id: e.user.id });
+  }
+  if (msg.document) {
+    if (msg.document.file_size > IMPORT_FILE_MAX_BYTES) return { entries, hidden, error: "import.fileTooBig" };
+    const link = await ctx.telegram.getFileLink(msg.document.file_id);
+    const res = await fetch(link, { signal: AbortSignal.timeout(IMPORT_DOWNLOAD_TIMEOUT_MS) });
+    if (!res.ok) throw new Error(`file download failed: ${res.status}`);
+    const parsed = parseImportEntries(await res.text());
+    if (!parsed) return { entries, hidden, error: "import.badFile" };
+    entries.push(...parsed);
+  } else if (msg.text && !origin && !msg.forward_from) {
+    const parsed = parseImportEntries(msg.text);
+    if (!parsed) return { entries, hidden, error: "import.badFile" };
+    entries.push(...parsed);
+  }
+  return { entries, hidden };
+}
+
+async function importUserId(telegram, chatId, userId) {
+  let member;
+  for (;;) {
+    try {
+      member = await telegram.getChatMember(chatId, userId);
+      break;
+    } catch (e) {
+      const code = e?.response?.error_code;
+      // большой список упирается в лимит Bot API: ждём, сколько сказали, и спрашиваем снова
+      if (code === 429 && e.parameters?.retry_after) {
+        await new Promise((resolve) => setTimeout(resolve, (e.parameters.retry_after + 1) * 1000));
+        continue;
+      }
+      if (code === 400 && IMPORT_NOT_FOUND_REGEX.test(e.response.description || "")) return "notFound";
+      console.error(`import getChatMember chat=${chatId} user=${userId} failed:`, e?.message || e);
+      return "failed";
+    }
+  }
+  if (!member?.user || member.user.is_bot || isDepartedStatus(member)) return "notMember";
+  const existed = Boolean(getMemberStmt.get(chatId, userId));
+  storeUser(chatId, member.user, { active: false });
+  return existed ? "already" : "added";
+}
+
+async function importEntry(telegram, chatId, entry) {
+  if (entry.id != null) return importUserId(telegram, chatId, entry.id);
+  if (getMemberByUsernameStmt.get(chatId, entry.username)) return "already";
+  const known = findUserByUsernameAnyChatStmt.get(entry.username);
+  return known ? importUserId(telegram, chatId, known.user_id) : "notFound";
+}
+
+async function handleMemberImportInput(ctx, state) {
+  const chatId = state.chatId;
+  if (runningImports.has(ctx.from.id)) {
+    await ctx.reply(t(ctx.lang, "import.busy"));
+    return;
+  }
+  let collected;
+  try {
+    collected = await collectImportEntries(ctx);
+  } catch (e) {
+    console.error("import error:", e?.stack || e);
+    await ctx.reply(t(ctx.lang, "common.failed"));
+    return;
+  }
+  if (collected.error) {
+    await ctx.reply(t(ctx.lang, collected.error, { max: IMPORT_FILE_MAX_BYTES / 1024 }));
+    return;
+  }
+  const seen = new Set();
+  const entries = collected.entries.filter((entry) => {
+    const key = entry.id != null ? `id:${entry.id}` : `u:${entry.username.toLowerCase()}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  if (!entries.length && !collected.hidden) {
+    await ctx.reply(t(ctx.lang, "import.nothing"));
+    return;
+  }
+  const job = { telegram: ctx.telegram, lang: ctx.lang, replyChatId: ctx.chat.id, chatId, userId: ctx.from.id, entries, hidden: collected.hidden };
+  if (entries.length) await ctx.reply(t(ctx.lang, "import.started", { n: Math.min(entries.length, IMPORT_MAX_ENTRIES) }));
+  runningImports.add(job.userId);
+  // не ждём: отчёт придёт отдельным сообщением
+  runMemberImport(job)
+    .catch(async (e) => {
+      console.error(`import chat=${chatId} by=${job.userId} failed:`, e?.stack || e);
+      await job.telegram.sendMessage(job.replyChatId, t(job.lang, "common.failed")).catch(() => {});
+    })
+    .finally(() => runningImports.delete(job.userId));
+}
+
+async function runMemberImport({ telegram, lang, replyChatId, chatId, userId, entries, hidden }) {
+  const counts = Object.fromEntries(IMPORT_RESULTS.map((r) => [r, 0]));
+  const failed = [];
+  for (const entry of entries.slice(0, IMPORT_MAX_ENTRIES)) {
+    const result = await importEntry(telegram, chatId, entry);
+    counts[result]++;
+    if (result !== "added" && result !== "already") failed.push(entry.id != null ? String(entry.id) : `@${entry.username}`);
+  }
+  console.log(`import chat=${chatId} by=${userId} ${IMPORT_RESULTS.map((r) => `${r}=${counts[r]}`).join(" ")}`);
+  logAudit(chatId, userId, "import", { details: counts });
+  const lines = [t(lang, "import.report", counts)];
+  if (hidden) lines.push(t(lang, "import.hidden", { n: hidden }));
+  if (entries.length > IMPORT_MAX_ENTRIES) {
+    lines.push(t(lang, "import.truncated", { max: IMPORT_MAX_ENTRIES, n: entries.length - IMPORT_MAX_ENTRIES }));
+  }
+  if (failed.length) {
+    const list = failed.slice(0, IMPORT_REPORT_LIST_MAX).join(", ") + (failed.length > IMPORT_REPORT_LIST_MAX ? ", …" : "");
+    lines.push(t(lang, "import.failed", { list }));
+  }
+  await telegram.sendMessage(replyChatId, lines.join("\n"));
+}
+
+bot.action(/^adm_imp:(.+)$/, async (ctx) => {
   const chatId = ctx.match[1];
   if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
   const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("Нет прав.");
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
   const msg = ctx.callbackQuery.message;
-  adminInputState.set(ctx.from.id, { chatId, step: "new_team_slug", msgChatId: msg.chat.id, msgId: msg.message_id });
+  adminInputState.set(ctx.from.id, { chatId, step: "import_members", msgChatId: msg.chat.id, msgId: msg.message_id });
+  const title = await getChatTitleSafe(ctx, chatId);
   await ctx.answerCbQuery();
-  await ctx.editMessageText("Введи имя команды (латиница, цифры, _ до 32 символов). Например: tagbar", {
-    reply_markup: { inline_keyboard: [[{ text: "Отмена", callback_data: CB.cancelNew(chatId) }]] }
+  await ctx.editMessageText(t(ctx.lang, "import.prompt", { title, max: IMPORT_MAX_ENTRIES }), {
+    reply_markup: { inline_keyboard: [[{ text: t(ctx.lang, "import.done"), callback_data: CB.importDone(chatId) }]] }
   }).catch(() => {});
 });
 
-bot.action(/^adm_cn$/, async (ctx) => {
-  adminInputState.delete(ctx.from.id);
-  const chatId = ctx.callbackQuery?.message?.chat?.id;
-  if (!chatId) return ctx.answerCbQuery();
-  const cid = String(chatId);
-  const teams = listTeamsStmt.all(cid);
-  const rows = teams.map((t) => {
-    const n = getTeamMemberCount(cid, t.slug);
-    return [{ text: `/${t.slug} (${n})`, callback_data: CB.team(null, t.slug) }];
-  });
-  rows.push([{ text: "➕ Создать команду", callback_data: CB.newteam(null) }]);
-  rows.push([{ text: "← Назад", callback_data: CB.menu(null) }]);
-  await ctx.answerCbQuery();
-  await ctx.editMessageText("Подгруппы (команды):", { reply_markup: { inline_keyboard: rows } }).catch(() => {});
-});
-
-bot.action(/^adm_cn:(.+)$/, async (ctx) => {
+bot.action(/^adm_impd:(.+)$/, async (ctx) => {
   const chatId = ctx.match[1];
   if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
   adminInputState.delete(ctx.from.id);
-  const cid = String(chatId);
-  const teams = listTeamsStmt.all(cid);
-  const rows = teams.map((t) => {
-    const n = getTeamMemberCount(cid, t.slug);
-    return [{ text: `/${t.slug} (${n})`, callback_data: CB.team(chatId, t.slug) }];
-  });
-  rows.push([{ text: "➕ Создать команду", callback_data: CB.newteam(chatId) }]);
-  rows.push([{ text: "← Назад", callback_data: CB.menu(chatId) }]);
+  const access = await getAdminAccess(ctx, chatId, ctx.from.id);
+  if (!access) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
   const title = await getChatTitleSafe(ctx, chatId);
   await ctx.answerCbQuery();
-  await ctx.editMessageText(`${title}\nПодгруппы (команды):`, { reply_markup: { inline_keyboard: rows } }).catch(() => {});
+  await ctx.editMessageText(t(ctx.lang, "admin.settingsFor", { title }), { reply_markup: buildMainMenuKeyboard(ctx.lang, true, chatId, access) }).catch(() => {});
 });
 
-bot.action(/^adm_cr:([^:]+)$/, async (ctx) => {
-  const slug = ctx.match[1];
-  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
-  adminInputState.delete(ctx.from.id);
-  const cid = String(chatId);
-  const n = getTeamMemberCount(cid, slug);
-  await ctx.answerCbQuery();
-  await ctx.editMessageText(`Команда /${slug}. Участников: ${n}`, { reply_markup: buildTeamScreenKeyboard(false, null, slug) }).catch(() => {});
-});
+// -------------------- Schedules --------------------
+// Время — либо cron из 5 полей (мин час день месяц день_недели), либо "ЧЧ:ММ" (каждый день),
+// либо "ГГГГ-ММ-ДД ЧЧ:ММ" (один раз). Всё считается в часовом поясе группы.
+const SCHEDULES_PER_CHAT_MAX = 20;
+const SCHEDULER_TICK_MS = 20 * 1000;
+const SCHEDULE_ONCE_GRACE_MS = 10 * 60 * 1000; // разовое напоминание, опоздавшее сильнее, уже не шлём
 
-bot.action(/^adm_cr:(.+):([^:]+)$/, async (ctx) => {
-  const chatId = ctx.match[1];
-  const slug = ctx.match[2];
-  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
-  adminInputState.delete(ctx.from.id);
-  const cid = String(chatId);
-  const n = getTeamMemberCount(cid, slug);
-  await ctx.answerCbQuery();
-  await ctx.editMessageText(`Команда /${slug}. Участников: ${n}`, { reply_markup: buildTeamScreenKeyboard(true, chatId, slug) }).catch(() => {});
-});
+const insertScheduleStmt = db.prepare(`
+  INSERT INTO chat_schedules (chat_id, thread_id, cron, run_at, team_slug, text, created_by, created_at)
+  VALUES (@chat_id, @thread_id, @cron, @run_at, @team_slug, @text, @created_by, @created_at)
+`);
+const listSchedulesStmt = db.prepare(`SELECT * FROM chat_schedules WHERE chat_id = ? ORDER BY id`);
+const listAllSchedulesStmt = db.prepare(`SELECT * FROM chat_schedules`);
+const countSchedulesStmt = db.prepare(`SELECT COUNT(*) AS n FROM chat_schedules WHERE chat_id = ?`);
+const deleteScheduleStmt = db.prepare(`DELETE FROM chat_schedules WHERE chat_id = ? AND id = ?`);
+const setScheduleFiredStmt = db.prepare(`UPDATE chat_schedules SET last_fired_key = ? WHERE id = ?`);
+const renameScheduleTeamStmt = db.prepare(`
+  UPDATE chat_schedules SET team_slug = ? WHERE chat_id = ? AND team_slug = ?
+`);
+const deleteTeamSchedulesStmt = db.prepare(`
+  DELETE FROM chat_schedules WHERE chat_id = ? AND team_slug = ?
+`);
 
-function getTeamMemberCount(chatId, slug) {
-  return teamMemberCountStmt.get(String(chatId), slug)?.n ?? 0;
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
 }
 
-const TEAM_ADD_PAGE_SIZE = 8;
-const TEAM_REM_PAGE_SIZE = 8;
 
-function teamLabelForMessage(slug) {
-  if (!slug) return "Все";
-  const s = String(slug);
-  return s.charAt(0).toUpperCase() + s.slice(1).toLowerCase();
+function getChatTimeZone(chatId) {
+  return getChatSettings(chatId).timezone || DEFAULT_TIMEZONE;
 }
 
-function parseTagCommand(text, chatId) {
-  if (!text || typeof text !== "string") return null;
-  const regex = /\/(tagall|[\w]+)(@\w+)?/gi;
-  const match = regex.exec(text);
-  if (!match) return null;
-  const cmd = match[1].toLowerCase();
-  if (cmd === "tagall") return { type: "tagall" };
-  const teamRow = getTeamSlugCaseInsensitiveStmt.get(String(chatId), cmd);
-  if (teamRow) return { type: "team", slug: teamRow.slug };
-  return null;
+const zonedFormatters = new Map();
+
+function zonedParts(date, timeZone) {
+  let fmt = zonedFormatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      weekday: "short"
+    });
+    zonedFormatters.set(timeZone, fmt);
+  }
+  const parts = {};
+  for (const p of fmt.formatToParts(date)) parts[p.type] = p.value;
+  const weekdays = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    weekday: weekdays.indexOf(parts.weekday)
+  };
 }
 
-function messageHasExtraContent(ctx, commandStr) {
-  const msg = ctx.message;
-  if (msg.photo || msg.video || msg.document || msg.audio || msg.voice || msg.video_note || msg.sticker)
-    return true;
-  const text = msg.text || msg.caption || "";
-  const escaped = commandStr.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-  const withoutCommand = text.replace(new RegExp(`\\/${escaped}(@\\w+)?`, "gi"), "").trim();
-  return withoutCommand.length > 0;
+function zonedTimeToEpoch(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const p = zonedParts(new Date(guess), timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  return guess - (asUtc - guess);
 }
 
-function getTargetMessageId(ctx, commandInfo) {
-  const cmd = commandInfo.type === "tagall" ? "tagall" : commandInfo.slug;
-  if (messageHasExtraContent(ctx, cmd)) return ctx.message.message_id;
-  if (ctx.message.reply_to_message) return ctx.message.reply_to_message.message_id;
-  return null;
+function parseCronField(field, min, max) {
+  const values = new Set();
+  for (const part of field.split(",")) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!m) return null;
+    let from = min;
+    let to = max;
+    if (m[2] != null) {
+      from = parseInt(m[2], 10);
+      to = m[3] != null ? parseInt(m[3], 10) : m[4] != null ? max : from;
+    }
+    const step = m[4] != null ? parseInt(m[4], 10) : 1;
+    if (from < min || to > max || from > to || step < 1) return null;
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron(spec) {
+  const fields = String(spec).trim().split(/\s+/);
+  if (fields.length !== 5) return null;
+  const minute = parseCronField(fields[0], 0, 59);
+  const hour = parseCronField(fields[1], 0, 23);
+  const dom = parseCronField(fields[2], 1, 31);
+  const month = parseCronField(fields[3], 1, 12);
+  const dow = parseCronField(fields[4], 0, 7);
+  if (!minute || !hour || !dom || !month || !dow) return null;
+  if (dow.has(7)) dow.add(0); // 7 — тоже воскресенье
+  return { minute, hour, dom, month, dow, domAny: fields[2] === "*", dowAny: fields[4] === "*" };
 }
 
-async function sendMentionChunks(ctx, chatId, targetMessageId, members, teamSlug = null) {
-  const label = teamLabelForMessage(teamSlug);
-  const suffix = `\n${escapeHtml(label)}, для вас важное сообщение!`;
-  const chunks = [];
-  for (let i = 0; i < members.length; i += CHUNK) {
-    chunks.push(members.slice(i, i + CHUNK));
+function cronMatches(cron, p) {
+  if (!cron.minute.has(p.minute) || !cron.hour.has(p.hour) || !cron.month.has(p.month)) return false;
+  // как в классическом cron: если заданы и день месяца, и день недели — достаточно любого
+  if (!cron.domAny && !cron.dowAny) return cron.dom.has(p.day) || cron.dow.has(p.weekday);
+  return cron.dom.has(p.day) && cron.dow.has(p.weekday);
+}
+
+// "ЧЧ:ММ" → cron на каждый день; "ГГГГ-ММ-ДД ЧЧ:ММ" → разовый запуск; иначе cron как есть
+function parseScheduleSpec(spec, timeZone) {
+  let m = /^(\d{1,2}):(\d{2})$/.exec(spec);
+  if (m) {
+    const hour = parseInt(m[1], 10);
+    const minute = parseInt(m[2], 10);
+    if (hour > 23 || minute > 59) return null;
+    return { cron: `${minute} ${hour} * * *`, runAt: null };
   }
-  const messageThreadId = ctx.message?.message_thread_id;
-  const extra = {
-    parse_mode: "HTML",
-    disable_web_page_preview: true,
-    reply_parameters: { message_id: targetMessageId, allow_sending_without_reply: true }
-  };
-  if (messageThreadId) extra.message_thread_id = messageThreadId;
+  m = /^(\d{4})-(\d{2})-(\d{2})\s+(\d{1,2}):(\d{2})$/.exec(spec);
+  if (m) {
+    const [year, month, day, hour, minute] = m.slice(1).map((v) => parseInt(v, 10));
+    if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59) return null;
+    return { cron: null, runAt: zonedTimeToEpoch(year, month, day, hour, minute, timeZone) };
+  }
+  return parseCron(spec) ? { cron: spec.trim().split(/\s+/).join(" "), runAt: null } : null;
+}
+
+function formatScheduleWhen(lang, sch) {
+  if (sch.cron) return sch.cron;
+  const p = zonedParts(new Date(sch.run_at), getChatTimeZone(sch.chat_id));
+  const pad = (n) => String(n).padStart(2, "0");
+  return t(lang, "schedule.once", { when: `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}` });
+}
+
+function deleteSchedule(chatId, id, actorId) {
+  if (!deleteScheduleStmt.run(String(chatId), id).changes) return false;
+  logAudit(chatId, actorId, "schedule_delete", { details: { id } });
+  return true;
+}
+
+function formatScheduleLine(lang, sch) {
+  const target = sch.team_slug ? `/${sch.team_slug}` : "/tagall";
+  const text = sch.text.length > 40 ? sch.text.slice(0, 39) + "…" : sch.text;
+  return `#${sch.id} ${formatScheduleWhen(lang, sch)} → ${target} «${text}»`;
+}
+
+function minuteKey(p) {
+  return `${p.year}-${p.month}-${p.day} ${p.hour}:${p.minute}`;
+}
+
+// Кулдаун и квоты расписание не проверяет: напоминание, которое админ поставил заранее, не должно пропасть
+// из-за ручного /tagall за минуту до него. Но кулдаун ставит — сразу после него вручную не тегнуть
+async function fireSchedule(sch) {
+  const telegram = bot.telegram;
+  let members;
+  if (sch.team_slug) {
+    if (!getTeamStmt.get(sch.chat_id, sch.team_slug)) return;
+    members = selectTeamMembers(sch.chat_id, sch.team_slug);
+  } else {
+    members = selectTagallMembers(sch.chat_id);
+  }
+  if (!members.length) return;
+  setCooldown(sch.chat_id, sch.team_slug);
+  const extra = sch.thread_id ? { message_thread_id: sch.thread_id } : {};
+  const posted = await telegram.sendMessage(sch.chat_id, sch.text, extra);
+  console.log(`schedule #${sch.id} chat=${sch.chat_id} team=${sch.team_slug || "-"} members=${members.length}`);
+  await enqueueMentionJob(telegram, {
+    chatId: sch.chat_id,
+    threadId: sch.thread_id,
+    targetMessageId: posted.message_id,
+    members,
+    teamSlug: sch.team_slug,
+    initiatorId: sch.created_by,
+    command: `schedule #${sch.id}`,
+    rotationMembers: sch.team_slug ? null : members
+  });
+}
 
-  for (let i = 0; i < chunks.length; i++) {
-    const mentions = chunks[i].map(mentionHtml).join(MENTION_SEPARATOR);
-    const text = mentions + suffix;
+async function runScheduler() {
+  const now = Date.now();
+  for (const sch of listAllSchedulesStmt.all()) {
+    let due = false;
+    let key;
+    if (sch.run_at != null) {
+      if (sch.run_at > now) continue;
+      // разовое: срабатывает один раз и удаляется, даже если опоздали
+      deleteScheduleStmt.run(sch.chat_id, sch.id);
+      due = now - sch.run_at <= SCHEDULE_ONCE_GRACE_MS;
+      if (!due) console.warn(`schedule #${sch.id} chat=${sch.chat_id} missed, dropped`);
+    } else {
+      const cron = parseCron(sch.cron);
+      const p = zonedParts(new Date(now), getChatTimeZone(sch.chat_id));
+      key = minuteKey(p);
+      due = cron != null && cronMatches(cron, p) && sch.last_fired_key !== key;
+      if (due) setScheduleFiredStmt.run(key, sch.id);
+    }
+    if (!due) continue;
     try {
-      await ctx.telegram.sendMessage(chatId, text, extra);
+      await fireSchedule(sch);
     } catch (e) {
-      const retryAfter = e?.parameters?.retry_after;
-      if (retryAfter) {
-        await sleep((retryAfter + 1) * 1000);
-        i--;
-        continue;
-      }
-      throw e;
+      console.error(`schedule #${sch.id} chat=${sch.chat_id} failed:`, e?.message || e);
     }
-    if (i < chunks.length - 1) await sleep(DELAY_MS);
   }
 }
 
-bot.command("teams", async (ctx) => {
-  if (!isGroupChat(ctx)) return ctx.reply("Команда только для групп.");
+function startScheduler() {
+  return setInterval(() => {
+    runScheduler().catch((e) => console.error("scheduler failed:", e?.stack || e));
+  }, SCHEDULER_TICK_MS);
+}
+
+bot.command("schedule", async (ctx) => {
+  if (!(await requireGroupAdmin(ctx))) return;
   const chatId = String(ctx.chat.id);
-  const teams = listTeamsStmt.all(chatId);
-  if (!teams.length) {
-    return ctx.reply("В этой группе пока нет команд. Создай: /newteam <имя>");
+  const timeZone = getChatTimeZone(chatId);
+  const payload = ctx.payload.trim();
+  if (!payload) {
+    const list = listSchedulesStmt.all(chatId).map((sch) => formatScheduleLine(ctx.lang, sch));
+    const current = list.length ? t(ctx.lang, "schedule.current", { timeZone, list: list.join("\n") }) : "";
+    return ctx.reply(t(ctx.lang, "schedule.usage") + current);
+  }
+  // команда — первый токен вида /word; "/" внутри cron (*/5) идёт после символа и не считается
+  const m = /^(.*?)(?:^|\s)\/([A-Za-z_]\w*)(?:@\w+)?(?:\s+([\s\S]*))?$/.exec(payload);
+  if (!m || !m[1]) return ctx.reply(t(ctx.lang, "schedule.usage"));
+  const parsed = parseScheduleSpec(m[1], timeZone);
+  if (!parsed) return ctx.reply(t(ctx.lang, "schedule.badTime", { spec: m[1], usage: t(ctx.lang, "schedule.usage") }));
+  if (parsed.runAt != null && parsed.runAt <= Date.now()) return ctx.reply(t(ctx.lang, "schedule.past"));
+  let teamSlug = null;
+  if (m[2].toLowerCase() !== "tagall") {
+    teamSlug = findTeamSlug(chatId, m[2]);
+    if (!teamSlug) return ctx.reply(t(ctx.lang, "team.noSuch", { slug: m[2] }));
+  }
+  const text = (m[3] || "").trim();
+  if (!text) return ctx.reply(t(ctx.lang, "schedule.noText"));
+  if ((countSchedulesStmt.get(chatId)?.n ?? 0) >= SCHEDULES_PER_CHAT_MAX) {
+    return ctx.reply(t(ctx.lang, "schedule.limit", { max: SCHEDULES_PER_CHAT_MAX }));
   }
-  const list = teams.map((t) => `/${t.slug}`).join(", ");
-  await ctx.reply(`Команды: ${list}\nНастройка: /manage <имя>`);
+  const info = insertScheduleStmt.run({
+    chat_id: chatId,
+    thread_id: ctx.message.is_topic_message ? ctx.message.message_thread_id : null,
+    cron: parsed.cron,
+    run_at: parsed.runAt,
+    team_slug: teamSlug,
+    text,
+    created_by: ctx.from.id,
+    created_at: Date.now()
+  });
+  const sch = { id: Number(info.lastInsertRowid), chat_id: chatId, cron: parsed.cron, run_at: parsed.runAt, team_slug: teamSlug, text };
+  logAudit(chatId, ctx.from.id, "schedule_add", { slug: teamSlug, details: { id: sch.id } });
+  await ctx.reply(t(ctx.lang, "schedule.created", { timeZone, line: formatScheduleLine(ctx.lang, sch), id: sch.id }));
+});
+
+bot.command("unschedule", async (ctx) => {
+  if (!(await requireGroupAdmin(ctx))) return;
+  const id = parseInt(ctx.args[0], 10);
+  if (!id) return ctx.reply(t(ctx.lang, "unschedule.usage"));
+  const deleted = deleteSchedule(ctx.chat.id, id, ctx.from.id);
+  await ctx.reply(t(ctx.lang, deleted ? "unschedule.done" : "unschedule.notFound", { id }));
+});
+
+bot.command("timezone", async (ctx) => {
+  if (!(await requireGroupAdmin(ctx))) return;
+  const chatId = String(ctx.chat.id);
+  const tz = ctx.args[0];
+  if (!tz) return ctx.reply(t(ctx.lang, "timezone.current", { tz: getChatTimeZone(chatId) }));
+  if (!isValidTimeZone(tz)) return ctx.reply(t(ctx.lang, "timezone.unknown", { tz }));
+  setChatSetting(chatId, "timezone", tz, ctx.from.id);
+  await ctx.reply(t(ctx.lang, "timezone.set", { tz }));
 });
 
 async function syncAdminsForAllChats() {
@@ -1131,7 +5494,7 @@ async function syncAdminsForAllChats() {
     try {
       const admins = await bot.telegram.getChatAdministrators(chatId);
       for (const a of admins) {
-        if (a.user) storeUser(chatId, a.user);
+        if (a.user) storeUser(chatId, a.user, { active: false });
       }
     } catch (e) {
       // Bot may have been removed from chat
@@ -1142,19 +5505,269 @@ async function syncAdminsForAllChats() {
   }
 }
 
+// -------------------- Audit log: /history --------------------
+const AUDIT_PAGE_SIZE = 10;
+const AUDIT_USERS_SHOWN = 3;
+const AUDIT_VALUE_MAX = 30;
+
+const countAuditStmt = db.prepare(`SELECT COUNT(*) AS n FROM audit_log WHERE chat_id = ?`);
+const selectAuditPageStmt = db.prepare(`
+  SELECT * FROM audit_log WHERE chat_id = ? ORDER BY id DESC LIMIT ? OFFSET ?
+`);
+
+function pruneAuditLog() {
+  pruneAuditStmt.run(Date.now() - AUDIT_KEEP_MS);
+}
+
+function auditUserName(chatId, userId) {
+  const u = getMemberStmt.get(String(chatId), userId);
+  return u ? displayName(u) : `id${userId}`;
+}
+
+function auditActorName(lang, row) {
+  if (row.actor_id == null) return t(lang, "mention.bot");
+  if (row.actor_id === API_ACTOR_ID) return t(lang, "history.api");
+  return auditUserName(row.chat_id, row.actor_id);
+}
+
+function formatAuditUsers(lang, chatId, userIds) {
+  const names = userIds.slice(0, AUDIT_USERS_SHOWN).map((id) => auditUserName(chatId, id));
+  if (userIds.length > AUDIT_USERS_SHOWN) names.push(t(lang, "ack.more", { n: userIds.length - AUDIT_USERS_SHOWN }));
+  return names.join(", ");
+}
+
+function formatAuditEntry(lang, row) {
+  const p = zonedParts(new Date(row.created_at), getChatTimeZone(row.chat_id));
+  const pad = (n) => String(n).padStart(2, "0");
+  const details = row.details ? JSON.parse(row.details) : {};
+  const value = details.value == null ? t(lang, "history.default") : String(details.value);
+  const text = t(lang, `history.action.${row.action}`, {
+    ...details,
+    who: auditActorName(lang, row),
+    slug: row.team_slug,
+    n: row.member_count,
+    outcome: row.outcome ? t(lang, `history.outcome.${row.outcome}`) : "",
+    users: formatAuditUsers(lang, row.chat_id, details.users || []),
+    value: value.length > AUDIT_VALUE_MAX ? value.slice(0, AUDIT_VALUE_MAX - 1) + "…" : value
+  });
+  return `${pad(p.day)}.${pad(p.month)} ${pad(p.hour)}:${pad(p.minute)} ${text}`;
+}
+
+// Свежие записи — на первой странице
+function buildHistoryScreen(lang, isPrivate, chatId, page) {
+  const cid = isPrivate ? String(chatId) : null;
+  const total = countAuditStmt.get(String(chatId)).n;
+  const totalPages = Math.max(1, Math.ceil(total / AUDIT_PAGE_SIZE));
+  const p = Math.min(page, totalPages - 1);
+  const entries = selectAuditPageStmt.all(String(chatId), AUDIT_PAGE_SIZE, p * AUDIT_PAGE_SIZE);
+  const text = entries.length
+    ? t(lang, "history.title", { page: p + 1, pages: totalPages }) + "\n\n" + entries.map((row) => formatAuditEntry(lang, row)).join("\n")
+    : t(lang, "history.empty");
+  const nav = [];
+  if (totalPages > 1) {
+    if (p > 0) nav.push({ text: "◀", callback_data: CB.history(cid, p - 1) });
+    nav.push({ text: `${p + 1}/${totalPages}`, callback_data: CB.history(cid, p) });
+    if (p < totalPages - 1) nav.push({ text: "▶", callback_data: CB.history(cid, p + 1) });
+  }
+  const rows = nav.length ? [nav] : [];
+  rows.push([{ text: t(lang, "common.back"), callback_data: CB.menu(cid) }]);
+  return { text, reply_markup: { inline_keyboard: rows } };
+}
+
+bot.action(/^adm_hist:(\d+)$/, async (ctx) => {
+  const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+  if (!chatId) return ctx.answerCbQuery(t(ctx.lang, "common.error"));
+  const ok = await isAdmin(ctx, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.adminsOnly"));
+  const { text, reply_markup } = buildHistoryScreen(ctx.lang, false, chatId, parseInt(ctx.match[1], 10));
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+bot.action(/^adm_hist:(.+):(\d+)$/, async (ctx) => {
+  const chatId = ctx.match[1];
+  if (ctx.callbackQuery.message.chat.type !== "private") return ctx.answerCbQuery();
+  const ok = await isAdminInChat(ctx, chatId, ctx.from.id);
+  if (!ok) return ctx.answerCbQuery(t(ctx.lang, "common.noRights"));
+  const { text, reply_markup } = buildHistoryScreen(ctx.lang, true, chatId, parseInt(ctx.match[2], 10));
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, { reply_markup }).catch(() => {});
+});
+
+// /history [страница]
+bot.command("history", async (ctx) => {
+  if (!(await requireGroupAdmin(ctx))) return;
+  const page = Math.max(1, parseInt(ctx.args[0], 10) || 1) - 1;
+  const { text, reply_markup } = buildHistoryScreen(ctx.lang, false, ctx.chat.id, page);
+  await ctx.reply(text, { reply_markup });
+});
+
+// -------------------- Bot command menu --------------------
+// Для каждой группы с командами — свой список в меню «/» (BotCommandScopeChat): /tagall и её команды
+const BOT_COMMANDS_MAX = 100; // лимит Telegram
+const BOT_COMMAND_DESCRIPTION_MAX = 256;
+const CHAT_MENU_COMMANDS = ["tagall", "tagactive"];
+const CHAT_MENU_COMMANDS_TAIL = ["teams", "team", "join", "leave", "admin"];
+const COMMANDS_SYNC_DELAY_MS = 2000; // правки подряд (создал, переименовал…) — одним запросом
+
+const distinctTeamChatIdsStmt = db.prepare(`SELECT DISTINCT chat_id FROM chat_teams`);
+const listTeamsInfoStmt = db.prepare(`
+  SELECT slug, title, description, emoji FROM chat_teams WHERE chat_id = ? ORDER BY LOWER(slug)
+`);
+const commandSyncTimers = new Map();
+
+function buildChatCommands(chatId) {
+  const lang = getChatLanguage(chatId);
+  const commands = CHAT_MENU_COMMANDS.map((command) => ({ command, description: t(lang, `commands.${command}`) }));
+  const seen = new Set([...CHAT_MENU_COMMANDS, ...CHAT_MENU_COMMANDS_TAIL]);
+  const room = BOT_COMMANDS_MAX - CHAT_MENU_COMMANDS.length - CHAT_MENU_COMMANDS_TAIL.length;
+  for (const team of listTeamsInfoStmt.all(String(chatId))) {
+    // в меню Telegram команды только строчными; /Friends и /friends мы и так не различаем
+    const command = team.slug.toLowerCase();
+    if (seen.has(command)) continue;
+    seen.add(command);
+    const text = team.description || team.title || t(lang, "commands.teamDefault", { slug: team.slug });
+    const description = (team.emoji ? `${team.emoji} ${text}` : text).slice(0, BOT_COMMAND_DESCRIPTION_MAX);
+    commands.push({ command, description });
+    if (commands.length - CHAT_MENU_COMMANDS.length >= room) break;
+  }
+  for (const command of CHAT_MENU_COMMANDS_TAIL) commands.push({ command, description: t(lang, `commands.${command}`) });
+  return commands;
+}
+
+async function syncChatCommands(chatId) {
+  try {
+    await bot.telegram.setMyCommands(buildChatCommands(chatId), { scope: { type: "chat", chat_id: String(chatId) } });
+  } catch (e) {
+    // Bot may have been removed from chat; 400 (слишком длинный список, плохое описание) — наша ошибка, её видно в логе
+    if (e?.response?.error_code !== 403) {
+      console.warn(`setMyCommands chat=${chatId}:`, e?.message || e);
+    }
+  }
+}
+
+function scheduleChatCommandsSync(chatId) {
+  const cid = String(chatId);
+  clearTimeout(commandSyncTimers.get(cid));
+  commandSyncTimers.set(
+    cid,
+    setTimeout(() => {
+      commandSyncTimers.delete(cid);
+      syncChatCommands(cid);
+    }, COMMANDS_SYNC_DELAY_MS)
+  );
+}
+
+async function syncCommandsForAllChats() {
+  for (const row of distinctTeamChatIdsStmt.all()) {
+    await syncChatCommands(row.chat_id);
+  }
+}
+
+// -------------------- HTTP API --------------------
+// Сервер и маршруты — в api.js, здесь только данные, которые ему нужны
+const isKnownChatStmt = db.prepare(`SELECT 1 FROM chat_members WHERE chat_id = ? LIMIT 1`);
+
+let apiServer = null;
+
+const apiStore = {
+  hasChat: (chatId) => Boolean(isKnownChatStmt.get(chatId)),
+  findTeam: (chatId, input) => findTeamSlug(chatId, normalizeTeamSlugInput(String(input ?? ""))),
+  listTeams: (chatId) =>
+    listTeamsStmt.all(chatId).map(({ slug }) => ({
+      slug,
+      title: teamTitle(chatId, slug),
+      members: getTeamMemberCount(chatId, slug),
+      subteams: getSubteams(chatId, slug)
+    })),
+  // members — только свои, all — вместе с вложенными командами (так их и тегают)
+  teamMembers: (chatId, slug) => ({
+    subteams: getSubteams(chatId, slug),
+    members: selectTeamsMembersStmt.all(chatId, JSON.stringify([slug])),
+    all: selectTeamTreeMembers(chatId, slug)
+  }),
+  findMember(chatId, value) {
+    const entry = importEntryFromValue(value);
+    if (entry?.id != null) return getMemberStmt.get(chatId, entry.id) ?? null;
+    return (entry?.username && getMemberByUsernameStmt.get(chatId, entry.username)) || null;
+  },
+  addTeamMembers: (chatId, slug, userIds) => addTeamMembers(chatId, slug, userIds, API_ACTOR_ID),
+  removeTeamMembers: (chatId, slug, userIds) => removeTeamMembers(chatId, slug, userIds, API_ACTOR_ID),
+  checkCooldown,
+  setCooldown,
+  selectMembers: (chatId, slug) => (slug ? selectTeamMembers(chatId, slug) : selectTagallMembers(chatId)),
+  enqueueTag: ({ chatId, threadId, targetMessageId, members, slug }) =>
+    enqueueMentionJob(bot.telegram, {
+      chatId,
+      threadId,
+      targetMessageId,
+      members,
+      teamSlug: slug,
+      actorId: API_ACTOR_ID,
+      command: slug ? `api /${slug}` : "api",
+      rotationMembers: slug ? null : members
+    })
+};
+
+function startApiServer() {
+  if (!API_PORT) return;
+  if (!API_TOKEN) {
+    console.error("❌ API_PORT is set but API_TOKEN is missing — HTTP API is not started");
+    return;
+  }
+  apiServer = createApiServer({ token: API_TOKEN, telegram: bot.telegram, store: apiStore });
+  apiServer.on("error", (e) => console.error("HTTP API failed:", e?.message || e));
+  apiServer.listen(API_PORT, API_HOST, () => console.log(`🌐 HTTP API on http://${API_HOST}:${API_PORT}`));
+}
+
 // -------------------- Launch --------------------
-const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+// chat_member не приходит по умолчанию — его нужно запросить явно
+const ALLOWED_UPDATES = ["message", "callback_query", "chat_member"];
+const backgroundTimers = []; // setInterval из onBotStarted, гасим в stopBot
 
-bot.launch()
-  .then(async () => {
-    console.log("✅ Bot started");
-    await syncAdminsForAllChats();
-    setInterval(syncAdminsForAllChats, ONE_DAY_MS);
-  })
+async function onBotStarted() {
+  console.log("✅ Bot started");
+  pruneMentionJobs();
+  pruneAuditLog();
+  pruneTagQuotaHits();
+  pruneTagRequests();
+  resumeMentionJobs();
+  backgroundTimers.push(startScheduler());
+  startApiServer();
+  backgroundTimers.push(setInterval(() => {
+    expireTagRequests().catch((e) => console.error("tag requests expiry failed:", e?.stack || e));
+  }, SCHEDULER_TICK_MS));
+  await syncAdminsForAllChats();
+  await syncCommandsForAllChats();
+  backgroundTimers.push(setInterval(() => {
+    pruneMentionJobs();
+    pruneAuditLog();
+    pruneTagQuotaHits();
+    pruneTagRequests();
+    syncAdminsForAllChats();
+  }, ONE_DAY_MS));
+}
+
+// launch() при long polling резолвится только после остановки бота,
+// поэтому стартовые задачи запускаем из onLaunch
+bot.launch({ allowedUpdates: ALLOWED_UPDATES }, () => {
+  onBotStarted().catch((e) => console.error("startup failed:", e?.stack || e));
+})
   .catch((e) => {
     console.error("❌ Failed to launch bot:", e);
     process.exit(1);
   });
 
-process.once("SIGINT", () => bot.stop("SIGINT"));
-process.once("SIGTERM", () => bot.stop("SIGTERM"));
+// Таймеры (планировщик, заявки, ежедневная уборка, обновление меню) и HTTP-сервер держат процесс,
+// поэтому гасим их вместе с ботом
+function stopBot(signal) {
+  for (const timer of backgroundTimers) clearInterval(timer);
+  backgroundTimers.length = 0;
+  for (const timer of commandSyncTimers.values()) clearTimeout(timer);
+  commandSyncTimers.clear();
+  apiServer?.close();
+  bot.stop(signal);
+}
+
+process.once("SIGINT", () => stopBot("SIGINT"));
+process.once("SIGTERM", () => stopBot("SIGTERM"));
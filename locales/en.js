@@ -0,0 +1,491 @@
+// filename: locales/en.js
+export default {
+  // Общее
+  "common.error": "Error",
+  "common.failed": "❌ Error. Check the bot logs.",
+  "common.adminsOnly": "Admins only.",
+  "common.noRights": "No permission.",
+  "common.saved": "Saved",
+  "common.deleted": "Deleted",
+  "common.reset": "Reset",
+  "common.back": "← Back",
+  "common.cancel": "Cancel",
+  "common.groupOnly": "This command works in groups only.",
+  "common.defaultValue": ({ value }) => `Default (${value})`,
+
+  // Кулдаун, лимиты, режимы
+  "cooldown.off": "off",
+  "cooldown.min": ({ n }) => `${n} min`,
+  "cooldown.sec": ({ n }) => `${n} sec`,
+  "cooldown.hours": ({ n }) => `${n} h`,
+  "limits.delay": ({ sec }) => `${sec} s`,
+  "mode.first": "First N",
+  "mode.all": "Everyone (up to the limit)",
+  "mode.rotation": "In turns",
+
+  // Имена команд
+  "slug.invalid": "Invalid name. Use Latin letters, digits and _ only, up to 32 characters.",
+  "slug.reserved": ({ slug }) => `The name /${slug} is taken by a bot command.`,
+
+  // Команды (подгруппы)
+  "team.exists": ({ slug }) => `Team /${slug} already exists.`,
+  "team.noSuch": ({ slug }) => `There is no team /${slug}.`,
+  "team.screen": ({ slug, n }) => `Team /${slug}. Members: ${n}`,
+  "team.configure": "Configure",
+  "team.backToList": "← Back to teams",
+  "team.created": ({ slug }) => `Team /${slug} created.`,
+  "team.createdUseAdmin": ({ slug }) => `Team /${slug} created. Configure it via /admin.`,
+  "team.renamedTo": ({ slug }) => `Renamed to /${slug}.`,
+  "team.notFound": "Team not found.",
+
+  // Тег
+  "tag.needTarget": "Reply to the important message or add text/photo/video to the command — the bot will reply to the right message.",
+  "tag.cooldownWait": ({ sec }) => `Wait ${sec} more sec before the next tag.`,
+  "tag.quotaExceeded": ({ kind, limit, wait }) => `Quota used up: ${kind} — at most ${limit}. Next one in ${wait}.`,
+  "tag.quotaLeft": ({ kind, left, limit }) => `Quota: ${kind} — ${left} of ${limit} left.`,
+  "tag.noMembers": "Nobody to mention yet: I haven't collected the member list.",
+  "tag.noActive": ({ days }) => `Nobody has written in the chat in the last ${days} days.`,
+  "tag.noActiveTeam": ({ slug, days }) => `Nobody from /${slug} has written in the chat in the last ${days} days.`,
+  "tag.teamAllMuted": ({ slug }) => `All members of /${slug} have turned off mass mentions (/mute_tags).`,
+  "tag.notCombinable": ({ command }) => `/${command} can't be combined with team commands in one message — send it separately.`,
+  "tag.exprEmpty": ({ expr }) => `Nobody to tag for /${expr}.`,
+  "tag.teamEmpty": ({ slug }) => `Team /${slug} has no members yet. Add them via /admin → Teams.`,
+
+  // /start
+  "start.help": ({ chunk, maxUsers }) =>
+    "Hi! I'm a bot for mass mentions in groups.\n\n" +
+    "Getting started:\n" +
+    "1) Add me to your group and make me an administrator.\n" +
+    "2) Ask members to write at least 1 message in the chat — only then can I \"see\" them and add them to the list. " +
+    "Or import them in a private chat with me: /admin → group → Import members.\n\n" +
+    "Main command:\n" +
+    `• /tagall — reply to a message or send /tagall together with text/photo/video. I'll reply to the right message and mention members in batches (${chunk} per message).\n` +
+    "• /tagactive [days] [/team] — the same, but only for those who wrote in the chat in the last days (most recent first).\n\n" +
+    "Limits and protection:\n" +
+    `• at most ${maxUsers} mentions per run (an admin can change it in /admin → Limits)\n` +
+    "• a short delay between batches\n" +
+    "• a cooldown between runs to prevent spam\n\n" +
+    "Teams:\n" +
+    "An admin can create a team (e.g. /friends) and add people to it. Then you can tag only them: reply to a message or text/photo/video + /friends.\n" +
+    "A team can include whole other teams (/addto devs /backend), and one run can tag several teams (/design /qa), their union or difference: /backend+frontend, /all-managers.\n\n" +
+    "Settings and management:\n" +
+    "• /admin — admin menu (who can tag, teams, language, etc.)\n" +
+    "• /newteam, /manage, /renameteam, /delteam, /addto, /removefrom — manage teams with text commands\n" +
+    "• /mute_tags and /unmute_tags — don't mention me in mass tags (in a group — only there, in private — everywhere)\n" +
+    "• /who_ack — who pressed \"✅ Read\" under the last tag (if an admin turned acknowledgements on)\n" +
+    "• /history — audit log: who tagged and who changed settings or teams (admins only)\n" +
+    "• /teams — list teams, /team <team> — who is in it (without mentions)\n" +
+    "• /join and /leave <team> — join or leave a team (if an admin allowed it)\n" +
+    "• /schedule — recurring and one-off scheduled tags, /timezone — the group's time zone\n" +
+    "• /help — command hints",
+
+  // /mute_tags
+  "mute.global": "🔕 I won't mention you in mass tags in any group anymore. Undo: /unmute_tags",
+  "mute.chat": "🔕 I won't mention you in mass tags in this group anymore. Undo: /unmute_tags",
+  "unmute.global": "🔔 Mentioning you in all groups again.",
+  "unmute.globalStillOn": "Unmuted in this group, but you still have a mute for all groups. Remove it: /unmute_tags all",
+  "unmute.chat": "🔔 Mentioning you in this group again.",
+  "ping.dbError": "DB error",
+
+  // /admin
+  "menu.who": "Permissions and roles",
+  "menu.cooldown": "Cooldown",
+  "menu.limits": "Limits",
+  "menu.quota": "Per-user quotas",
+  "menu.mode": "/tagall mode",
+  "menu.active": "Activity (/tagactive)",
+  "menu.schedule": "Schedule",
+  "menu.dnd": "Do not disturb (/mute_tags)",
+  "menu.ack": "\"Read\" acknowledgements",
+  "menu.template": "Mention template",
+  "menu.teams": "Teams",
+  "menu.history": "📜 Audit log",
+  "menu.language": "🌐 Язык / Language",
+  "menu.backToGroups": "← Back to groups",
+  "menu.import": "📥 Import members",
+  "menu.close": "Close",
+  "cooldown.shared": "Shared",
+  "cooldown.split": "Separate for teams",
+  "cooldown.title": ({ value }) => `Cooldown between tags: ${value}`,
+  "limits.resetDefaults": "Reset to defaults",
+  "limits.text": ({ maxUsers, chunk, delay, defaults }) =>
+    "Mention limits\n" +
+    `Max per run: ${maxUsers} (row 1)\n` +
+    `Mentions per message: ${chunk} (row 2)\n` +
+    `Delay between messages: ${delay} (row 3)\n` +
+    `Defaults: ${defaults}`,
+  "quota.text": ({ tm, ta, pm, pa }) =>
+    "Per-user quotas (∞ — no limit)\n" +
+    `/tagall per day, members: ${tm} (row 1)\n` +
+    `/tagall per day, admins: ${ta} (row 2)\n` +
+    `Team pings per hour, members: ${pm} (row 3)\n` +
+    `Team pings per hour, admins: ${pa} (row 4)`,
+  "quota.kind.tagall": "/tagall per day",
+  "quota.kind.team": "team pings per hour",
+  "mode.text": ({ total, maxUsers, hardCap }) =>
+    `/tagall mode (members in the list: ${total})\n\n` +
+    `• First N — the first ${maxUsers} by the time they appeared in the group.\n` +
+    `• Everyone (up to the limit) — all members, but no more than ${hardCap} per run (limit — buttons below).\n` +
+    `• In turns — ${maxUsers} per run, the next /tagall continues where the previous one stopped.`,
+  "active.days": ({ days }) => `${days} d`,
+  "active.text": ({ days }) =>
+    `/tagactive mentions those who wrote in the chat in the last ${days} days.\n` +
+    "You can set it explicitly: /tagactive 3 or /tagactive 3 /team",
+  "schedule.empty": "Nothing yet.",
+  "schedule.screen": ({ timeZone, list }) =>
+    `Schedule (time zone: ${timeZone})\n\n${list}\n\n` +
+    "Add in the group: /schedule <time> /tagall|/team <text>\n" +
+    "Time zone: /timezone",
+  "join.postButton": "📣 Post the join button",
+  "join.screen": ({ slug, policy }) =>
+    `Joining /${slug}: ${policy}\n` +
+    `Members send /join ${slug} and /leave ${slug} or press the button in the group.`,
+  "dnd.skip": "Never tag them",
+  "dnd.teamsPing": "Teams still tag",
+  "dnd.text": ({ muted }) =>
+    `Turned off mass mentions (/mute_tags): ${muted}\n\n` +
+    "/tagall and /tagactive never mention them. For teams choose below: " +
+    "skip them as well or mention them anyway.",
+  "ack.on": "On",
+  "ack.off": "Off",
+  "ack.text":
+    "A \"✅ Read\" button under mentions.\n\n" +
+    "Who confirmed and who didn't — the \"👀 Who read\" button in the tag status or /who_ack. " +
+    "From there you can also tag only those who haven't confirmed.",
+  "team.add": "➕ Add",
+  "team.remove": "➖ Remove",
+  "team.rename": "✏️ Rename",
+  "team.delete": "🗑 Delete",
+  "team.joinPolicy": "🚪 Joining",
+  "team.template": "📝 Template",
+  "team.permissions": "🔐 Permissions",
+  "team.subteams": "🧩 Nested teams",
+  "team.info": "🏷 Title and description",
+  "admin.groupFallback": ({ chatId }) => `Group ${chatId}`,
+  "admin.noGroups": "No groups where you are an admin and the bot is added.",
+  "admin.chooseGroup": "Choose a group:",
+  "admin.groupAdminsOnly": "⛔️ Only group admins can change settings.",
+  "admin.settings": "Group settings",
+  "admin.settingsFor": ({ title }) => `Settings: ${title}`,
+  "admin.noRightsInGroup": "No permission in this group.",
+
+  // Права доступа
+  "perm.level.all": "Everyone",
+  "perm.level.members": "Team members",
+  "perm.level.leads": "Leads",
+  "perm.level.managers": "Managers",
+  "perm.level.approval": "With approval",
+  "perm.level.admins": "Admins",
+  "perm.who.all": "everyone in the chat",
+  "perm.who.members": "team members, its leads, managers and admins",
+  "perm.who.leads": "team leads, managers and admins",
+  "perm.who.managers": "managers and admins",
+  "perm.who.admins": "group admins only",
+  "perm.inherit": ({ level }) => `Same as /tagall (${level})`,
+  "perm.screen":
+    "Who can run /tagall and teams without their own rule.\n" +
+    "Managers run teams and their permissions without being Telegram admins.",
+  "perm.approvalNote": ({ ttl }) =>
+    `With approval: /tagall and /tagactive from non-admins become a request with buttons for admins. A request is valid for ${ttl} (row below).`,
+  "perm.managers": ({ n }) => `👥 Managers (${n})`,
+  "perm.managersScreen": ({ n }) => `Managers: ${n}. Tap a person to grant or revoke the role.`,
+  "perm.teamScreen": ({ slug, who }) => `Who can tag /${slug}: currently ${who}.`,
+  "perm.leads": ({ n }) => `👑 Leads (${n})`,
+  "perm.leadsScreen": ({ slug, n }) => `Leads of /${slug}: ${n}. Tap a person to grant or revoke the role.`,
+  "perm.teamManagersOnly": "⛔️ Managers and group admins only.",
+  "perm.teamCommandsDenied": "⛔️ Only managers and group admins can manage teams.",
+  "tag.denied": ({ command, who }) => `⛔️ /${command} is available to ${who}.`,
+
+  // Вложенные команды
+  "subteams.screen": ({ slug, list }) =>
+    `Team /${slug} includes ${list} — their members are tagged by /${slug} too.\nTap a team to nest or remove it.`,
+  "subteams.none": ({ slug }) => `Team /${slug} doesn't include other teams. Tap a team to nest it whole.`,
+  "subteams.noTeams": ({ slug }) => `There are no teams besides /${slug} yet.`,
+  "subteams.cycle": ({ slug, child }) => `/${child} already includes /${slug} — that would be a loop.`,
+
+  // /admin: язык
+  "language.name": "English",
+  "language.text":
+    "Bot language in this group: menus, command replies and the default mention text.\n" +
+    "In private chats the bot uses each user's own Telegram language.",
+
+  // Кнопки вступления
+  "join.closedNote": "\n(joining is closed now — you can only leave)",
+  "join.buttonsPost": ({ slug, note }) => `Team /${slug}: join or leave with the buttons below.${note}`,
+  "join.published": "Posted",
+  "join.publishFailed": "Couldn't post",
+  "join.publishedInGroup": "Posted in the group",
+  "join.sendFailed": "Couldn't send to the group",
+
+  // /admin: подгруппы
+  "teams.create": "➕ Create team",
+  "teams.title": "Teams:",
+  "team.addPage": ({ slug, page, pages }) => `Team /${slug}. Add (page ${page}/${pages}):`,
+  "team.nobodyToAdd": ({ slug }) => `Team /${slug}. Nobody to add.`,
+  "team.removePage": ({ slug, page, pages }) => `Team /${slug}. Remove (page ${page}/${pages}):`,
+  "team.nobodyInTeam": ({ slug }) => `Team /${slug}. The team is empty.`,
+  "team.added": "Added",
+  "team.removed": "Removed",
+  "team.search": "🔍 Search",
+  "team.searchReset": "✖ Clear search",
+  "team.searchPrompt": ({ slug }) => `Team /${slug}. Type part of a name or @username:`,
+  "team.searchActive": ({ query }) => `Search: "${query}"`,
+  "team.searchEmpty": ({ slug, query }) => `Team /${slug}. Nobody matches "${query}".`,
+  "team.addSelected": ({ n }) => `✅ Add selected (${n})`,
+  "team.removeSelected": ({ n }) => `✅ Remove selected (${n})`,
+  "team.addAll": ({ n }) => `➕ Add everyone not in the team (${n})`,
+  "team.addAllFound": ({ n }) => `➕ Add all matches (${n})`,
+  "team.nothingSelected": "Nobody selected",
+  "team.addedN": ({ n }) => `Added: ${n}`,
+  "team.removedN": ({ n }) => `Removed: ${n}`,
+  "team.clear": "🧹 Clear team",
+  "team.clearConfirm": ({ slug, n }) => `Remove all ${n} members from /${slug}? The team and its settings stay.`,
+  "team.clearYes": "Yes, clear",
+  "team.cleared": "Team cleared",
+  "team.renamePrompt": ({ slug }) => `Enter a new name for /${slug} (Latin letters, digits, _ up to 32 characters):`,
+  "team.deleteConfirm": ({ slug }) => `Delete /${slug}? Members won't be removed from the group.`,
+  "team.deleteYes": "Yes, delete",
+  "teams.newPrompt": "Enter a team name (Latin letters, digits, _ up to 32 characters). For example: tagbar",
+
+  // Шаблоны упоминаний
+  "mention.all": "Everyone",
+  "template.default": "{mentions}\n{label}, there is an important message for you!",
+  "template.sepSpace": "space",
+  "template.sepLine": "new line",
+  "template.styleName": "by name",
+  "template.styleUsername": "@username",
+  "template.errEntity": ({ char, entity }) => `The character "${char}" outside a tag must be written as ${entity}.`,
+  "template.errTag": ({ tag }) => `Telegram doesn't support the <${tag}> tag.`,
+  "template.errClose": ({ tag }) => `Extra or misplaced </${tag}>.`,
+  "template.errHref": "A link needs an address: <a href=\"…\">.",
+  "template.errUnclosed": ({ tag }) => `The <${tag}> tag is not closed.`,
+  "template.errLength": ({ max }) => `Too long: ${max} characters max.`,
+  "template.errUnknown": ({ key }) => `Unknown placeholder {${key}}.`,
+  "template.errNoMentions": "The template needs {mentions} — otherwise nobody gets mentioned.",
+  "template.edit": "✏️ Edit text",
+  "template.preview": "👁 Preview",
+  "template.reset": "↩️ Reset",
+  "template.sourceOwn": "custom",
+  "template.sourceChat": "same as the group",
+  "template.sourceDefault": "default",
+  "template.wholeChat": "whole group",
+  "template.screen": ({ target, source, template }) =>
+    `Mention template: ${target} (${source})\n\n` +
+    `${template}\n\n` +
+    "Placeholders: {mentions} — the mentions, {label} — the team name, {initiator} — who tagged, " +
+    "{count} — how many people, {chunk} and {chunks} — the message number and how many there are.\n" +
+    "Telegram HTML tags are allowed: <b>, <i>, <u>, <s>, <code>, <tg-spoiler>, <blockquote>, <a href=\"…\">.\n\n" +
+    "Below — the separator between mentions and how to mention (without @username — by name).",
+  "template.retry": ({ err }) => `${err}\nTry again or press "← Back" in the menu.`,
+  "template.saved": "Template saved ✅",
+  "template.editPrompt": ({ current }) => `Send the new template text in one message. Current:\n\n${current}`,
+  "template.previewTitle": ({ html }) => `👁 Preview (mentions nobody):\n\n${html}`,
+  "template.rejected": ({ error }) => `Telegram rejected the template: ${error}`,
+
+  // Статус запуска упоминаний
+  "job.queued": ({ ahead, count }) => `⏳ Queued (ahead: ${ahead}). Will mention members: ${count}.`,
+  "job.running": ({ count, chunks }) => `📣 Mentioning members: ${count}, messages: ${chunks}.`,
+  "job.resumed": ({ sent }) => `\n♻️ Resuming after a bot restart (sent ${sent}).`,
+  "job.cancelled": ({ by, sent, chunks }) => `⛔ Stopped (${by}): sent ${sent} of ${chunks} messages.`,
+  "job.failed": ({ sent, chunks }) => `❌ Aborted due to an error: sent ${sent} of ${chunks} messages.`,
+  "job.done": ({ count }) => `✅ Members mentioned: ${count}.`,
+  "job.deleted": "\nMentions deleted.",
+  "job.stop": "⛔ Stop",
+  "job.stopAndDelete": "🗑 Stop and delete",
+  "job.delete": "🗑 Delete mentions",
+  "ack.who": "👀 Who read",
+  "ack.button": "✅ Read",
+  "job.unavailable": "This run is no longer available.",
+  "job.stopDenied": "Only the author or an admin can stop it.",
+  "job.deleting": "Deleting…",
+  "job.stoppingDelete": "Stopping and deleting…",
+  "job.stopping": "Stopping…",
+  "mention.bot": "bot",
+  "ack.hint": "\nPress \"✅ Read\" once you've seen it.",
+
+  // Подтверждения прочтения
+  "ack.more": ({ n }) => `…and ${n} more`,
+  "ack.reportAll": "the general tag",
+  "ack.reportTitle": ({ who, id }) => `Acknowledgements for ${who} #${id}\n\n`,
+  "ack.acked": ({ n, list }) => `✅ Read (${n}): ${list}\n\n`,
+  "ack.nobodyYet": "nobody yet",
+  "ack.pending": ({ n, list }) => `⏳ Not confirmed (${n}): ${list}`,
+  "ack.allRead": "everyone has read it 🎉",
+  "ack.pingRest": ({ n }) => `🔁 Tag the rest (${n})`,
+  "ack.refresh": "🔄 Refresh",
+  "ack.notForYou": "This mention wasn't for you.",
+  "ack.already": "Already confirmed 👍",
+  "ack.thanks": "Thanks, confirmed ✅",
+  "ack.restDenied": "Only the author or an admin can tag again.",
+  "ack.whoDenied": "Only the author or an admin can show or refresh the report.",
+  "ack.waitActive": "Wait until the current tag finishes.",
+  "ack.allAcked": "Everyone has read it 🎉",
+  "ack.repinging": ({ n }) => `Tagging again: ${n}`,
+  "ack.none": "No tags with read acknowledgements. Turn them on: /admin → Acknowledgements.",
+
+  // /teams
+  "teams.none": "This group has no teams yet. Create one: /newteam <name>",
+  "teams.list": ({ list }) => `Teams:\n${list}\n\nMembers: /team <name>\nSettings: /manage <name>`,
+
+  // Название, описание и /team
+  "teamInfo.screen": ({ slug, title, description, emoji }) =>
+    `Team /${slug}\nTitle: ${title}\nEmoji: ${emoji}\nDescription: ${description}\n\nThe title and emoji go into {label} of the mention template.`,
+  "teamInfo.empty": "—",
+  "teamInfo.editTitle": "✏️ Title",
+  "teamInfo.editEmoji": "😀 Emoji",
+  "teamInfo.editDescription": "📝 Description",
+  "teamInfo.prompt.t": ({ slug, max }) => `Send a title for /${slug} (up to ${max} characters) or "-" to remove it.`,
+  "teamInfo.prompt.d": ({ slug, max }) => `Send a description for /${slug} (up to ${max} characters) or "-" to remove it.`,
+  "teamInfo.prompt.e": ({ slug }) => `Send an emoji for /${slug} or "-" to remove it.`,
+  "teamInfo.errEmoji": "Emoji only, no letters or digits.",
+  "roster.usage": "Usage: /team <name>",
+  "roster.header": ({ title, slug }) => `${title} (/${slug})`,
+  "roster.count": ({ n }) => `Members: ${n}`,
+  "roster.empty": "Nobody in the team yet.",
+  "roster.more": ({ n }) => `… and ${n} more`,
+  "roster.mutedHint": "🔕 — turned off mass mentions, tags will skip them.",
+  "roster.subteams": ({ list }) => `Includes teams: ${list}`,
+
+  // Импорт участников
+  "import.prompt": ({ title, max }) =>
+    `Importing members into "${title}". Send here:\n` +
+    "• a CSV or JSON file with ids and/or @usernames (CSV: id, username columns or just a list);\n" +
+    "• forwarded messages or shared contacts of members;\n" +
+    "• mentions of people without a username (text_mention) or a list of ids and @usernames as text.\n\n" +
+    `I'll add only those who are in the group now, up to ${max} at a time. I can resolve an @username only if I've seen the person in another group.`,
+  "import.done": "✅ Done",
+  "import.started": ({ n }) => `Checking ${n} entries, I'll send a report when done.`,
+  "import.busy": "The previous import is still running — wait for its report.",
+  "import.nothing": "No ids, @usernames, forwarded messages or contacts found here.",
+  "import.report": ({ added, already, notMember, notFound, failed }) =>
+    `Added: ${added}, already known: ${already}, not in the group: ${notMember}, not found: ${notFound}${failed ? `, not checked due to an error: ${failed}` : ""}.`,
+  "import.hidden": ({ n }) => `Forwarded from hidden accounts: ${n} — they can't be identified, ask them to write in the group.`,
+  "import.truncated": ({ max, n }) => `Processed the first ${max}, send the remaining ${n} in a separate file.`,
+  "import.failed": ({ list }) => `Not added: ${list}`,
+  "import.fileTooBig": ({ max }) => `The file is larger than ${max} KB — split it into parts.`,
+  "import.badFile": "Couldn't parse the file: a CSV or a JSON array is expected.",
+
+  // /join и /leave
+  "join.policy.closed": "closed",
+  "join.policy.open": "open",
+  "join.policy.approval": "with admin approval",
+  "join.accept": "✅ Accept",
+  "join.reject": "❌ Decline",
+  "join.request": ({ who, slug }) => `🙋 ${who} asks to join /${slug}. Admins, please confirm:`,
+  "join.joined": ({ slug }) => `You are in team /${slug}.`,
+  "join.already": ({ slug }) => `You are already in /${slug}.`,
+  "join.requested": ({ slug }) => `Your request to join /${slug} was sent to the admins.`,
+  "join.pending": ({ slug }) => `Your request to join /${slug} is already waiting for an admin.`,
+  "join.closed": ({ slug }) => `Joining /${slug} is closed — ask an admin.`,
+  "join.button": ({ slug }) => `✅ Join /${slug}`,
+  "join.leaveButton": "🚪 Leave",
+  "join.usage": "Usage: /join <team>",
+  "leave.usage": "Usage: /leave <team>",
+  "leave.left": ({ slug }) => `You left /${slug}.`,
+  "leave.notMember": ({ slug }) => `You are not in /${slug}.`,
+  "join.stale": ({ who, slug }) => `The request from ${who} to join /${slug} is no longer valid.`,
+  "join.approved": ({ who, slug, admin }) => `✅ ${who} was added to /${slug} (${admin}).`,
+  "join.rejected": ({ who, slug, admin }) => `❌ The request from ${who} to join /${slug} was declined (${admin}).`,
+
+  // Заявки на /tagall (режим «С одобрением»)
+  "tagRequest.approve": "✅ Approve",
+  "tagRequest.reject": "❌ Decline",
+  "tagRequest.text": ({ who, command, ttl }) => `🙋 ${who} asks to run /${command}. Admins, please decide within ${ttl}:`,
+  "tagRequest.inChat": ({ title, text }) => `<b>${title}</b>\n${text}`,
+  "tagRequest.pending": "Your tag request is already waiting for the admins.",
+  "tagRequest.approved": ({ who, command, admin }) => `✅ /${command} from ${who} approved (${admin}), mentioning.`,
+  "tagRequest.rejected": ({ who, command, admin }) => `❌ The /${command} request from ${who} was declined (${admin}).`,
+  "tagRequest.expired": ({ who, command }) => `⌛️ The /${command} request from ${who} expired without a decision.`,
+  "tagRequest.empty": ({ who, command, admin }) => `✅ /${command} from ${who} approved (${admin}), but there is nobody to tag.`,
+  "tagRequest.failed": ({ who, command, admin }) => `✅ /${command} from ${who} approved (${admin}), but it could not be started.`,
+  "tagRequest.stale": "This request is no longer relevant.",
+  "tagRequest.cooldownWait": ({ sec }) => `Cooldown: ${sec} more sec. Approve the request later.`,
+  "tagRequest.quotaWait": ({ kind, limit, wait }) => `The requester's quota is used up: ${kind} — at most ${limit}. You can approve in ${wait}.`,
+
+  // Текстовые команды подгрупп
+  "newteam.usage": "Usage: /newteam <name>",
+  "newteam.created": ({ slug }) => `Team /${slug} created. Add people: /addto ${slug} @user`,
+  "manage.usage": "Usage: /manage <name>",
+  "manage.noSuch": ({ slug }) => `There is no team /${slug}. Create it: /newteam ${slug}`,
+  "delteam.usage": "Usage: /delteam <name>",
+  "delteam.done": ({ slug }) => `Team /${slug} deleted.`,
+  "renameteam.usage": "Usage: /renameteam <old> <new>",
+  "renameteam.same": ({ slug }) => `The team is already called /${slug}.`,
+  "renameteam.done": ({ from, to }) => `Renamed: /${from} → /${to}.`,
+  "members.usage": ({ command }) => `Usage: /${command} <name> @user … /team …`,
+  "members.needUsers": ({ command, slug }) => `Specify members or teams: /${command} ${slug} @user … /team …`,
+  "members.added": ({ slug, changed, skipped }) => `/${slug}: added ${changed}, already in the team ${skipped}.`,
+  "members.removed": ({ slug, changed, skipped }) => `/${slug}: removed ${changed}, not in the team ${skipped}.`,
+  "members.notFound": ({ list }) => `Not found: ${list} — they need to write in the group at least once.`,
+  "members.count": ({ n }) => `Members: ${n}`,
+  "members.teamsAdded": ({ slug, list }) => `/${slug} now includes ${list}.`,
+  "members.teamsRemoved": ({ slug, list }) => `/${slug} no longer includes ${list}.`,
+  "members.teamsCycle": ({ slug, list }) => `Not nested (they already include /${slug}, that would be a loop): ${list}`,
+  "members.teamsNotFound": ({ list }) => `No such teams: ${list}`,
+
+  // Расписание
+  "schedule.once": ({ when }) => `${when} (once)`,
+  "schedule.usage":
+    "Usage: /schedule <time> /tagall|/team <text>\n" +
+    "Time: \"HH:MM\" — every day, \"YYYY-MM-DD HH:MM\" — once, or cron: \"50 9 * * 1-5\".\n" +
+    "Example: /schedule 50 9 * * 1-5 /tagall Standup in 10 minutes!",
+  "schedule.current": ({ timeZone, list }) => `\n\nSchedule (${timeZone}):\n${list}`,
+  "schedule.badTime": ({ spec, usage }) => `Couldn't parse the time "${spec}".\n\n${usage}`,
+  "schedule.past": "That time has already passed.",
+  "schedule.noText": "Add the reminder text after the command.",
+  "schedule.limit": ({ max }) => `No more than ${max} schedules per group. Remove some: /admin → Schedule.`,
+  "schedule.created": ({ timeZone, line, id }) => `Scheduled (${timeZone}):\n${line}\nRemove: /unschedule ${id}`,
+  "unschedule.usage": "Usage: /unschedule <number>",
+  "unschedule.done": ({ id }) => `Schedule #${id} removed.`,
+  "unschedule.notFound": ({ id }) => `There is no schedule #${id}.`,
+  "timezone.current": ({ tz }) => `Group time zone: ${tz}\nChange: /timezone Europe/London`,
+  "timezone.unknown": ({ tz }) => `Unknown time zone "${tz}". Examples: Europe/London, America/New_York, UTC.`,
+  "timezone.set": ({ tz }) => `Group time zone: ${tz}`,
+
+  // Журнал (/history)
+  "history.title": ({ page, pages }) => `📜 Audit log (page ${page}/${pages}), group time:`,
+  "history.empty": "📜 The log is empty.",
+  "history.default": "default",
+  "history.api": "HTTP API",
+  "history.outcome.queued": "queued",
+  "history.outcome.done": "sent",
+  "history.outcome.cancelled": "stopped",
+  "history.outcome.failed": "failed",
+  "history.outcome.denied": "no rights",
+  "history.outcome.cooldown": "cooldown",
+  "history.outcome.empty": "nobody to tag",
+  "history.outcome.quota": "quota used up",
+  "history.outcome.pending": "awaiting approval",
+  "history.outcome.approved": "approved",
+  "history.outcome.rejected": "declined",
+  "history.outcome.expired": "expired",
+  "history.action.tag": ({ who, command, n, outcome }) => `🔔 ${who}: /${command}${n != null ? ` (${n} people)` : ""} — ${outcome}`,
+  "history.action.setting": ({ who, slug, column, value }) => `⚙️ ${who}: ${slug ? `/${slug} ` : ""}${column} = ${value}`,
+  "history.action.team_create": ({ who, slug }) => `🆕 ${who}: created /${slug}`,
+  "history.action.team_rename": ({ who, slug, from }) => `✏️ ${who}: /${from} → /${slug}`,
+  "history.action.team_delete": ({ who, slug, n }) => `🗑 ${who}: deleted /${slug} (had ${n} people)`,
+  "history.action.team_clear": ({ who, slug, n }) => `🧹 ${who}: cleared /${slug} (${n} people)`,
+  "history.action.member_add": ({ who, slug, users }) => `👤 ${who}: /${slug} + ${users}`,
+  "history.action.member_remove": ({ who, slug, users }) => `👤 ${who}: /${slug} − ${users}`,
+  "history.action.manager_add": ({ who, users }) => `🛡 ${who}: ${users} is now a manager`,
+  "history.action.manager_remove": ({ who, users }) => `🛡 ${who}: ${users} is no longer a manager`,
+  "history.action.lead_add": ({ who, slug, users }) => `⭐ ${who}: ${users} now leads /${slug}`,
+  "history.action.lead_remove": ({ who, slug, users }) => `⭐ ${who}: ${users} no longer leads /${slug}`,
+  "history.action.subteam_add": ({ who, slug, child }) => `🧩 ${who}: /${child} nested into /${slug}`,
+  "history.action.subteam_remove": ({ who, slug, child }) => `🧩 ${who}: /${child} taken out of /${slug}`,
+  "history.action.schedule_add": ({ who, id }) => `⏰ ${who}: added schedule #${id}`,
+  "history.action.schedule_delete": ({ who, id }) => `⏰ ${who}: deleted schedule #${id}`,
+  "history.action.import": ({ who, added, already, notMember, notFound, failed }) =>
+    `📥 ${who}: import — ${added} added, ${already} already known, ${notMember} not in the group, ${notFound} not found${failed ? `, ${failed} failed` : ""}`,
+  "history.action.tag_request": ({ who, command, users, outcome }) => `🙋 ${who}: request from ${users} for /${command} — ${outcome}`,
+
+  // Меню команд Telegram
+  "commands.tagall": "Mention all members",
+  "commands.tagactive": "Mention recently active members",
+  "commands.teams": "List teams",
+  "commands.team": "Who is in a team (no mentions)",
+  "commands.join": "Join a team",
+  "commands.leave": "Leave a team",
+  "commands.admin": "Bot settings",
+  "commands.teamDefault": ({ slug }) => `Mention team ${slug}`
+};
@@ -0,0 +1,492 @@
+// filename: locales/ru.js
+// Русский — основной язык: если в другом каталоге нет ключа, бот берёт строку отсюда
+export default {
+  // Общее
+  "common.error": "Ошибка",
+  "common.failed": "❌ Ошибка. Посмотри логи бота.",
+  "common.adminsOnly": "Только админы.",
+  "common.noRights": "Нет прав.",
+  "common.saved": "Сохранено",
+  "common.deleted": "Удалено",
+  "common.reset": "Сброшено",
+  "common.back": "← Назад",
+  "common.cancel": "Отмена",
+  "common.groupOnly": "Команда только для групп.",
+  "common.defaultValue": ({ value }) => `По умолчанию (${value})`,
+
+  // Кулдаун, лимиты, режимы
+  "cooldown.off": "выкл",
+  "cooldown.min": ({ n }) => `${n} мин`,
+  "cooldown.sec": ({ n }) => `${n} сек`,
+  "cooldown.hours": ({ n }) => `${n} ч`,
+  "limits.delay": ({ sec }) => `${sec} с`,
+  "mode.first": "Первые N",
+  "mode.all": "Все (до лимита)",
+  "mode.rotation": "По очереди",
+
+  // Имена команд
+  "slug.invalid": "Неверный формат. Только латиница, цифры и _ до 32 символов.",
+  "slug.reserved": ({ slug }) => `Имя /${slug} занято командой бота.`,
+
+  // Команды (подгруппы)
+  "team.exists": ({ slug }) => `Команда /${slug} уже есть.`,
+  "team.noSuch": ({ slug }) => `Команды /${slug} нет.`,
+  "team.screen": ({ slug, n }) => `Команда /${slug}. Участников: ${n}`,
+  "team.configure": "Настроить",
+  "team.backToList": "← К списку команд",
+  "team.created": ({ slug }) => `Команда /${slug} создана.`,
+  "team.createdUseAdmin": ({ slug }) => `Команда /${slug} создана. Настрой через /admin.`,
+  "team.renamedTo": ({ slug }) => `Переименовано в /${slug}.`,
+  "team.notFound": "Команда не найдена.",
+
+  // Тег
+  "tag.needTarget": "Ответь (reply) на важное сообщение или добавь текст/фото/видео к команде — бот ответит на нужное сообщение.",
+  "tag.cooldownWait": ({ sec }) => `Подожди ещё ${sec} сек. перед следующим тегом.`,
+  "tag.quotaExceeded": ({ kind, limit, wait }) => `Квота исчерпана: ${kind} — не больше ${limit}. Следующий можно через ${wait}.`,
+  "tag.quotaLeft": ({ kind, left, limit }) => `Квота: ${kind} — осталось ${left} из ${limit}.`,
+  "tag.noMembers": "Пока некого упоминать: я ещё не собрал базу участников.",
+  "tag.noActive": ({ days }) => `Никто не писал в чат за последние ${days} дн.`,
+  "tag.noActiveTeam": ({ slug, days }) => `Из /${slug} никто не писал в чат за последние ${days} дн.`,
+  "tag.teamAllMuted": ({ slug }) => `Все участники /${slug} отключили массовые упоминания (/mute_tags).`,
+  "tag.notCombinable": ({ command }) => `/${command} нельзя объединить с командами в одном сообщении — отправь его отдельно.`,
+  "tag.exprEmpty": ({ expr }) => `По выражению /${expr} тегать некого.`,
+  "tag.teamEmpty": ({ slug }) => `В команде /${slug} пока никого. Добавь участников через /admin → Подгруппы.`,
+
+  // /start
+  "start.help": ({ chunk, maxUsers }) =>
+    "Привет! Я бот для массовых упоминаний в группах.\n\n" +
+    "Как начать:\n" +
+    "1) Добавь меня в нужную группу и дай права администратора.\n" +
+    "2) Попроси участников написать в чат хотя бы 1 сообщение — только после этого я смогу их «увидеть» и добавить в базу. " +
+    "Или импортируй их в личке со мной: /admin → группа → Импорт участников.\n\n" +
+    "Основная команда:\n" +
+    `• /tagall — можно ответить (Reply) на сообщение или написать /tagall вместе с текстом/фото/видео. Я отвечу на нужное сообщение и упомяну участников пачками (по ${chunk} в сообщении).\n` +
+    "• /tagactive [дни] [/команда] — то же, но только тем, кто писал в чат за последние дни (свежие — первыми).\n\n" +
+    "Лимиты и защита:\n" +
+    `• максимум ${maxUsers} упоминаний за один запуск (админ может поменять в /admin → Лимиты)\n` +
+    "• небольшая задержка между пачками\n" +
+    "• кулдаун между запусками, чтобы не спамили\n\n" +
+    "Подгруппы (команды):\n" +
+    "Админ может создать команду (например /friends) и добавить туда людей. Потом можно тегать только их: Reply на сообщение или текст/фото/видео + /friends.\n" +
+    "Команда может включать другие целиком (/addto devs /backend), а за один запуск можно тегать несколько команд (/design /qa), их объединение или разность: /backend+frontend, /all-managers.\n\n" +
+    "Настройки и управление:\n" +
+    "• /admin — меню админа (кто может тегать, подгруппы, язык и т.д.)\n" +
+    "• /newteam, /manage, /renameteam, /delteam, /addto, /removefrom — управление командами текстом\n" +
+    "• /mute_tags и /unmute_tags — не упоминать меня в массовых тегах (в группе — только в ней, в личке — везде)\n" +
+    "• /who_ack — кто нажал «✅ Прочитал» под последним тегом (если админ включил подтверждения)\n" +
+    "• /history — журнал: кто тегал и что менял в настройках и командах (для админов)\n" +
+    "• /teams — список команд, /team <команда> — кто в ней (без упоминаний)\n" +
+    "• /join и /leave <команда> — вступить в команду или выйти (если админ разрешил)\n" +
+    "• /schedule — регулярные и разовые теги по расписанию, /timezone — часовой пояс группы\n" +
+    "• /help — подсказки по командам",
+
+  // /mute_tags
+  "mute.global": "🔕 Больше не буду упоминать тебя в массовых тегах ни в одной группе. Вернуть: /unmute_tags",
+  "mute.chat": "🔕 Больше не буду упоминать тебя в массовых тегах этой группы. Вернуть: /unmute_tags",
+  "unmute.global": "🔔 Снова упоминаю тебя во всех группах.",
+  "unmute.globalStillOn": "В этой группе запрет снят, но у тебя включён запрет для всех групп. Снять его: /unmute_tags all",
+  "unmute.chat": "🔔 Снова упоминаю тебя в этой группе.",
+  "ping.dbError": "Ошибка БД",
+
+  // /admin
+  "menu.who": "Права и роли",
+  "menu.cooldown": "Кулдаун",
+  "menu.limits": "Лимиты",
+  "menu.quota": "Квоты на человека",
+  "menu.mode": "Режим /tagall",
+  "menu.active": "Активность (/tagactive)",
+  "menu.schedule": "Расписание",
+  "menu.dnd": "Не беспокоить (/mute_tags)",
+  "menu.ack": "Подтверждения «Прочитал»",
+  "menu.template": "Шаблон упоминаний",
+  "menu.teams": "Подгруппы (команды)",
+  "menu.history": "📜 Журнал",
+  "menu.language": "🌐 Язык / Language",
+  "menu.backToGroups": "← К списку групп",
+  "menu.import": "📥 Импорт участников",
+  "menu.close": "Закрыть",
+  "cooldown.shared": "Общий",
+  "cooldown.split": "Отдельно для команд",
+  "cooldown.title": ({ value }) => `Кулдаун между тегами: ${value}`,
+  "limits.resetDefaults": "Сбросить к умолчаниям",
+  "limits.text": ({ maxUsers, chunk, delay, defaults }) =>
+    "Лимиты упоминаний\n" +
+    `Максимум за запуск: ${maxUsers} (1-я строка)\n` +
+    `Упоминаний в сообщении: ${chunk} (2-я строка)\n` +
+    `Задержка между сообщениями: ${delay} (3-я строка)\n` +
+    `По умолчанию: ${defaults}`,
+  "quota.text": ({ tm, ta, pm, pa }) =>
+    "Квоты на человека (∞ — без лимита)\n" +
+    `/tagall в сутки, участники: ${tm} (1-я строка)\n` +
+    `/tagall в сутки, админы: ${ta} (2-я строка)\n` +
+    `Пингов команд в час, участники: ${pm} (3-я строка)\n` +
+    `Пингов команд в час, админы: ${pa} (4-я строка)`,
+  "quota.kind.tagall": "/tagall в сутки",
+  "quota.kind.team": "пинги команд в час",
+  "mode.text": ({ total, maxUsers, hardCap }) =>
+    `Режим /tagall (в базе участников: ${total})\n\n` +
+    `• Первые N — первые ${maxUsers} по времени появления в группе.\n` +
+    `• Все (до лимита) — все участники, но не больше ${hardCap} за запуск (лимит — кнопки ниже).\n` +
+    `• По очереди — по ${maxUsers} за запуск, следующий /tagall продолжает с места остановки.`,
+  "active.days": ({ days }) => `${days} дн.`,
+  "active.text": ({ days }) =>
+    `/tagactive упоминает тех, кто писал в чат за последние ${days} дн.\n` +
+    "Можно указать явно: /tagactive 3 или /tagactive 3 /команда",
+  "schedule.empty": "Пока пусто.",
+  "schedule.screen": ({ timeZone, list }) =>
+    `Расписание (часовой пояс: ${timeZone})\n\n${list}\n\n` +
+    "Добавить в группе: /schedule <время> /tagall|/команда <текст>\n" +
+    "Часовой пояс: /timezone",
+  "join.postButton": "📣 Опубликовать кнопку вступления",
+  "join.screen": ({ slug, policy }) =>
+    `Вступление в /${slug}: ${policy}\n` +
+    `Участники пишут /join ${slug} и /leave ${slug} или жмут кнопку в группе.`,
+  "dnd.skip": "Не тегать нигде",
+  "dnd.teamsPing": "Команды тегают",
+  "dnd.text": ({ muted }) =>
+    `Отключили массовые упоминания (/mute_tags): ${muted}\n\n` +
+    "/tagall и /tagactive их никогда не упоминают. Для команд (подгрупп) выбери ниже: " +
+    "тоже пропускать их или всё-таки упоминать.",
+  "ack.on": "Включено",
+  "ack.off": "Выключено",
+  "ack.text":
+    "Кнопка «✅ Прочитал» под упоминаниями.\n\n" +
+    "Кто подтвердил, а кто нет — кнопка «👀 Кто прочитал» в статусе тега или /who_ack. " +
+    "Оттуда же можно тегнуть только тех, кто не отметился.",
+  "team.add": "➕ Добавить",
+  "team.remove": "➖ Убрать",
+  "team.rename": "✏️ Переименовать",
+  "team.delete": "🗑 Удалить",
+  "team.joinPolicy": "🚪 Вступление",
+  "team.template": "📝 Шаблон",
+  "team.permissions": "🔐 Права",
+  "team.subteams": "🧩 Вложенные",
+  "team.info": "🏷 Название и описание",
+  "admin.groupFallback": ({ chatId }) => `Группа ${chatId}`,
+  "admin.noGroups": "Нет групп, где ты админ и добавлен бот.",
+  "admin.chooseGroup": "Выбери группу:",
+  "admin.groupAdminsOnly": "⛔️ Только админы группы могут менять настройки.",
+  "admin.settings": "Настройки группы",
+  "admin.settingsFor": ({ title }) => `Настройки: ${title}`,
+  "admin.noRightsInGroup": "Нет прав в этой группе.",
+
+  // Права доступа
+  "perm.level.all": "Все",
+  "perm.level.members": "Участники команды",
+  "perm.level.leads": "Лиды",
+  "perm.level.managers": "Менеджеры",
+  "perm.level.approval": "С одобрением",
+  "perm.level.admins": "Админы",
+  "perm.who.all": "всем участникам чата",
+  "perm.who.members": "участникам команды, её лидам, менеджерам и админам",
+  "perm.who.leads": "лидам команды, менеджерам и админам",
+  "perm.who.managers": "менеджерам и админам",
+  "perm.who.admins": "только админам группы",
+  "perm.inherit": ({ level }) => `Как /tagall (${level})`,
+  "perm.screen":
+    "Кто может запускать /tagall и команды без своего правила.\n" +
+    "Менеджеры управляют подгруппами и их правами, не будучи админами в Telegram.",
+  "perm.approvalNote": ({ ttl }) =>
+    `С одобрением: /tagall и /tagactive не-админа становятся заявкой с кнопками для админов. Заявка действует ${ttl} (строка ниже).`,
+  "perm.managers": ({ n }) => `👥 Менеджеры (${n})`,
+  "perm.managersScreen": ({ n }) => `Менеджеры: ${n}. Нажми на человека, чтобы выдать или снять роль.`,
+  "perm.teamScreen": ({ slug, who }) => `Кто может тегать /${slug}: сейчас ${who}.`,
+  "perm.leads": ({ n }) => `👑 Лиды (${n})`,
+  "perm.leadsScreen": ({ slug, n }) => `Лиды /${slug}: ${n}. Нажми на человека, чтобы выдать или снять роль.`,
+  "perm.teamManagersOnly": "⛔️ Только менеджеры и админы группы.",
+  "perm.teamCommandsDenied": "⛔️ Подгруппами управляют только менеджеры и админы группы.",
+  "tag.denied": ({ command, who }) => `⛔️ /${command} доступна ${who}.`,
+
+  // Вложенные команды
+  "subteams.screen": ({ slug, list }) =>
+    `Команда /${slug} включает ${list} — их участников тоже тегаем по /${slug}.\nНажми на команду, чтобы вложить или убрать.`,
+  "subteams.none": ({ slug }) => `Команда /${slug} не включает других команд. Нажми на команду, чтобы вложить её целиком.`,
+  "subteams.noTeams": ({ slug }) => `Кроме /${slug}, команд пока нет.`,
+  "subteams.cycle": ({ slug, child }) => `/${child} уже включает /${slug} — получился бы цикл.`,
+
+  // /admin: язык
+  "language.name": "Русский",
+  "language.text":
+    "Язык бота в этой группе: меню, ответы на команды и текст упоминаний по умолчанию.\n" +
+    "В личке бот отвечает на языке Telegram у самого пользователя.",
+
+  // Кнопки вступления
+  "join.closedNote": "\n(сейчас вступление закрыто — только выйти)",
+  "join.buttonsPost": ({ slug, note }) => `Команда /${slug}: вступай или выходи кнопками ниже.${note}`,
+  "join.published": "Опубликовано",
+  "join.publishFailed": "Не удалось опубликовать",
+  "join.publishedInGroup": "Опубликовано в группе",
+  "join.sendFailed": "Не удалось отправить в группу",
+
+  // /admin: подгруппы
+  "teams.create": "➕ Создать команду",
+  "teams.title": "Подгруппы (команды):",
+  "team.addPage": ({ slug, page, pages }) => `Команда /${slug}. Добавить (стр. ${page}/${pages}):`,
+  "team.nobodyToAdd": ({ slug }) => `Команда /${slug}. Нет кого добавить.`,
+  "team.removePage": ({ slug, page, pages }) => `Команда /${slug}. Убрать (стр. ${page}/${pages}):`,
+  "team.nobodyInTeam": ({ slug }) => `Команда /${slug}. В команде никого.`,
+  "team.added": "Добавлен",
+  "team.removed": "Убран",
+  "team.search": "🔍 Поиск",
+  "team.searchReset": "✖ Сбросить поиск",
+  "team.searchPrompt": ({ slug }) => `Команда /${slug}. Введи часть имени или @username:`,
+  "team.searchActive": ({ query }) => `Поиск: «${query}»`,
+  "team.searchEmpty": ({ slug, query }) => `Команда /${slug}. По запросу «${query}» никого не нашлось.`,
+  "team.addSelected": ({ n }) => `✅ Добавить выбранных (${n})`,
+  "team.removeSelected": ({ n }) => `✅ Убрать выбранных (${n})`,
+  "team.addAll": ({ n }) => `➕ Добавить всех, кого нет в команде (${n})`,
+  "team.addAllFound": ({ n }) => `➕ Добавить всех найденных (${n})`,
+  "team.nothingSelected": "Никто не выбран",
+  "team.addedN": ({ n }) => `Добавлено: ${n}`,
+  "team.removedN": ({ n }) => `Убрано: ${n}`,
+  "team.clear": "🧹 Очистить команду",
+  "team.clearConfirm": ({ slug, n }) => `Убрать всех (${n}) из /${slug}? Сама команда и её настройки останутся.`,
+  "team.clearYes": "Да, очистить",
+  "team.cleared": "Команда очищена",
+  "team.renamePrompt": ({ slug }) => `Введи новое имя для /${slug} (латиница, цифры, _ до 32 символов):`,
+  "team.deleteConfirm": ({ slug }) => `Удалить /${slug}? Участники не удалятся из группы.`,
+  "team.deleteYes": "Да, удалить",
+  "teams.newPrompt": "Введи имя команды (латиница, цифры, _ до 32 символов). Например: tagbar",
+
+  // Шаблоны упоминаний
+  "mention.all": "Все",
+  "template.default": "{mentions}\n{label}, для вас важное сообщение!",
+  "template.sepSpace": "пробел",
+  "template.sepLine": "строка",
+  "template.styleName": "по имени",
+  "template.styleUsername": "@username",
+  "template.errEntity": ({ char, entity }) => `Символ «${char}» вне тега нужно писать как ${entity}.`,
+  "template.errTag": ({ tag }) => `Тег <${tag}> Telegram не поддерживает.`,
+  "template.errClose": ({ tag }) => `Лишний или не на своём месте </${tag}>.`,
+  "template.errHref": "У ссылки нужен адрес: <a href=\"…\">.",
+  "template.errUnclosed": ({ tag }) => `Не закрыт тег <${tag}>.`,
+  "template.errLength": ({ max }) => `Слишком длинно: максимум ${max} символов.`,
+  "template.errUnknown": ({ key }) => `Неизвестная подстановка {${key}}.`,
+  "template.errNoMentions": "В шаблоне нужен {mentions} — иначе некого будет упомянуть.",
+  "template.edit": "✏️ Изменить текст",
+  "template.preview": "👁 Предпросмотр",
+  "template.reset": "↩️ Сбросить",
+  "template.sourceOwn": "свой",
+  "template.sourceChat": "как у всей группы",
+  "template.sourceDefault": "по умолчанию",
+  "template.wholeChat": "вся группа",
+  "template.screen": ({ target, source, template }) =>
+    `Шаблон упоминаний: ${target} (${source})\n\n` +
+    `${template}\n\n` +
+    "Подстановки: {mentions} — упоминания, {label} — название команды, {initiator} — кто тегнул, " +
+    "{count} — сколько человек, {chunk} и {chunks} — номер сообщения и сколько их всего.\n" +
+    "Можно HTML-теги Telegram: <b>, <i>, <u>, <s>, <code>, <tg-spoiler>, <blockquote>, <a href=\"…\">.\n\n" +
+    "Ниже — разделитель между упоминаниями и как упоминать (у кого нет @username — по имени).",
+  "template.retry": ({ err }) => `${err}\nПопробуй ещё раз или нажми «← Назад» в меню.`,
+  "template.saved": "Шаблон сохранён ✅",
+  "template.editPrompt": ({ current }) => `Пришли новый текст шаблона одним сообщением. Сейчас:\n\n${current}`,
+  "template.previewTitle": ({ html }) => `👁 Предпросмотр (никого не упоминает):\n\n${html}`,
+  "template.rejected": ({ error }) => `Telegram не принял шаблон: ${error}`,
+
+  // Статус запуска упоминаний
+  "job.queued": ({ ahead, count }) => `⏳ В очереди (впереди: ${ahead}). Упомяну участников: ${count}.`,
+  "job.running": ({ count, chunks }) => `📣 Упоминаю участников: ${count}, сообщений: ${chunks}.`,
+  "job.resumed": ({ sent }) => `\n♻️ Продолжаю после перезапуска бота (отправлено ${sent}).`,
+  "job.cancelled": ({ by, sent, chunks }) => `⛔ Остановлено (${by}): отправлено ${sent} из ${chunks} сообщений.`,
+  "job.failed": ({ sent, chunks }) => `❌ Прервано из-за ошибки: отправлено ${sent} из ${chunks} сообщений.`,
+  "job.done": ({ count }) => `✅ Упомянуто участников: ${count}.`,
+  "job.deleted": "\nУпоминания удалены.",
+  "job.stop": "⛔ Остановить",
+  "job.stopAndDelete": "🗑 Остановить и удалить",
+  "job.delete": "🗑 Удалить упоминания",
+  "ack.who": "👀 Кто прочитал",
+  "ack.button": "✅ Прочитал",
+  "job.unavailable": "Этот запуск уже недоступен.",
+  "job.stopDenied": "Остановить может автор или админ.",
+  "job.deleting": "Удаляю…",
+  "job.stoppingDelete": "Останавливаю и удаляю…",
+  "job.stopping": "Останавливаю…",
+  "mention.bot": "бот",
+  "ack.hint": "\nНажми «✅ Прочитал», когда увидишь.",
+
+  // Подтверждения прочтения
+  "ack.more": ({ n }) => `…и ещё ${n}`,
+  "ack.reportAll": "общему тегу",
+  "ack.reportTitle": ({ who, id }) => `Подтверждения по тегу ${who} #${id}\n\n`,
+  "ack.acked": ({ n, list }) => `✅ Прочитали (${n}): ${list}\n\n`,
+  "ack.nobodyYet": "пока никто",
+  "ack.pending": ({ n, list }) => `⏳ Не отметились (${n}): ${list}`,
+  "ack.allRead": "все прочитали 🎉",
+  "ack.pingRest": ({ n }) => `🔁 Тегнуть остальных (${n})`,
+  "ack.refresh": "🔄 Обновить",
+  "ack.notForYou": "Это упоминание было не для тебя.",
+  "ack.already": "Уже отмечено 👍",
+  "ack.thanks": "Спасибо, отмечено ✅",
+  "ack.restDenied": "Тегнуть повторно может автор или админ.",
+  "ack.whoDenied": "Показать или обновить отчёт может автор или админ.",
+  "ack.waitActive": "Дождись, пока закончится текущий тег.",
+  "ack.allAcked": "Все уже прочитали 🎉",
+  "ack.repinging": ({ n }) => `Тегаю ещё раз: ${n}`,
+  "ack.none": "Нет тегов с подтверждением прочтения. Включить: /admin → Подтверждения.",
+
+  // /teams
+  "teams.none": "В этой группе пока нет команд. Создай: /newteam <имя>",
+  "teams.list": ({ list }) => `Команды:\n${list}\n\nСостав: /team <имя>\nНастройка: /manage <имя>`,
+
+  // Название, описание и /team
+  "teamInfo.screen": ({ slug, title, description, emoji }) =>
+    `Команда /${slug}\nНазвание: ${title}\nЭмодзи: ${emoji}\nОписание: ${description}\n\nНазвание и эмодзи подставляются в {label} шаблона упоминаний.`,
+  "teamInfo.empty": "—",
+  "teamInfo.editTitle": "✏️ Название",
+  "teamInfo.editEmoji": "😀 Эмодзи",
+  "teamInfo.editDescription": "📝 Описание",
+  "teamInfo.prompt.t": ({ slug, max }) => `Пришли название для /${slug} (до ${max} символов) или «-», чтобы убрать.`,
+  "teamInfo.prompt.d": ({ slug, max }) => `Пришли описание для /${slug} (до ${max} символов) или «-», чтобы убрать.`,
+  "teamInfo.prompt.e": ({ slug }) => `Пришли эмодзи для /${slug} или «-», чтобы убрать.`,
+  "teamInfo.errEmoji": "Нужны только эмодзи, без букв и цифр.",
+  "roster.usage": "Использование: /team <имя>",
+  "roster.header": ({ title, slug }) => `${title} (/${slug})`,
+  "roster.count": ({ n }) => `Участников: ${n}`,
+  "roster.empty": "В команде пока никого.",
+  "roster.more": ({ n }) => `… и ещё ${n}`,
+  "roster.mutedHint": "🔕 — отключили массовые упоминания, тег их пропустит.",
+  "roster.subteams": ({ list }) => `Включает команды: ${list}`,
+
+  // Импорт участников
+  "import.prompt": ({ title, max }) =>
+    `Импорт участников в «${title}». Присылай сюда:\n` +
+    "• файл CSV или JSON с id и/или @username (в CSV — колонки id, username или просто список);\n" +
+    "• пересланные сообщения или контакты участников;\n" +
+    "• упоминания людей без username (text_mention) или список id и @username текстом.\n\n" +
+    `Добавлю только тех, кто сейчас в группе, до ${max} за раз. @username найду, только если видел человека в другой группе.`,
+  "import.done": "✅ Готово",
+  "import.started": ({ n }) => `Проверяю записей: ${n}, пришлю отчёт, когда закончу.`,
+  "import.busy": "Предыдущий импорт ещё идёт — дождись отчёта.",
+  "import.nothing": "Не нашёл здесь ни id, ни @username, ни пересланного сообщения, ни контакта.",
+  "import.report": ({ added, already, notMember, notFound, failed }) =>
+    `Добавлено: ${added}, уже были в базе: ${already}, не в группе: ${notMember}, не найдено: ${notFound}${failed ? `, не проверены из-за ошибки: ${failed}` : ""}.`,
+  "import.hidden": ({ n }) => `Пересланных от скрытых аккаунтов: ${n} — их не узнать, пусть напишут в группу сами.`,
+  "import.truncated": ({ max, n }) => `Обработал первые ${max}, остальные ${n} пришли отдельным файлом.`,
+  "import.failed": ({ list }) => `Не добавлены: ${list}`,
+  "import.fileTooBig": ({ max }) => `Файл больше ${max} КБ — раздели его на части.`,
+  "import.badFile": "Не получилось разобрать файл: нужен CSV или JSON-массив.",
+
+  // /join и /leave
+  "join.policy.closed": "закрыто",
+  "join.policy.open": "свободно",
+  "join.policy.approval": "с одобрением админа",
+  "join.accept": "✅ Принять",
+  "join.reject": "❌ Отклонить",
+  "join.request": ({ who, slug }) => `🙋 ${who} просится в /${slug}. Админы, подтвердите:`,
+  "join.joined": ({ slug }) => `Ты в команде /${slug}.`,
+  "join.already": ({ slug }) => `Ты уже в /${slug}.`,
+  "join.requested": ({ slug }) => `Заявка в /${slug} отправлена админам.`,
+  "join.pending": ({ slug }) => `Заявка в /${slug} уже ждёт решения админа.`,
+  "join.closed": ({ slug }) => `Вступление в /${slug} закрыто — попроси админа.`,
+  "join.button": ({ slug }) => `✅ Вступить в /${slug}`,
+  "join.leaveButton": "🚪 Выйти",
+  "join.usage": "Использование: /join <команда>",
+  "leave.usage": "Использование: /leave <команда>",
+  "leave.left": ({ slug }) => `Ты вышел из /${slug}.`,
+  "leave.notMember": ({ slug }) => `Тебя нет в /${slug}.`,
+  "join.stale": ({ who, slug }) => `Заявка ${who} в /${slug} уже неактуальна.`,
+  "join.approved": ({ who, slug, admin }) => `✅ ${who} добавлен в /${slug} (${admin}).`,
+  "join.rejected": ({ who, slug, admin }) => `❌ Заявка ${who} в /${slug} отклонена (${admin}).`,
+
+  // Заявки на /tagall (режим «С одобрением»)
+  "tagRequest.approve": "✅ Одобрить",
+  "tagRequest.reject": "❌ Отклонить",
+  "tagRequest.text": ({ who, command, ttl }) => `🙋 ${who} просит запустить /${command}. Админы, решите в течение ${ttl}:`,
+  "tagRequest.inChat": ({ title, text }) => `<b>${title}</b>\n${text}`,
+  "tagRequest.pending": "Твоя заявка на тег уже ждёт решения админов.",
+  "tagRequest.approved": ({ who, command, admin }) => `✅ /${command} от ${who} одобрен (${admin}), упоминаю.`,
+  "tagRequest.rejected": ({ who, command, admin }) => `❌ Заявка ${who} на /${command} отклонена (${admin}).`,
+  "tagRequest.expired": ({ who, command }) => `⌛️ Заявка ${who} на /${command} истекла без решения.`,
+  "tagRequest.empty": ({ who, command, admin }) => `✅ /${command} от ${who} одобрен (${admin}), но тегать некого.`,
+  "tagRequest.failed": ({ who, command, admin }) => `✅ /${command} от ${who} одобрен (${admin}), но запустить не удалось.`,
+  "tagRequest.stale": "Заявка уже неактуальна.",
+  "tagRequest.cooldownWait": ({ sec }) => `Кулдаун ещё ${sec} сек. Одобри заявку позже.`,
+  "tagRequest.quotaWait": ({ kind, limit, wait }) => `У автора заявки квота исчерпана: ${kind} — не больше ${limit}. Одобрить можно через ${wait}.`,
+
+  // Текстовые команды подгрупп
+  "newteam.usage": "Использование: /newteam <имя>",
+  "newteam.created": ({ slug }) => `Команда /${slug} создана. Добавить людей: /addto ${slug} @user`,
+  "manage.usage": "Использование: /manage <имя>",
+  "manage.noSuch": ({ slug }) => `Команды /${slug} нет. Создай: /newteam ${slug}`,
+  "delteam.usage": "Использование: /delteam <имя>",
+  "delteam.done": ({ slug }) => `Команда /${slug} удалена.`,
+  "renameteam.usage": "Использование: /renameteam <старое> <новое>",
+  "renameteam.same": ({ slug }) => `Команда уже называется /${slug}.`,
+  "renameteam.done": ({ from, to }) => `Переименовано: /${from} → /${to}.`,
+  "members.usage": ({ command }) => `Использование: /${command} <имя> @user … /команда …`,
+  "members.needUsers": ({ command, slug }) => `Укажи участников или команды: /${command} ${slug} @user … /команда …`,
+  "members.added": ({ slug, changed, skipped }) => `/${slug}: добавлено ${changed}, уже были в команде ${skipped}.`,
+  "members.removed": ({ slug, changed, skipped }) => `/${slug}: убрано ${changed}, не были в команде ${skipped}.`,
+  "members.notFound": ({ list }) => `Не найдены: ${list} — они должны хоть раз написать в группу.`,
+  "members.count": ({ n }) => `Участников: ${n}`,
+  "members.teamsAdded": ({ slug, list }) => `/${slug} теперь включает ${list}.`,
+  "members.teamsRemoved": ({ slug, list }) => `/${slug} больше не включает ${list}.`,
+  "members.teamsCycle": ({ slug, list }) => `Не вложены (уже включают /${slug}, получился бы цикл): ${list}`,
+  "members.teamsNotFound": ({ list }) => `Нет таких команд: ${list}`,
+
+  // Расписание
+  "schedule.once": ({ when }) => `${when} (разово)`,
+  "schedule.usage":
+    "Использование: /schedule <время> /tagall|/команда <текст>\n" +
+    "Время: «ЧЧ:ММ» — каждый день, «ГГГГ-ММ-ДД ЧЧ:ММ» — один раз, или cron: «50 9 * * 1-5».\n" +
+    "Пример: /schedule 50 9 * * 1-5 /tagall Стендап через 10 минут!",
+  "schedule.current": ({ timeZone, list }) => `\n\nРасписание (${timeZone}):\n${list}`,
+  "schedule.badTime": ({ spec, usage }) => `Не понял время «${spec}».\n\n${usage}`,
+  "schedule.past": "Это время уже прошло.",
+  "schedule.noText": "Добавь текст напоминания после команды.",
+  "schedule.limit": ({ max }) => `Не больше ${max} расписаний на группу. Удали лишние: /admin → Расписание.`,
+  "schedule.created": ({ timeZone, line, id }) => `Запланировано (${timeZone}):\n${line}\nУдалить: /unschedule ${id}`,
+  "unschedule.usage": "Использование: /unschedule <номер>",
+  "unschedule.done": ({ id }) => `Расписание #${id} удалено.`,
+  "unschedule.notFound": ({ id }) => `Расписания #${id} нет.`,
+  "timezone.current": ({ tz }) => `Часовой пояс группы: ${tz}\nПоменять: /timezone Europe/Moscow`,
+  "timezone.unknown": ({ tz }) => `Не знаю часовой пояс «${tz}». Пример: Europe/Moscow, Asia/Almaty, UTC.`,
+  "timezone.set": ({ tz }) => `Часовой пояс группы: ${tz}`,
+
+  // Журнал (/history)
+  "history.title": ({ page, pages }) => `📜 Журнал (стр. ${page}/${pages}), время группы:`,
+  "history.empty": "📜 Журнал пуст.",
+  "history.default": "по умолчанию",
+  "history.api": "HTTP API",
+  "history.outcome.queued": "в очереди",
+  "history.outcome.done": "отправлено",
+  "history.outcome.cancelled": "остановлено",
+  "history.outcome.failed": "ошибка",
+  "history.outcome.denied": "нет прав",
+  "history.outcome.cooldown": "кулдаун",
+  "history.outcome.empty": "некого тегать",
+  "history.outcome.quota": "квота исчерпана",
+  "history.outcome.pending": "ждёт одобрения",
+  "history.outcome.approved": "одобрено",
+  "history.outcome.rejected": "отклонено",
+  "history.outcome.expired": "истекло",
+  "history.action.tag": ({ who, command, n, outcome }) => `🔔 ${who}: /${command}${n != null ? ` (${n} чел.)` : ""} — ${outcome}`,
+  "history.action.setting": ({ who, slug, column, value }) => `⚙️ ${who}: ${slug ? `/${slug} ` : ""}${column} = ${value}`,
+  "history.action.team_create": ({ who, slug }) => `🆕 ${who}: создана /${slug}`,
+  "history.action.team_rename": ({ who, slug, from }) => `✏️ ${who}: /${from} → /${slug}`,
+  "history.action.team_delete": ({ who, slug, n }) => `🗑 ${who}: удалена /${slug} (было ${n} чел.)`,
+  "history.action.team_clear": ({ who, slug, n }) => `🧹 ${who}: /${slug} очищена (${n} чел.)`,
+  "history.action.member_add": ({ who, slug, users }) => `👤 ${who}: в /${slug} + ${users}`,
+  "history.action.member_remove": ({ who, slug, users }) => `👤 ${who}: из /${slug} − ${users}`,
+  "history.action.manager_add": ({ who, users }) => `🛡 ${who}: ${users} — менеджер`,
+  "history.action.manager_remove": ({ who, users }) => `🛡 ${who}: ${users} больше не менеджер`,
+  "history.action.lead_add": ({ who, slug, users }) => `⭐ ${who}: ${users} — лид /${slug}`,
+  "history.action.lead_remove": ({ who, slug, users }) => `⭐ ${who}: ${users} больше не лид /${slug}`,
+  "history.action.subteam_add": ({ who, slug, child }) => `🧩 ${who}: /${child} вложена в /${slug}`,
+  "history.action.subteam_remove": ({ who, slug, child }) => `🧩 ${who}: /${child} убрана из /${slug}`,
+  "history.action.schedule_add": ({ who, id }) => `⏰ ${who}: добавлено расписание #${id}`,
+  "history.action.schedule_delete": ({ who, id }) => `⏰ ${who}: удалено расписание #${id}`,
+  "history.action.import": ({ who, added, already, notMember, notFound, failed }) =>
+    `📥 ${who}: импорт — добавлено ${added}, уже были ${already}, не в группе ${notMember}, не найдены ${notFound}${failed ? `, ошибка ${failed}` : ""}`,
+  "history.action.tag_request": ({ who, command, users, outcome }) => `🙋 ${who}: заявка ${users} на /${command} — ${outcome}`,
+
+  // Меню команд Telegram
+  "commands.tagall": "Упомянуть всех участников",
+  "commands.tagactive": "Упомянуть тех, кто недавно писал",
+  "commands.teams": "Список команд",
+  "commands.team": "Кто в команде (без упоминаний)",
+  "commands.join": "Вступить в команду",
+  "commands.leave": "Выйти из команды",
+  "commands.admin": "Настройки бота",
+  "commands.teamDefault": ({ slug }) => `Упомянуть команду ${slug}`
+};
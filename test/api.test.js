@@ -0,0 +1,202 @@
+// filename: test/api.test.js
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createApiServer } from "../api.js";
+
+const CHAT_ID = "-100123";
+const API_TOKEN = "test-token";
+
+// Данные бота в памяти: то же, что bot.js отдаёт через apiStore
+function createStore() {
+  const members = new Map([
+    [1, { user_id: 1, first_name: "Ann", username: "ann" }],
+    [2, { user_id: 2, first_name: "Bob", username: "bob" }],
+    [3, { user_id: 3, first_name: "Eve", username: null }]
+  ]);
+  const teams = new Map([["qa", new Set([1])]]);
+  const cooldowns = new Map();
+  const jobs = [];
+  return {
+    teams,
+    cooldowns,
+    jobs,
+    failEnqueue: false,
+    hasChat: (chatId) => chatId === CHAT_ID,
+    findTeam: (chatId, input) => {
+      const slug = String(input).replace(/^\//, "").toLowerCase();
+      return teams.has(slug) ? slug : null;
+    },
+    listTeams: () => [...teams].map(([slug, ids]) => ({ slug, title: slug, members: ids.size, subteams: [] })),
+    teamMembers: (chatId, slug) => {
+      const list = [...teams.get(slug)].map((id) => members.get(id));
+      return { subteams: [], members: list, all: list };
+    },
+    findMember: (chatId, value) => {
+      if (typeof value === "number") return members.get(value) ?? null;
+      const name = String(value).replace(/^@/, "").toLowerCase();
+      return [...members.values()].find((u) => u.username === name) ?? null;
+    },
+    addTeamMembers: (chatId, slug, userIds) => userIds.filter((id) => !teams.get(slug).has(id) && teams.get(slug).add(id)).length,
+    removeTeamMembers: (chatId, slug, userIds) => userIds.filter((id) => teams.get(slug).delete(id)).length,
+    checkCooldown: (chatId, slug) => (cooldowns.has(slug ?? "all") ? 30 : null),
+    setCooldown: (chatId, slug) => cooldowns.set(slug ?? "all", Date.now()),
+    selectMembers: (chatId, slug) => (slug ? [...teams.get(slug)].map((id) => members.get(id)) : [...members.values()]),
+    async enqueueTag(job) {
+      if (this.failEnqueue) throw new Error("queue is down");
+      jobs.push(job);
+      return jobs.length;
+    }
+  };
+}
+
+function createTelegram() {
+  const sent = [];
+  return {
+    sent,
+    delayMs: 0,
+    async sendMessage(chatId, text, extra) {
+      if (this.delayMs) await new Promise((resolve) => setTimeout(resolve, this.delayMs));
+      sent.push({ chatId, text, extra });
+      return { message_id: 500 + sent.length };
+    }
+  };
+}
+
+let store;
+let telegram;
+let server;
+let baseUrl;
+
+beforeEach(async () => {
+  store = createStore();
+  telegram = createTelegram();
+  server = createApiServer({ token: API_TOKEN, telegram, store });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(() => new Promise((resolve) => server.close(resolve)));
+
+async function api(method, pathname, { token = API_TOKEN, body } = {}) {
+  const headers = {};
+  if (token != null) headers.Authorization = `Bearer ${token}`;
+  const payload = body === undefined || typeof body === "string" ? body : JSON.stringify(body);
+  const res = await fetch(baseUrl + pathname, { method, headers, body: payload });
+  return { status: res.status, body: await res.json() };
+}
+
+test("rejects requests without a token", async () => {
+  const res = await api("GET", `/chats/${CHAT_ID}/teams`, { token: null });
+  assert.equal(res.status, 401);
+  assert.deepEqual(res.body, { error: "unauthorized" });
+});
+
+test("rejects requests with a wrong token", async () => {
+  const res = await api("GET", `/chats/${CHAT_ID}/teams`, { token: "wrong-token" });
+  assert.equal(res.status, 401);
+  const shorter = await api("GET", `/chats/${CHAT_ID}/teams`, { token: "x" });
+  assert.equal(shorter.status, 401);
+});
+
+test("lists teams with a valid token", async () => {
+  const res = await api("GET", `/chats/${CHAT_ID}/teams`);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { teams: [{ slug: "qa", title: "qa", members: 1, subteams: [] }] });
+});
+
+test("returns 404 for unknown paths, chats and teams", async () => {
+  const unknownPath = await api("GET", "/nope");
+  assert.equal(unknownPath.status, 404);
+  assert.equal(unknownPath.body.error, "not_found");
+  const unknownChat = await api("GET", "/chats/-100999/teams");
+  assert.equal(unknownChat.status, 404);
+  assert.equal(unknownChat.body.error, "chat_not_found");
+  const unknownTeam = await api("GET", `/chats/${CHAT_ID}/teams/devs/members`);
+  assert.equal(unknownTeam.status, 404);
+  assert.equal(unknownTeam.body.error, "team_not_found");
+});
+
+test("returns 405 for a known path with another method", async () => {
+  const res = await api("PUT", `/chats/${CHAT_ID}/teams`);
+  assert.equal(res.status, 405);
+  assert.equal(res.body.error, "method_not_allowed");
+});
+
+test("returns 413 for a body over the limit", async () => {
+  const users = Array.from({ length: 20000 }, (_, i) => 1000000 + i);
+  const res = await api("POST", `/chats/${CHAT_ID}/teams/qa/members`, { body: { users } });
+  assert.equal(res.status, 413);
+  assert.equal(res.body.error, "payload_too_large");
+});
+
+test("returns 400 for a body that isn't a JSON object", async () => {
+  const broken = await api("POST", `/chats/${CHAT_ID}/tag`, { body: "{not json" });
+  assert.equal(broken.status, 400);
+  assert.equal(broken.body.error, "invalid_json");
+  const array = await api("POST", `/chats/${CHAT_ID}/tag`, { body: "[1, 2]" });
+  assert.equal(array.status, 400);
+  assert.equal(array.body.error, "invalid_json");
+});
+
+test("adds known members to a team and reports the rest", async () => {
+  const res = await api("POST", `/chats/${CHAT_ID}/teams/qa/members`, { body: { users: [1, "@bob", 3, 999, "@ghost"] } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { slug: "qa", added: 2, skipped: 1, not_found: [999, "@ghost"] });
+  assert.deepEqual([...store.teams.get("qa")].sort(), [1, 2, 3]);
+});
+
+test("removes members from a team", async () => {
+  const res = await api("DELETE", `/chats/${CHAT_ID}/teams/qa/members`, { body: { users: ["@ann", 2] } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { slug: "qa", removed: 1, skipped: 1, not_found: [] });
+  assert.equal(store.teams.get("qa").size, 0);
+  const listed = await api("GET", `/chats/${CHAT_ID}/teams/qa/members`);
+  assert.deepEqual(listed.body.members, []);
+});
+
+test("requires a non-empty users list to change members", async () => {
+  const res = await api("POST", `/chats/${CHAT_ID}/teams/qa/members`, { body: { users: [] } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, "users_required");
+});
+
+test("posts the text and queues a tag run", async () => {
+  const res = await api("POST", `/chats/${CHAT_ID}/tag`, { body: { text: "Deploy is done", team: "qa", thread_id: 7 } });
+  assert.equal(res.status, 202);
+  assert.deepEqual(res.body, { job_id: 1, message_id: 501, members: 1 });
+  assert.deepEqual(telegram.sent, [{ chatId: CHAT_ID, text: "Deploy is done", extra: { message_thread_id: 7 } }]);
+  assert.equal(store.jobs.length, 1);
+  assert.deepEqual(store.jobs[0], { chatId: CHAT_ID, threadId: 7, targetMessageId: 501, members: [{ user_id: 1, first_name: "Ann", username: "ann" }], slug: "qa" });
+  assert.ok(store.cooldowns.has("qa"));
+});
+
+test("tags in reply to an existing message without posting text", async () => {
+  const res = await api("POST", `/chats/${CHAT_ID}/tag`, { body: { reply_to: 42 } });
+  assert.equal(res.status, 202);
+  assert.deepEqual(res.body, { job_id: 1, message_id: 42, members: 3 });
+  assert.equal(telegram.sent.length, 0);
+  assert.equal(store.jobs[0].slug, null);
+});
+
+test("returns 429 while the chat is on cooldown", async () => {
+  store.setCooldown(CHAT_ID, null);
+  const res = await api("POST", `/chats/${CHAT_ID}/tag`, { body: { text: "Deploy is done" } });
+  assert.equal(res.status, 429);
+  assert.deepEqual(res.body, { error: "cooldown", retry_after: 30 });
+  assert.equal(telegram.sent.length, 0);
+});
+
+test("lets only one of simultaneous tag requests through", async () => {
+  telegram.delayMs = 50;
+  const results = await Promise.all([1, 2, 3].map(() => api("POST", `/chats/${CHAT_ID}/tag`, { body: { text: "Alert" } })));
+  assert.deepEqual(results.map((r) => r.status).sort(), [202, 429, 429]);
+  assert.equal(telegram.sent.length, 1);
+  assert.equal(store.jobs.length, 1);
+});
+
+test("returns the posted message_id when the run can't be queued", async () => {
+  store.failEnqueue = true;
+  const res = await api("POST", `/chats/${CHAT_ID}/tag`, { body: { text: "Deploy is done" } });
+  assert.equal(res.status, 500);
+  assert.deepEqual(res.body, { error: "enqueue_failed", message_id: 501 });
+});